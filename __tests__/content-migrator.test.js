@@ -0,0 +1,416 @@
+const UniversalContentMigrator = require("../lib/core/content-migrator");
+const DynamicSchemaGenerator = require("../lib/core/schema-generator");
+
+// A migrator with mocked Strapi API calls and already migrated documents
+const createMigrator = (config = {}) => {
+  const migrator = new UniversalContentMigrator({
+    strapiVersion: 5,
+    ...config,
+  });
+  migrator.strapiApi = {
+    post: jest.fn(async () => ({
+      data: { data: { id: 1, documentId: "d1" } },
+    })),
+    put: jest.fn(async () => ({ data: { data: { id: 1, documentId: "d1" } } })),
+  };
+  return migrator;
+};
+
+const addEntity = (migrator, sanityId, contentType, strapiId, documentId) => {
+  migrator.sanityDocumentTypes.set(sanityId, contentType);
+  migrator.migrationState.entities.set(sanityId, {
+    strapiId,
+    documentId,
+    contentType,
+    locale: null,
+    originalData: { _id: sanityId, _type: contentType },
+  });
+};
+
+const reference = (id) => ({ _key: id, _type: "reference", _ref: id });
+
+describe("UniversalContentMigrator multi-target references", () => {
+  const document = {
+    _id: "post-1",
+    _type: "post",
+    related: [reference("post-2"), reference("drafts.page-1")],
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("become link components of a dynamic zone", async () => {
+    const migrator = createMigrator();
+    migrator.manifest.references.post = {
+      related: {
+        strategy: "dynamiczone",
+        isArray: true,
+        targets: { post: "links.post-link", page: "links.page-link" },
+      },
+    };
+    addEntity(migrator, "post-2", "post", 2, "doc-post-2");
+    addEntity(migrator, "page-1", "page", 1, "doc-page-1");
+
+    const data = await migrator.transformDocumentWithSchema(
+      document,
+      {
+        attributes: {
+          related: {
+            type: "dynamiczone",
+            components: ["links.post-link", "links.page-link"],
+          },
+        },
+      },
+      "post"
+    );
+
+    expect(data.related).toEqual([
+      { __component: "links.post-link", post: "doc-post-2" },
+      { __component: "links.page-link", page: "doc-page-1" },
+    ]);
+  });
+
+  test("connect the relation attribute of each target", async () => {
+    const migrator = createMigrator();
+    migrator.manifest.references.post = {
+      related: {
+        strategy: "relations",
+        isArray: true,
+        targets: { post: "relatedPost", page: "relatedPage" },
+      },
+    };
+    migrator.schemaMapping.set("post", {
+      kind: "collectionType",
+      info: { singularName: "post", pluralName: "posts" },
+      attributes: {},
+    });
+    addEntity(migrator, "post-1", "post", 10, "doc-post-1");
+    addEntity(migrator, "post-2", "post", 2, "doc-post-2");
+    addEntity(migrator, "page-1", "page", 1, "doc-page-1");
+
+    const data = await migrator.transformDocumentWithSchema(
+      document,
+      migrator.schemaMapping.get("post"),
+      "post"
+    );
+    expect(data).toEqual({});
+
+    await migrator.processPendingRelationships();
+    expect(migrator.strapiApi.put.mock.calls).toEqual([
+      [
+        "/api/posts/doc-post-1",
+        { data: { relatedPost: { connect: [{ documentId: "doc-post-2" }] } } },
+      ],
+      [
+        "/api/posts/doc-post-1",
+        { data: { relatedPage: { connect: [{ documentId: "doc-page-1" }] } } },
+      ],
+    ]);
+  });
+
+  test("skip unset references split into relations", async () => {
+    const migrator = createMigrator();
+    migrator.manifest.references.post = {
+      parent: {
+        strategy: "relations",
+        isArray: false,
+        targets: { post: "parentPost", page: "parentPage" },
+      },
+    };
+    migrator.schemaMapping.set("post", {
+      kind: "collectionType",
+      info: { singularName: "post", pluralName: "posts" },
+      attributes: { title: { type: "string" } },
+    });
+
+    await migrator.migrateDocument(
+      { _id: "post-1", _type: "post", title: "Hello", parent: null },
+      "post"
+    );
+
+    expect(migrator.migrationState.errors).toEqual([]);
+    expect(migrator.strapiApi.post.mock.calls).toEqual([
+      ["/api/posts", { data: { title: "Hello" } }],
+    ]);
+    expect(migrator.migrationState.pendingRelationships).toEqual([]);
+  });
+});
+
+describe("UniversalContentMigrator dynamic zones", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("give every item the component of its _type", async () => {
+    const migrator = createMigrator();
+    migrator.manifest.dynamicZones.page = {
+      sections: { hero: "shared.hero", cta: "page.sections-cta" },
+    };
+    migrator.componentMapping.set("shared.hero", {
+      attributes: { heading: { type: "string" } },
+    });
+    migrator.componentMapping.set("page.sections-cta", {
+      attributes: { label: { type: "string" } },
+    });
+
+    const data = await migrator.transformDocumentWithSchema(
+      {
+        _id: "page-1",
+        _type: "page",
+        sections: [
+          { _key: "a", _type: "hero", heading: "Welcome" },
+          { _key: "b", _type: "cta", label: "Go" },
+          { _key: "c", _type: "quote", text: "Unmapped" },
+        ],
+      },
+      {
+        attributes: {
+          sections: {
+            type: "dynamiczone",
+            components: ["shared.hero", "page.sections-cta"],
+          },
+        },
+      },
+      "page"
+    );
+
+    expect(data.sections).toEqual([
+      { __component: "shared.hero", heading: "Welcome" },
+      { __component: "page.sections-cta", label: "Go" },
+    ]);
+    expect(console.warn).toHaveBeenCalledWith(
+      "No component for quote items in dynamic zone sections"
+    );
+  });
+});
+
+describe("UniversalContentMigrator nested components", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("follow objects in arrays in objects at any depth", async () => {
+    const generator = new DynamicSchemaGenerator();
+    generator.schemas.set("post", {
+      name: "post",
+      type: "document",
+      fields: [
+        {
+          name: "layout",
+          type: "object",
+          fields: [
+            { name: "heading", type: "string" },
+            {
+              name: "columns",
+              type: "array",
+              of: [
+                {
+                  type: "object",
+                  name: "column",
+                  fields: [
+                    { name: "title", type: "string" },
+                    {
+                      name: "link",
+                      type: "object",
+                      fields: [{ name: "label", type: "string" }],
+                    },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      ],
+    });
+    generator.applyNameMapping();
+    const schema = generator.convertToStrapiSchema(
+      generator.schemas.get("post")
+    );
+
+    expect(schema.attributes.layout).toEqual({
+      type: "component",
+      repeatable: false,
+      component: "post.layout",
+    });
+    const componentAttributes = Object.fromEntries(
+      Array.from(generator.components, ([key, component]) => [
+        key,
+        component.attributes,
+      ])
+    );
+    expect(componentAttributes).toEqual({
+      "post.layout": {
+        heading: { type: "string" },
+        columns: {
+          type: "component",
+          repeatable: true,
+          component: "post.layout-columns",
+        },
+      },
+      "post.layout-columns": {
+        title: { type: "string" },
+        link: {
+          type: "component",
+          repeatable: false,
+          component: "post.layout-columns-link",
+        },
+      },
+      "post.layout-columns-link": { label: { type: "string" } },
+    });
+
+    const migrator = createMigrator();
+    migrator.componentMapping = generator.components;
+    const data = await migrator.transformDocumentWithSchema(
+      {
+        _id: "post-1",
+        _type: "post",
+        layout: {
+          heading: "Columns",
+          columns: [
+            {
+              _key: "a",
+              _type: "column",
+              title: "One",
+              link: { label: "More" },
+            },
+            { _key: "b", _type: "column", title: "Two" },
+          ],
+        },
+      },
+      schema,
+      "post"
+    );
+
+    expect(data).toEqual({
+      layout: {
+        heading: "Columns",
+        columns: [{ title: "One", link: { label: "More" } }, { title: "Two" }],
+      },
+    });
+  });
+});
+
+describe("UniversalContentMigrator Strapi versions", () => {
+  const postSchema = {
+    kind: "collectionType",
+    info: { singularName: "post", pluralName: "posts" },
+    attributes: {
+      title: { type: "string" },
+      authors: {
+        type: "relation",
+        relation: "manyToMany",
+        target: "api::person.person",
+      },
+    },
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test.each([
+    {
+      strapiVersion: 4,
+      response: { data: { id: 7, attributes: { title: "Hello" } } },
+      payload: { title: "Hello", publishedAt: "2024-01-02T00:00:00Z" },
+      entity: { strapiId: 7, documentId: undefined },
+      relation: [
+        "/api/posts/7",
+        { data: { authors: { connect: [{ id: 3 }] } } },
+      ],
+    },
+    {
+      strapiVersion: 5,
+      response: { data: { id: 7, documentId: "doc-7", title: "Hello" } },
+      payload: { title: "Hello" },
+      entity: { strapiId: 7, documentId: "doc-7" },
+      relation: [
+        "/api/posts/doc-7",
+        { data: { authors: { connect: [{ documentId: "doc-person-1" }] } } },
+      ],
+    },
+  ])(
+    "create entries and connect relations on Strapi $strapiVersion",
+    async ({ strapiVersion, response, payload, entity, relation }) => {
+      const migrator = createMigrator({ strapiVersion });
+      migrator.strapiApi.post.mockResolvedValue({ data: response });
+      migrator.schemaMapping.set("post", postSchema);
+      addEntity(migrator, "person-1", "person", 3, "doc-person-1");
+
+      await migrator.migrateDocument(
+        {
+          _id: "post-1",
+          _type: "post",
+          title: "Hello",
+          publishedAt: "2024-01-02T00:00:00Z",
+          authors: [reference("person-1")],
+        },
+        "post"
+      );
+      expect(migrator.strapiApi.post.mock.calls).toEqual([
+        ["/api/posts", { data: payload }],
+      ]);
+      expect(migrator.migrationState.entities.get("post-1")).toMatchObject(
+        entity
+      );
+
+      await migrator.processPendingRelationships();
+      expect(migrator.strapiApi.put.mock.calls).toEqual([relation]);
+    }
+  );
+
+  test("address entries by id or documentId", () => {
+    const v4 = createMigrator({ strapiVersion: 4 });
+    const v5 = createMigrator({ strapiVersion: 5 });
+    const entity = { strapiId: 7, documentId: "doc-7" };
+
+    expect(v4.getEntityReference(entity)).toBe(7);
+    expect(v5.getEntityReference(entity)).toBe("doc-7");
+    expect(v4.getRelationTarget(7)).toEqual({ id: 7 });
+    expect(v5.getRelationTarget("doc-7")).toEqual({ documentId: "doc-7" });
+  });
+
+  test("unwrap attributes of Strapi 4 responses only", () => {
+    const response = { data: { id: 7, attributes: { title: "Hello" } } };
+
+    expect(createMigrator({ strapiVersion: 4 }).unwrapEntity(response)).toEqual(
+      { id: 7, title: "Hello" }
+    );
+    expect(createMigrator({ strapiVersion: 5 }).unwrapEntity(response)).toEqual(
+      response.data
+    );
+  });
+
+  test("put the locale in the query of Strapi 5 and single type endpoints", () => {
+    const withSchemas = (strapiVersion) => {
+      const migrator = createMigrator({ strapiVersion });
+      migrator.schemaMapping.set("post", postSchema);
+      migrator.schemaMapping.set("settings", {
+        kind: "singleType",
+        info: { singularName: "site-settings", pluralName: "site-settings" },
+        attributes: {},
+      });
+      return migrator;
+    };
+    const v4 = withSchemas(4);
+    const v5 = withSchemas(5);
+
+    expect(v4.getEntityEndpoint("post")).toBe("/api/posts");
+    expect(v4.getEntityEndpoint("post", 7, "de")).toBe("/api/posts/7");
+    expect(v5.getEntityEndpoint("post", "doc-7", "de")).toBe(
+      "/api/posts/doc-7?locale=de"
+    );
+    expect(v4.getEntityEndpoint("settings", null, "de")).toBe(
+      "/api/site-settings?locale=de"
+    );
+    expect(v5.getEntityEndpoint("settings")).toBe("/api/site-settings");
+    expect(v5.getEntityEndpoint("category")).toBe("/api/categories");
+  });
+});
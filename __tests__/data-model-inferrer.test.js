@@ -0,0 +1,123 @@
+const DataModelInferrer = require("../lib/core/data-model-inferrer");
+
+describe("DataModelInferrer", () => {
+  const documents = [
+    { _id: "person-1", _type: "person", name: "Ada" },
+    { _id: "page-1", _type: "page", title: "Home" },
+    {
+      _id: "image-abc-10x10-png",
+      _type: "sanity.imageAsset",
+    },
+    {
+      _id: "post-1",
+      _type: "post",
+      title: "Hello",
+      views: 3,
+      publishedAt: "2024-05-01T10:00:00Z",
+      slug: { _type: "slug", current: "hello" },
+      cover: { _type: "image", asset: { _ref: "image-abc-10x10-png", _type: "reference" } },
+      author: { _type: "reference", _ref: "person-1" },
+      related: [
+        { _key: "a", _type: "reference", _ref: "drafts.page-1" },
+        { _key: "b", _type: "reference", _ref: "post-1" },
+      ],
+      body: [{ _key: "k", _type: "block", children: [{ _type: "span", text: "Hi" }] }],
+      sections: [
+        { _key: "h", _type: "hero", heading: "Welcome" },
+        { _key: "c", _type: "cta", label: "Go", url: "/" },
+      ],
+      seo: { metaTitle: "Hello" },
+    },
+  ];
+
+  test("builds document and object types from every document", () => {
+    const inferrer = new DataModelInferrer();
+    documents.forEach((doc) => inferrer.addDocument(doc));
+    const types = inferrer.buildTypes();
+
+    expect(types.map((type) => `${type.type}:${type.name}`)).toEqual([
+      "document:person",
+      "document:page",
+      "document:post",
+      "object:hero",
+      "object:cta",
+    ]);
+
+    const post = types.find((type) => type.name === "post");
+    const fields = Object.fromEntries(
+      post.fields.map(({ confidence, ...field }) => [field.name, field])
+    );
+
+    expect(fields.views.type).toBe("number");
+    expect(fields.publishedAt.type).toBe("datetime");
+    expect(fields.slug.type).toBe("slug");
+    expect(fields.cover.type).toBe("image");
+    expect(fields.author).toEqual({
+      name: "author",
+      type: "reference",
+      to: [{ type: "person" }],
+    });
+    expect(fields.related.of).toEqual([
+      { type: "reference", to: [{ type: "page" }, { type: "post" }] },
+    ]);
+    expect(fields.body.of).toEqual([{ type: "block" }]);
+    expect(fields.sections.of).toEqual([{ type: "hero" }, { type: "cta" }]);
+    expect(fields.seo.type).toBe("object");
+    expect(fields.seo.fields[0]).toMatchObject({ name: "metaTitle", type: "string" });
+  });
+
+  test("reports lower confidence for sparse or mixed fields", () => {
+    const inferrer = new DataModelInferrer();
+    for (let i = 0; i < 6; i++) {
+      inferrer.addDocument({
+        _id: `event-${i}`,
+        _type: "event",
+        title: `Event ${i}`,
+        capacity: i % 2 === 0 ? 10 : "ten",
+        ...(i === 0 ? { note: "first" } : {}),
+      });
+    }
+
+    const [event] = inferrer.buildTypes();
+    const confidence = Object.fromEntries(
+      event.fields.map((field) => [field.name, field.confidence.level])
+    );
+
+    expect(confidence).toEqual({ title: "high", capacity: "low", note: "medium" });
+  });
+
+  test("keeps geopoint, code and color values as their built-in types", () => {
+    const inferrer = new DataModelInferrer();
+    inferrer.addDocument({
+      _id: "venue-1",
+      _type: "venue",
+      location: { _type: "geopoint", lat: 59.9, lng: 10.7 },
+      snippet: { _type: "code", language: "js", code: "1 + 1" },
+      accent: { _type: "color", hex: "#ff0000", alpha: 1 },
+    });
+
+    const types = inferrer.buildTypes();
+    expect(types.map((type) => type.name)).toEqual(["venue"]);
+    expect(types[0].fields.map(({ name, type }) => `${name}:${type}`)).toEqual([
+      "location:geopoint",
+      "snippet:code",
+      "accent:color",
+    ]);
+  });
+
+  test("keeps internationalized arrays as their plugin type", () => {
+    const inferrer = new DataModelInferrer();
+    inferrer.addDocument({
+      _id: "page-1",
+      _type: "page",
+      title: [
+        { _key: "en", _type: "internationalizedArrayStringValue", value: "Home" },
+        { _key: "fr", _type: "internationalizedArrayStringValue", value: "Accueil" },
+      ],
+    });
+
+    const types = inferrer.buildTypes();
+    expect(types.map((type) => type.name)).toEqual(["page"]);
+    expect(types[0].fields[0].type).toBe("internationalizedArrayString");
+  });
+});
@@ -0,0 +1,144 @@
+const {
+  FieldStatistics,
+  inferAttributeType,
+} = require("../lib/core/field-statistics");
+
+describe("FieldStatistics", () => {
+  test("collects values of document, named object and inline fields", () => {
+    const statistics = new FieldStatistics();
+    statistics.addDocument({
+      _id: "post-1",
+      _type: "post",
+      title: "Hello",
+      views: 3,
+      seo: { _type: "seo", metaTitle: "Hello there" },
+      meta: { rating: 4.5 },
+      sections: [{ _key: "a", _type: "hero", heading: "Welcome" }],
+    });
+    statistics.addDocument({ _id: "image-1", _type: "sanity.imageAsset" });
+
+    expect(Array.from(statistics.statistics.keys()).sort()).toEqual([
+      "hero.heading",
+      "post.meta",
+      "post.meta.rating",
+      "post.sections",
+      "post.seo",
+      "post.title",
+      "post.views",
+      "seo.metaTitle",
+    ]);
+    expect(statistics.statistics.get("post.meta.rating")).toMatchObject({
+      numbers: 1,
+      integers: false,
+      min: 4.5,
+    });
+  });
+
+  test("follows renames and resolves field definitions", () => {
+    const statistics = new FieldStatistics();
+    statistics.addDocument({ _id: "a", _type: "person", age: 30, notes: "x" });
+    statistics.addDocument({ _id: "b", _type: "page", title: "Home" });
+    statistics.rename({
+      types: { person: "author", page: null },
+      fields: { person: { age: "years", notes: null } },
+    });
+
+    const years = { name: "years", type: "number" };
+    const fields = statistics.resolveFields(
+      new Map([["author", { fields: [years] }]])
+    );
+    expect(fields.get(years)).toMatchObject({
+      path: "author.years",
+      numbers: 1,
+      max: 30,
+    });
+    expect(Array.from(statistics.statistics.keys())).toEqual(["author.years"]);
+  });
+
+  test("stops tracking distinct strings past the enumeration limit", () => {
+    const statistics = new FieldStatistics();
+    for (let index = 0; index < 12; index++) {
+      statistics.addDocument({
+        _id: `${index}`,
+        _type: "tag",
+        name: `t${index}`,
+      });
+    }
+    expect(statistics.statistics.get("tag.name").values).toBeNull();
+  });
+});
+
+describe("inferAttributeType", () => {
+  const collect = (values) => {
+    const statistics = new FieldStatistics();
+    values.forEach((value, index) =>
+      statistics.addDocument({ _id: `${index}`, _type: "post", field: value })
+    );
+    return statistics.statistics.get("post.field");
+  };
+  const repeat = (values, times) =>
+    Array.from({ length: times }, (_, index) => values[index % values.length]);
+
+  test("turns integer numbers into integer or biginteger", () => {
+    const number = { type: "number" };
+    expect(inferAttributeType(number, "decimal", collect([1, 2])).type).toBe(
+      "integer"
+    );
+    expect(
+      inferAttributeType(number, "decimal", collect([1, 2 ** 40])).type
+    ).toBe("biginteger");
+    expect(inferAttributeType(number, "decimal", collect([1, 2.5]))).toBeNull();
+    expect(
+      inferAttributeType(
+        { type: "number", validation: { precision: 2 } },
+        "decimal",
+        collect([1, 2])
+      )
+    ).toBeNull();
+  });
+
+  test("turns long strings into text", () => {
+    expect(
+      inferAttributeType({ type: "url" }, "string", collect(["a".repeat(256)]))
+    ).toMatchObject({ type: "text" });
+    expect(
+      inferAttributeType({ type: "string" }, "string", collect([1, "a"]))
+    ).toBeNull();
+  });
+
+  test("turns short repeated string values into an enumeration", () => {
+    const string = { type: "string" };
+    expect(
+      inferAttributeType(
+        string,
+        "string",
+        collect(repeat(["news", "blog"], 20))
+      )
+    ).toEqual({
+      type: "enumeration",
+      enum: ["blog", "news"],
+      reason: "20 values, only 2 distinct",
+    });
+    // Too few entries, too few repeats, or values Strapi cannot name
+    expect(
+      inferAttributeType(string, "string", collect(repeat(["a", "b"], 10)))
+    ).toBeNull();
+    expect(
+      inferAttributeType(
+        string,
+        "string",
+        collect(repeat(["a", "b", "c", "d", "e", "f", "g", "h"], 20))
+      )
+    ).toBeNull();
+    expect(
+      inferAttributeType(string, "string", collect(repeat(["1st", "2nd"], 20)))
+    ).toBeNull();
+    expect(
+      inferAttributeType(
+        { type: "email" },
+        "string",
+        collect(repeat(["a", "b"], 20))
+      )
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,81 @@
+const {
+  createInflector,
+  pluralize,
+  singularize,
+} = require("../lib/utils/inflection");
+
+describe("inflection", () => {
+  test("pluralizes regular, irregular and uncountable words", () => {
+    expect(
+      ["post", "category", "key", "box", "hero", "photo", "analysis"].map(
+        pluralize
+      )
+    ).toEqual([
+      "posts",
+      "categories",
+      "keys",
+      "boxes",
+      "heroes",
+      "photos",
+      "analyses",
+    ]);
+    expect(["person", "child", "news", "series"].map(pluralize)).toEqual([
+      "people",
+      "children",
+      "news",
+      "series",
+    ]);
+  });
+
+  test("leaves plural names alone", () => {
+    expect(["tags", "keywords", "people", "status"].map(pluralize)).toEqual([
+      "tags",
+      "keywords",
+      "people",
+      "statuses",
+    ]);
+  });
+
+  test("pluralizes singular words ending in -s", () => {
+    expect(["alias", "gas", "canvas", "atlas", "bus"].map(pluralize)).toEqual([
+      "aliases",
+      "gases",
+      "canvases",
+      "atlases",
+      "buses",
+    ]);
+  });
+
+  test("inflects the last word of compound names", () => {
+    expect(pluralize("blog-post")).toBe("blog-posts");
+    expect(pluralize("newsItem")).toBe("newsItems");
+    expect(pluralize("site_category")).toBe("site_categories");
+    expect(singularize("Heroes")).toBe("Hero");
+    expect(singularize("team-people")).toBe("team-person");
+  });
+
+  test("singularizes", () => {
+    expect(
+      ["posts", "categories", "boxes", "heroes", "movies", "news", "class"].map(
+        singularize
+      )
+    ).toEqual(["post", "category", "box", "hero", "movie", "news", "class"]);
+    expect(
+      ["statuses", "buses", "analyses", "aliases", "cases", "houses"].map(
+        singularize
+      )
+    ).toEqual(["status", "bus", "analysis", "alias", "case", "house"]);
+  });
+
+  test("applies overrides before the rules", () => {
+    const inflector = createInflector({
+      person: "persons",
+      canvas: "canvases",
+    });
+
+    expect(inflector.pluralize("person")).toBe("persons");
+    expect(inflector.pluralize("canvas")).toBe("canvases");
+    expect(inflector.singularize("canvases")).toBe("canvas");
+    expect(inflector.pluralize("sales-person")).toBe("sales-persons");
+  });
+});
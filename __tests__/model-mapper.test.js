@@ -0,0 +1,86 @@
+const SanityModelMapper = require("../lib/core/model-mapper");
+const { normalizeNameMapping } = require("../lib/utils/name-mapping");
+
+describe("SanityModelMapper", () => {
+  const title = { name: "title", type: "string" };
+  const schemas = () =>
+    new Map([
+      [
+        "post",
+        {
+          name: "post",
+          type: "document",
+          fields: [
+            title,
+            { name: "slug", type: "slug", options: { source: "title" } },
+            { name: "mainImage", type: "image" },
+            { name: "internal", type: "string" },
+            { name: "author", type: "reference", to: [{ type: "person" }] },
+            {
+              name: "related",
+              type: "array",
+              of: [{ type: "reference", to: [{ type: "legacy" }] }],
+            },
+            { name: "seo", type: "seo" },
+          ],
+          preview: { select: { title: "title", media: "mainImage" } },
+        },
+      ],
+      ["person", { name: "person", type: "document", fields: [title] }],
+      ["legacy", { name: "legacy", type: "document", fields: [] }],
+    ]);
+  const objectTypes = () =>
+    new Map([["seo", { name: "seo", type: "object", fields: [title] }]]);
+
+  test("renames types and fields and records the renames", () => {
+    const mapper = new SanityModelMapper(
+      normalizeNameMapping({
+        types: { person: "author", legacy: false, seo: "meta" },
+        fields: {
+          "post.title": "headline",
+          "post.mainImage": { name: "cover", type: "json" },
+          "post.internal": false,
+        },
+      })
+    );
+    const result = mapper.apply(schemas(), objectTypes());
+    const post = result.schemas.get("post");
+
+    expect(Array.from(result.schemas.keys())).toEqual(["post", "author"]);
+    expect(Array.from(result.objectTypes.keys())).toEqual(["meta"]);
+    expect(post.fields.map((field) => field.name)).toEqual([
+      "headline",
+      "slug",
+      "cover",
+      "author",
+      "seo",
+    ]);
+    expect(post.fields[1].options.source).toBe("headline");
+    expect(post.fields[3].to).toEqual([{ type: "author" }]);
+    expect(post.fields[4].type).toBe("meta");
+    expect(post.preview.select).toEqual({ title: "headline", media: "cover" });
+    expect(mapper.attributeOverrides.get(post.fields[2])).toEqual({
+      type: "json",
+    });
+    // The shared title field of person is left alone
+    expect(result.schemas.get("author").fields[0]).toBe(title);
+    expect(mapper.renames).toEqual({
+      types: { person: "author", legacy: null, seo: "meta" },
+      fields: {
+        post: { title: "headline", mainImage: "cover", internal: null },
+      },
+    });
+    expect(mapper.warnings).toEqual([
+      "Dropped post.related: every type it holds was dropped",
+    ]);
+  });
+
+  test("rejects mappings that give two types the same name", () => {
+    const mapper = new SanityModelMapper(
+      normalizeNameMapping({ types: { person: "post" } })
+    );
+    expect(() => mapper.apply(schemas(), objectTypes())).toThrow(
+      'The mapping gives post and person the same name "post"'
+    );
+  });
+});
@@ -0,0 +1,71 @@
+const {
+  normalizeNameMapping,
+  renameValue,
+} = require("../lib/utils/name-mapping");
+
+describe("normalizeNameMapping", () => {
+  test("accepts renames, drops and attribute overrides", () => {
+    expect(
+      normalizeNameMapping({
+        types: { person: "author", legacy: false },
+        fields: {
+          "post.mainImage": "cover",
+          "post.internal": false,
+          "post.body": { name: "content", type: "richtext" },
+        },
+      })
+    ).toEqual({
+      types: { person: "author", legacy: false },
+      fields: {
+        "post.mainImage": { name: "cover" },
+        "post.internal": { drop: true },
+        "post.body": { name: "content", attribute: { type: "richtext" } },
+      },
+      components: {},
+    });
+  });
+
+  test("rejects invalid names and types", () => {
+    expect(() => normalizeNameMapping({ fields: { body: "content" } })).toThrow(
+      'Invalid field mapping "body"'
+    );
+    expect(() =>
+      normalizeNameMapping({ fields: { "post.body": { type: "relation" } } })
+    ).toThrow('Unsupported type "relation" for "post.body"');
+    expect(() =>
+      normalizeNameMapping({ types: { person: "an author" } })
+    ).toThrow('Invalid name "an author"');
+  });
+});
+
+describe("renameValue", () => {
+  test("renames types and fields of typed objects at any depth", () => {
+    const renames = {
+      types: { person: "author", seo: "meta" },
+      fields: {
+        person: { bio: "biography", internal: null },
+        seo: { t: "title" },
+      },
+    };
+
+    expect(
+      renameValue(
+        {
+          _id: "p1",
+          _type: "person",
+          bio: "Hello",
+          internal: "x",
+          seo: { _type: "seo", t: "Meta" },
+          links: [{ _type: "link", t: "kept" }],
+        },
+        renames
+      )
+    ).toEqual({
+      _id: "p1",
+      _type: "author",
+      biography: "Hello",
+      seo: { _type: "meta", title: "Meta" },
+      links: [{ _type: "link", t: "kept" }],
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const {
+  StrapiNameValidator,
+  shortenIdentifier,
+} = require("../lib/core/name-validator");
+const { normalizeNameMapping } = require("../lib/utils/name-mapping");
+
+describe("StrapiNameValidator", () => {
+  const pluralize = (word) => `${word}s`;
+  const document = (fields) => ({
+    type: "document",
+    fields: fields.map((name) => ({ name, type: "string" })),
+  });
+
+  test("renames types, reserved attributes and colliding plural names", () => {
+    const validator = new StrapiNameValidator({ pluralize });
+    const { mapping, pluralNames, collectionNames } = validator.validate({
+      schemas: new Map([
+        ["blogPost", document(["id", "status", "sanityStatus", "title"])],
+        ["person", document(["createdAt"])],
+        ["persons", document([])],
+      ]),
+      objectTypes: new Map([["seo", { type: "object", fields: [] }]]),
+      singletonTypes: new Set(),
+      mapping: normalizeNameMapping({
+        fields: { "person.createdAt": { type: "date" } },
+      }),
+    });
+
+    expect(mapping.types).toEqual({ blogPost: "blog-post" });
+    expect(mapping.fields).toEqual({
+      "blogPost.id": { name: "sanityId" },
+      "blogPost.status": { name: "sanityStatus2" },
+      "person.createdAt": {
+        name: "sanityCreatedAt",
+        attribute: { type: "date" },
+      },
+    });
+    expect(pluralNames).toEqual(new Map([["person", "person-items"]]));
+    expect(collectionNames.size).toBe(0);
+    expect(validator.fixes.map((fix) => fix.kind)).toEqual([
+      "type",
+      "pluralName",
+      "attribute",
+      "attribute",
+      "attribute",
+    ]);
+  });
+
+  test("keeps documentId and status on Strapi 4", () => {
+    const validator = new StrapiNameValidator({ pluralize, strapiVersion: 4 });
+    const { mapping } = validator.validate({
+      schemas: new Map([
+        ["post", document(["id", "documentId", "status", "locale"])],
+      ]),
+      objectTypes: new Map(),
+      singletonTypes: new Set(),
+      mapping: normalizeNameMapping({}),
+    });
+
+    expect(mapping.fields).toEqual({
+      "post.id": { name: "sanityId" },
+      "post.locale": { name: "sanityLocale" },
+    });
+  });
+
+  test("flags reserved names inside inline objects", () => {
+    const validator = new StrapiNameValidator({ pluralize });
+    validator.validate({
+      schemas: new Map([
+        [
+          "post",
+          {
+            type: "document",
+            fields: [
+              {
+                name: "meta",
+                type: "object",
+                fields: [{ name: "locale", type: "string" }],
+              },
+            ],
+          },
+        ],
+      ]),
+      objectTypes: new Map(),
+      singletonTypes: new Set(),
+      mapping: normalizeNameMapping({}),
+    });
+
+    expect(validator.warnings).toEqual([
+      "post.meta.locale is not a valid Strapi attribute name; move the object to a named type to have it renamed",
+    ]);
+  });
+});
+
+describe("shortenIdentifier", () => {
+  test("keeps short names and hashes long ones", () => {
+    expect(shortenIdentifier("posts")).toBe("posts");
+
+    const shortened = shortenIdentifier(
+      "a_very_long_collection_name_for_a_content_type"
+    );
+    expect(shortened).toHaveLength(40);
+    expect(shortened).toMatch(/^a_very_long_collection_name_for_a_\w{6}$/);
+    expect(
+      shortenIdentifier("a_very_long_collection_name_for_a_content_type")
+    ).toBe(shortened);
+  });
+});
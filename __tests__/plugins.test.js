@@ -0,0 +1,151 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { loadPlugins } = require("../lib/utils/plugins");
+const DynamicSchemaGenerator = require("../lib/core/schema-generator");
+const UniversalContentMigrator = require("../lib/core/content-migrator");
+
+const muxPlugin = {
+  name: "mux",
+  types: {
+    "mux.video": {
+      attribute: (field, { component }) => ({
+        type: "component",
+        repeatable: false,
+        component: component("mux-video", {
+          title: "Mux video",
+          fields: [
+            { name: "playbackId", type: "string" },
+            { name: "duration", type: "number" },
+          ],
+        }),
+      }),
+      transform: (value) => ({
+        playbackId: value.asset?.playbackId,
+        duration: value.asset?.data?.duration,
+      }),
+    },
+  },
+};
+
+const iconPlugin = {
+  name: "icons",
+  types: {
+    iconPicker: {
+      attribute: () => ({ type: "string" }),
+      transform: (value) => `${value.provider}:${value.name}`,
+    },
+  },
+};
+
+describe("loadPlugins", () => {
+  test("loads plugin objects and modules by path", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "plugins-"));
+    const pluginPath = path.join(dir, "icons.js");
+    await fs.writeFile(
+      pluginPath,
+      'module.exports = { name: "icons", types: { iconPicker: { attribute: () => ({ type: "string" }) } } };'
+    );
+
+    const registry = loadPlugins({ plugins: [muxPlugin, pluginPath] });
+    expect(registry.plugins).toEqual([
+      { name: "mux", types: ["mux.video"] },
+      { name: "icons", types: ["iconPicker"] },
+    ]);
+    expect(registry.types.get("iconPicker").plugin).toBe("icons");
+
+    await fs.remove(dir);
+  });
+
+  test("rejects invalid and conflicting plugins", () => {
+    expect(() => loadPlugins({ plugins: ["./missing-plugin.js"] })).toThrow(
+      "Plugin not found"
+    );
+    expect(() => loadPlugins({ plugins: [{ types: {} }] })).toThrow(
+      "a plugin needs a name"
+    );
+    expect(() =>
+      loadPlugins({ plugins: [{ name: "bad", types: { icon: {} } }] })
+    ).toThrow('"icon" needs an attribute and/or transform function');
+    expect(() =>
+      loadPlugins({ plugins: [iconPlugin, { ...iconPlugin, name: "other" }] })
+    ).toThrow('Plugins icons and other both convert "iconPicker"');
+  });
+});
+
+describe("plugin converters", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("build attributes and components in the schema generator", () => {
+    const generator = new DynamicSchemaGenerator();
+    generator.plugins = loadPlugins({ plugins: [muxPlugin, iconPlugin] });
+    generator.schemas.set("post", {
+      name: "post",
+      type: "document",
+      fields: [
+        { name: "video", type: "mux.video" },
+        { name: "icon", type: "iconPicker", validation: { required: true } },
+      ],
+    });
+
+    const { attributes } = generator.convertToStrapiSchema(
+      generator.schemas.get("post")
+    );
+    expect(attributes).toEqual({
+      video: {
+        type: "component",
+        repeatable: false,
+        component: "shared.mux-video",
+      },
+      icon: { type: "string", required: true },
+    });
+    expect(generator.components.get("shared.mux-video").attributes).toEqual({
+      playbackId: { type: "string" },
+      duration: { type: "decimal" },
+    });
+    expect(generator.manifest.customTypes).toEqual({
+      post: { video: "mux.video", icon: "iconPicker" },
+    });
+  });
+
+  test("convert values in the content migrator", async () => {
+    const migrator = new UniversalContentMigrator({
+      plugins: [muxPlugin, iconPlugin],
+    });
+    migrator.manifest.customTypes = {
+      post: { video: "mux.video", icon: "iconPicker" },
+    };
+    migrator.componentMapping.set("shared.mux-video", {
+      attributes: {
+        playbackId: { type: "string" },
+        duration: { type: "decimal" },
+      },
+    });
+    const document = { _id: "post-1", _type: "post" };
+
+    expect(
+      await migrator.transformFieldWithSchema(
+        "icon",
+        { provider: "fa", name: "star" },
+        { type: "string" },
+        document,
+        "post"
+      )
+    ).toBe("fa:star");
+    expect(
+      await migrator.transformFieldWithSchema(
+        "video",
+        {
+          _type: "mux.video",
+          asset: { playbackId: "abc", data: { duration: 12.5 } },
+        },
+        { type: "component", repeatable: false, component: "shared.mux-video" },
+        document,
+        "post"
+      )
+    ).toEqual({ playbackId: "abc", duration: 12.5 });
+  });
+});
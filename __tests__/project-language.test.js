@@ -0,0 +1,78 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { resolveProjectLanguage } = require("../lib/utils/project-language");
+
+describe("resolveProjectLanguage", () => {
+  let root;
+
+  const createProject = async (name, files) => {
+    const projectPath = path.join(root, name);
+    for (const [file, content] of Object.entries(files)) {
+      await fs.outputFile(path.join(projectPath, file), content);
+    }
+    return projectPath;
+  };
+
+  beforeAll(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), "strapi-projects-"));
+  });
+
+  afterAll(() => fs.remove(root));
+
+  test("detects TypeScript, CommonJS and ESM projects", async () => {
+    const typescript = await createProject("ts", {
+      "tsconfig.json": "{}",
+      "src/index.ts": "export default {};",
+    });
+    const commonjs = await createProject("cjs", {
+      "src/index.js": "'use strict';\nmodule.exports = { register() {} };\n",
+    });
+    const esm = await createProject("esm", {
+      "package.json": JSON.stringify({ type: "module" }),
+      "src/index.js": "export default {};\n",
+    });
+
+    expect(resolveProjectLanguage({ strapiProjectPath: typescript })).toEqual({
+      language: "ts",
+      moduleType: "esm",
+    });
+    expect(resolveProjectLanguage({ strapiProjectPath: commonjs })).toEqual({
+      language: "js",
+      moduleType: "commonjs",
+    });
+    expect(resolveProjectLanguage({ strapiProjectPath: esm })).toEqual({
+      language: "js",
+      moduleType: "esm",
+    });
+  });
+
+  test("treats a fresh project without tsconfig.json as JavaScript", async () => {
+    const fresh = await createProject("fresh", {
+      "package.json": JSON.stringify({ name: "fresh" }),
+      "src/admin/.gitkeep": "",
+    });
+
+    expect(resolveProjectLanguage({ strapiProjectPath: fresh })).toEqual({
+      language: "js",
+      moduleType: "commonjs",
+    });
+    expect(
+      resolveProjectLanguage({ strapiProjectPath: path.join(root, "missing") })
+    ).toEqual({ language: "ts", moduleType: "esm" });
+  });
+
+  test("lets --language override detection", async () => {
+    const esm = path.join(root, "esm");
+
+    expect(
+      resolveProjectLanguage({ strapiProjectPath: esm, language: "ts" })
+    ).toEqual({ language: "ts", moduleType: "esm" });
+    expect(
+      resolveProjectLanguage({ strapiProjectPath: root, language: "js" })
+    ).toEqual({ language: "js", moduleType: "commonjs" });
+    expect(() => resolveProjectLanguage({ language: "coffee" })).toThrow(
+      'Unknown language "coffee"'
+    );
+  });
+});
@@ -0,0 +1,127 @@
+const StrapiSchemaDiffer = require("../lib/core/schema-differ");
+
+describe("StrapiSchemaDiffer", () => {
+  const postPath = "src/api/post/content-types/post/schema.json";
+  const seoPath = "src/components/shared/seo.json";
+  const customPath = "src/api/custom/content-types/custom/schema.json";
+
+  const post = {
+    kind: "collectionType",
+    attributes: {
+      title: { type: "string" },
+      legacy: { type: "string" },
+      status: { type: "enumeration", enum: ["draft", "live", "archived"] },
+      author: {
+        type: "relation",
+        relation: "manyToOne",
+        target: "api::person.person",
+      },
+    },
+  };
+
+  test("lists changes and flags the breaking ones", () => {
+    const differ = new StrapiSchemaDiffer();
+    const project = new Map([
+      [postPath, post],
+      [seoPath, { attributes: { metaTitle: { type: "string" } } }],
+      [customPath, { kind: "collectionType", attributes: {} }],
+    ]);
+    const generated = new Map([
+      [
+        postPath,
+        {
+          kind: "collectionType",
+          attributes: {
+            title: { type: "string", maxLength: 80 },
+            status: { type: "enumeration", enum: ["draft", "live"] },
+            author: {
+              type: "relation",
+              relation: "oneToOne",
+              target: "api::person.person",
+            },
+            summary: { type: "text" },
+          },
+        },
+      ],
+      ["src/components/shared/link.json", { attributes: {} }],
+    ]);
+
+    const result = differ.diff(project, generated, {
+      generatedBefore: new Set([postPath, seoPath]),
+    });
+
+    expect(result.components).toEqual({
+      added: ["shared.link"],
+      removed: ["shared.seo"],
+      changed: [],
+    });
+    expect(result.contentTypes.added).toEqual([]);
+    expect(result.contentTypes.removed).toEqual([]);
+    expect(result.contentTypes.changed).toEqual([
+      {
+        uid: "api::post.post",
+        settings: [],
+        attributes: {
+          added: [{ name: "summary", type: "text" }],
+          removed: [{ name: "legacy", type: "string" }],
+          changed: [
+            {
+              name: "title",
+              changes: [{ key: "maxLength", from: undefined, to: 80 }],
+            },
+            {
+              name: "status",
+              changes: [
+                {
+                  key: "enum",
+                  from: ["draft", "live", "archived"],
+                  to: ["draft", "live"],
+                },
+              ],
+            },
+          ],
+        },
+        relations: {
+          added: [],
+          removed: [],
+          changed: [
+            {
+              name: "author",
+              changes: [{ key: "relation", from: "manyToOne", to: "oneToOne" }],
+            },
+          ],
+        },
+      },
+    ]);
+    expect(result.breaking).toEqual([
+      {
+        uid: "api::post.post",
+        attribute: "legacy",
+        reason: "attribute removed",
+      },
+      {
+        uid: "api::post.post",
+        attribute: "status",
+        reason: "enum values removed: archived",
+      },
+      {
+        uid: "api::post.post",
+        attribute: "author",
+        reason: 'relation "manyToOne" -> "oneToOne"',
+      },
+      { uid: "shared.seo", attribute: null, reason: "component removed" },
+    ]);
+    expect(differ.isBreaking(result)).toBe(true);
+  });
+
+  test("reports no changes for identical models", () => {
+    const differ = new StrapiSchemaDiffer();
+    const result = differ.diff(
+      new Map([[postPath, post]]),
+      new Map([[postPath, JSON.parse(JSON.stringify(post))]])
+    );
+
+    expect(differ.isBreaking(result)).toBe(false);
+    expect(differ.formatText(result)).toBe("No changes.");
+  });
+});
@@ -0,0 +1,143 @@
+const SanitySchemaExtractReader = require("../lib/core/schema-extract-reader");
+
+const attribute = (value, optional = true) => ({
+  type: "objectAttribute",
+  value,
+  optional,
+});
+
+const reference = (target) => ({
+  type: "object",
+  attributes: {
+    _ref: attribute({ type: "string" }, false),
+    _type: attribute({ type: "string", value: "reference" }, false),
+  },
+  dereferencesTo: target,
+});
+
+const schema = [
+  {
+    name: "post",
+    type: "document",
+    attributes: {
+      _id: attribute({ type: "string" }, false),
+      _type: attribute({ type: "string", value: "post" }, false),
+      title: attribute({ type: "string" }, false),
+      slug: attribute({ type: "inline", name: "slug" }),
+      status: attribute({
+        type: "union",
+        of: [
+          { type: "string", value: "draft" },
+          { type: "string", value: "live" },
+        ],
+      }),
+      link: attribute({
+        type: "union",
+        of: [reference("post"), reference("page")],
+      }),
+      authors: attribute({
+        type: "array",
+        of: {
+          type: "object",
+          attributes: { ...reference("person").attributes, _key: attribute({ type: "string" }, false) },
+          dereferencesTo: "person",
+        },
+      }),
+      cover: attribute({
+        type: "object",
+        attributes: {
+          asset: attribute(reference("sanity.imageAsset")),
+          _type: attribute({ type: "string", value: "image" }, false),
+        },
+      }),
+      sections: attribute({
+        type: "array",
+        of: {
+          type: "union",
+          of: [
+            {
+              type: "object",
+              attributes: { _key: attribute({ type: "string" }, false) },
+              rest: { type: "inline", name: "hero" },
+            },
+            {
+              type: "object",
+              attributes: {
+                _type: attribute({ type: "string", value: "block" }, false),
+              },
+            },
+          ],
+        },
+      }),
+      seo: attribute({ type: "inline", name: "seo" }),
+    },
+  },
+  {
+    name: "hero",
+    type: "type",
+    value: {
+      type: "object",
+      attributes: {
+        _type: attribute({ type: "string", value: "hero" }, false),
+        heading: attribute({ type: "string" }),
+      },
+    },
+  },
+  {
+    name: "slug",
+    type: "type",
+    value: { type: "object", attributes: { current: attribute({ type: "string" }) } },
+  },
+  {
+    name: "sanity.imageAsset",
+    type: "document",
+    attributes: {},
+  },
+];
+
+describe("SanitySchemaExtractReader", () => {
+  test("converts documents and objects into parser-compatible types", () => {
+    const reader = new SanitySchemaExtractReader();
+    const types = reader.readEntries(schema, "schema.json");
+
+    expect(types.map((type) => `${type.type}:${type.name}`)).toEqual([
+      "document:post",
+      "object:hero",
+    ]);
+
+    const fields = Object.fromEntries(
+      types[0].fields.map((field) => [field.name, field])
+    );
+    expect(Object.keys(fields)).not.toContain("_id");
+    expect(fields.title).toEqual({
+      name: "title",
+      type: "string",
+      validation: { required: true },
+    });
+    expect(fields.slug).toEqual({ name: "slug", type: "slug" });
+    expect(fields.status.options.list.map((item) => item.value)).toEqual([
+      "draft",
+      "live",
+    ]);
+    expect(fields.link).toEqual({
+      name: "link",
+      type: "reference",
+      to: [{ type: "post" }, { type: "page" }],
+    });
+    expect(fields.authors.of).toEqual([
+      { type: "reference", to: [{ type: "person" }] },
+    ]);
+    expect(fields.cover.type).toBe("image");
+    expect(fields.sections.of).toEqual([{ type: "hero" }, { type: "block" }]);
+    expect(fields.seo).toEqual({ name: "seo", type: "seo" });
+    expect(types[1].fields).toEqual([{ name: "heading", type: "string" }]);
+    expect(reader.unresolved).toEqual([]);
+  });
+
+  test("rejects files that are not schema extracts", () => {
+    const reader = new SanitySchemaExtractReader();
+    expect(() => reader.readEntries({ types: [] }, "schema.json")).toThrow(
+      /sanity schema extract/
+    );
+  });
+});
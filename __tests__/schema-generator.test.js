@@ -0,0 +1,742 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const DynamicSchemaGenerator = require("../lib/core/schema-generator");
+
+describe("DynamicSchemaGenerator component collisions", () => {
+  const seo = (fields) => ({ name: "seo", type: "object", fields });
+  const createGenerator = (config) => {
+    const generator = new DynamicSchemaGenerator();
+    generator.config = {
+      componentNames: {
+        "post.seo": "meta.seo",
+        "page.seo": "meta.seo",
+        "product.seo": "meta.seo",
+      },
+      ...config,
+    };
+    return generator;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("merges compatible objects and scopes conflicting ones", () => {
+    const generator = createGenerator();
+
+    const post = generator.handleObjectField(
+      seo([{ name: "title", type: "string", validation: { required: true } }]),
+      "post"
+    );
+    const page = generator.handleObjectField(
+      seo([
+        { name: "title", type: "string", validation: { required: true } },
+        { name: "noIndex", type: "boolean" },
+      ]),
+      "page"
+    );
+    const product = generator.handleObjectField(
+      seo([{ name: "title", type: "number" }]),
+      "product"
+    );
+
+    expect([post.component, page.component, product.component]).toEqual([
+      "meta.seo",
+      "meta.seo",
+      "meta.product-seo",
+    ]);
+    expect(generator.components.get("meta.seo").attributes).toEqual({
+      title: { type: "string", required: true },
+      noIndex: { type: "boolean" },
+    });
+    expect(generator.collidingComponents.map((c) => c.resolution)).toEqual([
+      "merged",
+      "scoped",
+    ]);
+  });
+
+  test("shares identical objects and scopes everything with scope", () => {
+    const generator = createGenerator({ componentCollisions: "scope" });
+    const fields = [{ name: "title", type: "string" }];
+
+    expect(generator.handleObjectField(seo(fields), "post").component).toBe(
+      "meta.seo"
+    );
+    expect(generator.handleObjectField(seo(fields), "page").component).toBe(
+      "meta.seo"
+    );
+    expect(
+      generator.handleObjectField(
+        seo([...fields, { name: "noIndex", type: "boolean" }]),
+        "product"
+      ).component
+    ).toBe("meta.product-seo");
+  });
+});
+
+describe("DynamicSchemaGenerator types inferred from data", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("narrows attribute types of renamed fields and reports them", () => {
+    const generator = new DynamicSchemaGenerator();
+    generator.nameMapping.fields["post.views"] = { name: "viewCount" };
+    generator.schemas.set("post", {
+      name: "post",
+      type: "document",
+      fields: [
+        { name: "views", type: "number" },
+        { name: "price", type: "number" },
+        { name: "summary", type: "string" },
+        { name: "kind", type: "string" },
+      ],
+    });
+
+    for (let index = 0; index < 20; index++) {
+      generator.fieldStatistics.addDocument({
+        _id: `post-${index}`,
+        _type: "post",
+        views: index * 10,
+        price: index + 0.5,
+        summary: index === 0 ? "x".repeat(300) : "short",
+        kind: index % 2 ? "draft" : "live",
+      });
+    }
+    generator.applyNameMapping();
+
+    const { attributes } = generator.convertToStrapiSchema(
+      generator.schemas.get("post")
+    );
+    expect(attributes).toEqual({
+      viewCount: { type: "integer" },
+      price: { type: "decimal" },
+      summary: { type: "text" },
+      kind: { type: "enumeration", enum: ["draft", "live"] },
+    });
+    expect(
+      Array.from(generator.typeInferences.values(), ({ field, to }) => [
+        field,
+        to,
+      ])
+    ).toEqual([
+      ["post.viewCount", "integer"],
+      ["post.summary", "text"],
+      ["post.kind", "enumeration"],
+    ]);
+  });
+});
+
+describe("DynamicSchemaGenerator Sanity field types", () => {
+  const convertPost = (fields, config = {}) => {
+    const generator = new DynamicSchemaGenerator();
+    generator.config = config;
+    generator.schemas.set("post", { name: "post", type: "document", fields });
+    generator.registerBuiltInTypes();
+    generator.applyNameMapping();
+    const { attributes } = generator.convertToStrapiSchema(
+      generator.schemas.get("post")
+    );
+    return { generator, attributes };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("maps geopoints and code to shared components", () => {
+    const { generator, attributes } = convertPost([
+      { name: "location", type: "geopoint" },
+      { name: "snippets", type: "array", of: [{ type: "code" }] },
+    ]);
+
+    expect(attributes.location).toEqual({
+      type: "component",
+      repeatable: false,
+      component: "shared.geopoint",
+    });
+    expect(attributes.snippets).toMatchObject({
+      type: "component",
+      repeatable: true,
+      component: "shared.code",
+    });
+    expect(generator.components.get("shared.geopoint").attributes).toEqual({
+      lat: { type: "decimal", required: true },
+      lng: { type: "decimal", required: true },
+      alt: { type: "decimal" },
+    });
+    expect(
+      Object.keys(generator.components.get("shared.code").attributes)
+    ).toEqual(["language", "filename", "code", "highlightedLines"]);
+  });
+
+  test("maps colors to hex strings or a component", () => {
+    const fields = [{ name: "accent", type: "color" }];
+
+    expect(convertPost(fields).attributes.accent).toEqual({
+      type: "string",
+      regex: "^#[0-9a-fA-F]{6}([0-9a-fA-F]{2})?$",
+    });
+    expect(
+      convertPost(fields, { colorFormat: "component" }).attributes.accent
+    ).toMatchObject({ type: "component", component: "shared.color" });
+    expect(() => convertPost(fields, { colorFormat: "rgb" })).toThrow(
+      'Unknown color format "rgb"'
+    );
+  });
+
+  test("maps urls to validated strings and markdown to richtext", () => {
+    const { attributes } = convertPost([
+      { name: "website", type: "url" },
+      {
+        name: "feed",
+        type: "url",
+        validation: { uri: { scheme: ["https"] } },
+      },
+      {
+        name: "link",
+        type: "url",
+        validation: { uri: { allowRelative: true } },
+      },
+      { name: "notes", type: "markdown" },
+    ]);
+
+    expect(attributes).toEqual({
+      website: { type: "string", regex: "^(?:http|https|mailto|tel):\\S+$" },
+      feed: { type: "string", regex: "^(?:https):\\S+$" },
+      link: { type: "string" },
+      notes: { type: "richtext" },
+    });
+  });
+
+  test("keeps studio types that share a built-in name", () => {
+    const { generator } = convertPost([{ name: "location", type: "geopoint" }]);
+    generator.objectTypes.clear();
+    generator.objectTypes.set("geopoint", {
+      name: "geopoint",
+      type: "object",
+      fields: [{ name: "city", type: "string" }],
+    });
+    generator.registerBuiltInTypes();
+
+    expect(generator.objectTypes.get("geopoint").fields).toEqual([
+      { name: "city", type: "string" },
+    ]);
+  });
+});
+
+describe("DynamicSchemaGenerator model source", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("fails for a studio path that does not exist", async () => {
+    const generator = new DynamicSchemaGenerator();
+    await expect(
+      generator.generateFromSanityProject("./missing-studio", "./missing", {
+        dryRun: true,
+      })
+    ).rejects.toThrow("Schema path not found");
+    expect(generator.dataInferrer).toBeNull();
+  });
+});
+
+describe("DynamicSchemaGenerator logging", () => {
+  const convertPost = async (options) => {
+    const logger = { log: jest.fn(), warn: jest.fn() };
+    const generator = new DynamicSchemaGenerator({ logger, ...options });
+    generator.schemas.set("post", {
+      name: "post",
+      type: "document",
+      fields: [
+        {
+          name: "related",
+          type: "array",
+          of: [
+            { type: "reference", to: [{ type: "post" }, { type: "page" }] },
+            { type: "hero" },
+          ],
+        },
+      ],
+    });
+    generator.schemas.set("page", { name: "page", type: "document" });
+    generator.applyNameMapping();
+    await generator.collectAllReferences();
+    generator.convertToStrapiSchema(generator.schemas.get("post"));
+    return logger;
+  };
+
+  test("sends progress and problems to the logger", async () => {
+    const logger = await convertPost({});
+    expect(logger.log).toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining("members are dropped")
+    );
+  });
+
+  test("keeps only the problems when quiet", async () => {
+    const logger = await convertPost({ quiet: true });
+    expect(logger.log).not.toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining("members are dropped")
+    );
+  });
+});
+
+describe("DynamicSchemaGenerator multi-target references", () => {
+  const convertPost = async (config, postFields = []) => {
+    const generator = new DynamicSchemaGenerator();
+    generator.config = config;
+    generator.schemas.set("post", {
+      name: "post",
+      type: "document",
+      fields: [
+        {
+          name: "related",
+          type: "array",
+          of: [
+            { type: "reference", to: [{ type: "post" }, { type: "page" }] },
+            { type: "hero" },
+          ],
+        },
+        {
+          name: "parent",
+          type: "reference",
+          to: [{ type: "post" }, { type: "page" }],
+          validation: { required: true },
+        },
+        ...postFields,
+      ],
+    });
+    generator.schemas.set("page", {
+      name: "page",
+      type: "document",
+      fields: [{ name: "title", type: "string" }],
+    });
+    generator.applyNameMapping();
+    await generator.collectAllReferences();
+    const { attributes } = generator.convertToStrapiSchema(
+      generator.schemas.get("post")
+    );
+    return { generator, attributes };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("become dynamic zones of link components by default", async () => {
+    const { generator, attributes } = await convertPost({});
+
+    expect(attributes.related).toEqual({
+      type: "dynamiczone",
+      components: ["links.post-link", "links.page-link"],
+    });
+    expect(attributes.parent).toEqual({
+      type: "dynamiczone",
+      components: ["links.post-link", "links.page-link"],
+      max: 1,
+      required: true,
+    });
+    expect(generator.components.get("links.page-link").attributes).toEqual({
+      page: {
+        type: "relation",
+        relation: "oneToOne",
+        target: "api::page.page",
+      },
+    });
+    expect(generator.manifest.references.post).toEqual({
+      related: {
+        strategy: "dynamiczone",
+        isArray: true,
+        targets: { post: "links.post-link", page: "links.page-link" },
+      },
+      parent: {
+        strategy: "dynamiczone",
+        isArray: false,
+        targets: { post: "links.post-link", page: "links.page-link" },
+      },
+    });
+    expect(console.warn).toHaveBeenCalledWith(
+      expect.stringContaining("post.related: hero members are dropped")
+    );
+  });
+
+  test("become one relation per target without overwriting fields", async () => {
+    const { generator, attributes } = await convertPost(
+      { multiTargetReferences: "relations" },
+      [{ name: "relatedPost", type: "string" }]
+    );
+
+    expect(attributes).toEqual({
+      relatedPost2: {
+        type: "relation",
+        relation: "oneToMany",
+        target: "api::post.post",
+      },
+      relatedPage: {
+        type: "relation",
+        relation: "oneToMany",
+        target: "api::page.page",
+      },
+      parentPost: {
+        type: "relation",
+        relation: "oneToOne",
+        target: "api::post.post",
+      },
+      parentPage: {
+        type: "relation",
+        relation: "oneToOne",
+        target: "api::page.page",
+      },
+      relatedPost: { type: "string" },
+    });
+    expect(generator.manifest.references.post.related).toEqual({
+      strategy: "relations",
+      isArray: true,
+      targets: { post: "relatedPost2", page: "relatedPage" },
+    });
+    expect(generator.namingFixes).toContainEqual(
+      expect.objectContaining({ from: "relatedPost", to: "relatedPost2" })
+    );
+  });
+
+  test("become json and reject unknown strategies", async () => {
+    const { generator, attributes } = await convertPost({
+      multiTargetReferences: "json",
+    });
+
+    expect(attributes.related).toEqual({ type: "json" });
+    expect(attributes.parent).toEqual({ type: "json", required: true });
+    expect(generator.manifest.references.post.related.targets).toEqual({});
+    expect(console.warn).not.toHaveBeenCalled();
+
+    await expect(
+      convertPost({ multiTargetReferences: "union" })
+    ).rejects.toThrow('Unknown multi-target reference strategy "union"');
+  });
+});
+
+describe("DynamicSchemaGenerator dynamic zones", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("hold one component per array member type", () => {
+    const generator = new DynamicSchemaGenerator();
+    generator.objectTypes.set("hero", {
+      name: "hero",
+      type: "object",
+      fields: [{ name: "heading", type: "string" }],
+    });
+    generator.schemas.set("page", {
+      name: "page",
+      type: "document",
+      fields: [
+        {
+          name: "sections",
+          type: "array",
+          of: [
+            { type: "hero" },
+            {
+              type: "object",
+              name: "cta",
+              fields: [{ name: "label", type: "string" }],
+            },
+            { type: "image" },
+          ],
+        },
+      ],
+    });
+    generator.applyNameMapping();
+
+    const { attributes } = generator.convertToStrapiSchema(
+      generator.schemas.get("page")
+    );
+    expect(attributes.sections).toEqual({
+      type: "dynamiczone",
+      components: ["shared.hero", "page.sections-cta", "page.sections-image"],
+    });
+    expect(Array.from(generator.components.keys())).toEqual([
+      "shared.hero",
+      "page.sections-cta",
+      "page.sections-image",
+    ]);
+    expect(generator.components.get("page.sections-cta").attributes).toEqual({
+      label: { type: "string" },
+    });
+    expect(generator.manifest.dynamicZones).toEqual({
+      page: {
+        sections: {
+          hero: "shared.hero",
+          cta: "page.sections-cta",
+          image: "page.sections-image",
+        },
+      },
+    });
+  });
+});
+
+describe("DynamicSchemaGenerator shared components", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("turn a named object type into one component for every user", () => {
+    const generator = new DynamicSchemaGenerator();
+    generator.objectTypes.set("seo", {
+      name: "seo",
+      type: "object",
+      fields: [{ name: "metaTitle", type: "string" }],
+    });
+    generator.schemas.set("post", {
+      name: "post",
+      type: "document",
+      fields: [{ name: "seo", type: "seo" }],
+    });
+    generator.schemas.set("page", {
+      name: "page",
+      type: "document",
+      fields: [
+        { name: "metadata", type: "seo" },
+        { name: "variants", type: "array", of: [{ type: "seo" }] },
+      ],
+    });
+    generator.applyNameMapping();
+
+    const post = generator.convertToStrapiSchema(generator.schemas.get("post"));
+    const page = generator.convertToStrapiSchema(generator.schemas.get("page"));
+
+    expect(post.attributes.seo).toEqual({
+      type: "component",
+      repeatable: false,
+      component: "shared.seo",
+    });
+    expect(page.attributes.metadata).toEqual(post.attributes.seo);
+    expect(page.attributes.variants).toMatchObject({
+      type: "component",
+      repeatable: true,
+      component: "shared.seo",
+    });
+    expect(Array.from(generator.components.keys())).toEqual(["shared.seo"]);
+    expect(generator.components.get("shared.seo").attributes).toEqual({
+      metaTitle: { type: "string" },
+    });
+  });
+});
+
+describe("DynamicSchemaGenerator field settings", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("map initial values, readOnly, hidden and descriptions", () => {
+    const generator = new DynamicSchemaGenerator();
+    generator.schemas.set("post", {
+      name: "post",
+      type: "document",
+      initialValue: { featured: true, rating: "high" },
+      fields: [
+        {
+          name: "title",
+          type: "string",
+          initialValue: "Untitled",
+          description: "Shown in lists",
+        },
+        { name: "featured", type: "boolean" },
+        { name: "rating", type: "number" },
+        { name: "legacyId", type: "string", readOnly: true, hidden: true },
+        {
+          name: "summary",
+          type: "text",
+          readOnly: () => false,
+          deprecated: { reason: "Use excerpt" },
+        },
+      ],
+    });
+    generator.applyNameMapping();
+
+    const { attributes } = generator.convertToStrapiSchema(
+      generator.schemas.get("post")
+    );
+    expect(attributes).toEqual({
+      title: { type: "string", default: "Untitled" },
+      featured: { type: "boolean", default: true },
+      rating: { type: "decimal" },
+      legacyId: { type: "string", configurable: false },
+      summary: { type: "text" },
+    });
+    expect(generator.unmappedInitialValues).toEqual([
+      {
+        path: "post.rating",
+        reason: 'Strapi decimal attributes cannot default to "high"',
+      },
+    ]);
+    expect(generator.deprecatedFields).toEqual([
+      { field: "post.summary", reason: "Use excerpt" },
+    ]);
+    expect(
+      generator.getContentManagerEntry("api::post.post").metadatas
+    ).toEqual({
+      title: { edit: { description: "Shown in lists" } },
+      legacyId: { edit: { editable: false, visible: false } },
+      summary: { edit: { description: "Deprecated: Use excerpt" } },
+    });
+  });
+});
+
+describe("DynamicSchemaGenerator content-manager settings", () => {
+  const convertPost = (definition) => {
+    const generator = new DynamicSchemaGenerator();
+    generator.schemas.set("post", {
+      name: "post",
+      type: "document",
+      ...definition,
+    });
+    generator.applyNameMapping();
+    generator.convertToStrapiSchema(generator.schemas.get("post"));
+    return generator;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("lay out groups and fieldsets and pick the main field", () => {
+    const generator = convertPost({
+      groups: [{ name: "content" }, { name: "seo", default: true }],
+      fieldsets: [{ name: "meta", options: { columns: 2 } }],
+      preview: {
+        select: { title: "title", subtitle: "published", media: "cover" },
+      },
+      fields: [
+        { name: "title", type: "string", group: "content" },
+        { name: "published", type: "boolean", group: "content" },
+        { name: "cover", type: "image" },
+        { name: "metaTitle", type: "string", group: "seo", fieldset: "meta" },
+        {
+          name: "metaDescription",
+          type: "text",
+          group: "seo",
+          fieldset: "meta",
+        },
+        { name: "views", type: "number" },
+        { name: "notes", type: "string", hidden: true },
+      ],
+    });
+
+    const entry = generator.getContentManagerEntry("api::post.post");
+    expect(entry.settings).toEqual({ mainField: "title" });
+    expect(entry.layouts).toEqual({
+      edit: [
+        [{ name: "metaTitle", size: 6 }],
+        [{ name: "metaDescription", size: 12 }],
+        [
+          { name: "title", size: 6 },
+          { name: "published", size: 4 },
+        ],
+        [
+          { name: "cover", size: 6 },
+          { name: "views", size: 6 },
+        ],
+      ],
+      list: ["id", "title", "published", "cover"],
+    });
+  });
+
+  test("only use top-level text and number attributes as main field", () => {
+    const withTitle = (title) =>
+      convertPost({
+        preview: { select: { title } },
+        fields: [
+          { name: "featured", type: "boolean" },
+          { name: "author", type: "reference", to: [{ type: "person" }] },
+        ],
+      }).getContentManagerEntry("api::post.post").settings;
+
+    expect(withTitle("featured")).toBeUndefined();
+    expect(withTitle("author.name")).toBeUndefined();
+  });
+
+  test("apply the settings once from the bootstrap helper", async () => {
+    const generator = convertPost({
+      preview: { select: { title: "title" } },
+      fields: [
+        { name: "title", type: "string", description: "Headline" },
+        { name: "views", type: "number" },
+      ],
+    });
+    generator.projectLanguage = { language: "js", moduleType: "commonjs" };
+    const template = generator.generateContentManagerTemplate(
+      Object.fromEntries(generator.contentManager)
+    );
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "content-manager-"));
+    const helperPath = path.join(dir, "sanity-content-manager.js");
+    await fs.writeFile(helperPath, template);
+    const applySanityContentManager = require(helperPath);
+
+    const values = new Map([
+      [
+        "content_manager.configuration_content_types::api::post.post",
+        {
+          settings: { mainField: "id" },
+          metadatas: { title: { edit: { label: "title" } } },
+          layouts: {
+            list: ["id"],
+            edit: [[{ name: "views", size: 4 }], [{ name: "title", size: 6 }]],
+          },
+        },
+      ],
+    ]);
+    const strapi = {
+      log: { warn: jest.fn() },
+      store: ({ name }) => ({
+        get: async ({ key }) => values.get(`${name}.${key}`),
+        set: async ({ key, value }) => values.set(`${name}.${key}`, value),
+      }),
+    };
+    await applySanityContentManager(strapi);
+
+    expect(
+      values.get("content_manager.configuration_content_types::api::post.post")
+    ).toEqual({
+      settings: { mainField: "title" },
+      metadatas: {
+        title: { edit: { label: "title", description: "Headline" }, list: {} },
+      },
+      layouts: {
+        list: ["id", "title"],
+        edit: [
+          [
+            { name: "title", size: 6 },
+            { name: "views", size: 6 },
+          ],
+        ],
+      },
+    });
+    expect(values.get("sanity_migration.content_manager_applied")).toBe(true);
+
+    // Settings edited in the admin panel afterwards are kept
+    values.set("content_manager.configuration_content_types::api::post.post", {
+      settings: { mainField: "views" },
+    });
+    await applySanityContentManager(strapi);
+    expect(
+      values.get("content_manager.configuration_content_types::api::post.post")
+    ).toEqual({ settings: { mainField: "views" } });
+
+    await fs.remove(dir);
+  });
+});
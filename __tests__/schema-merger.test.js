@@ -0,0 +1,110 @@
+const StrapiSchemaMerger = require("../lib/core/schema-merger");
+const { createUnifiedDiff } = require("../lib/utils/unified-diff");
+
+describe("StrapiSchemaMerger", () => {
+  const base = {
+    kind: "collectionType",
+    options: { draftAndPublish: true },
+    attributes: {
+      title: { type: "string", maxLength: 80 },
+      body: { type: "text" },
+      legacy: { type: "string" },
+    },
+  };
+
+  test("follows generator changes and keeps hand edits", () => {
+    const current = {
+      kind: "collectionType",
+      options: { draftAndPublish: true, reviewWorkflows: true },
+      attributes: {
+        title: { type: "string", maxLength: 80, private: true },
+        body: { type: "text" },
+        legacy: { type: "string" },
+        notes: { type: "text" },
+      },
+    };
+    const generated = {
+      kind: "collectionType",
+      options: { draftAndPublish: true },
+      attributes: {
+        title: { type: "string", maxLength: 120 },
+        body: { type: "richtext" },
+        summary: { type: "string" },
+      },
+    };
+
+    const { merged, conflicts } = new StrapiSchemaMerger().merge(
+      base,
+      current,
+      generated
+    );
+
+    expect(conflicts).toEqual([]);
+    expect(merged).toEqual({
+      kind: "collectionType",
+      options: { draftAndPublish: true, reviewWorkflows: true },
+      attributes: {
+        title: { type: "string", maxLength: 120, private: true },
+        body: { type: "richtext" },
+        notes: { type: "text" },
+        summary: { type: "string" },
+      },
+    });
+  });
+
+  test("keeps the project's value when both sides changed it", () => {
+    const merger = new StrapiSchemaMerger();
+    const current = {
+      ...base,
+      attributes: {
+        ...base.attributes,
+        title: { type: "email", maxLength: 50 },
+      },
+    };
+    const generated = {
+      ...base,
+      attributes: { ...base.attributes, title: { type: "text" } },
+    };
+
+    const { merged, conflicts } = merger.merge(base, current, generated);
+
+    expect(merged.attributes.title).toEqual({ type: "email", maxLength: 50 });
+    expect(conflicts).toEqual([
+      {
+        path: ["attributes", "title", "type"],
+        current: "email",
+        generated: "text",
+      },
+      {
+        path: ["attributes", "title", "maxLength"],
+        current: 50,
+        generated: undefined,
+      },
+    ]);
+
+    const diff = createUnifiedDiff(
+      JSON.stringify(merged, null, 2),
+      JSON.stringify(merger.resolveToGenerated(merged, conflicts), null, 2),
+      { fromFile: "a/schema.json", toFile: "b/schema.json" }
+    );
+    expect(diff).toContain(
+      '-      "type": "email",\n-      "maxLength": 50\n+      "type": "text"'
+    );
+  });
+
+  test("only adds missing values without a previous run", () => {
+    const { merged, conflicts } = new StrapiSchemaMerger().merge(
+      null,
+      { attributes: { title: { type: "string", maxLength: 50 } } },
+      { attributes: { title: { type: "string" }, body: { type: "text" } } }
+    );
+
+    expect(merged).toEqual({
+      attributes: {
+        title: { type: "string", maxLength: 50 },
+        body: { type: "text" },
+      },
+    });
+    expect(conflicts).toEqual([]);
+  });
+});
@@ -0,0 +1,320 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { SanitySchemaParser } = require("../lib/core/schema-parser");
+
+describe("SanitySchemaParser", () => {
+  test("parses defineType/defineField/defineArrayMember calls", () => {
+    const parser = new SanitySchemaParser();
+    const [post] = parser.parseSource(`
+      import { defineType, defineField, defineArrayMember } from "sanity";
+      import { DocumentIcon } from "@sanity/icons";
+
+      export default defineType({
+        name: "post",
+        title: \`Blog post\`,
+        type: "document",
+        icon: DocumentIcon,
+        fields: [
+          defineField({
+            name: "title",
+            type: "string",
+            validation: (Rule) => Rule.required().min(3).max(80),
+          }),
+          defineField({
+            name: "slug",
+            type: "slug",
+            options: { source: "title" },
+          }),
+          defineField({
+            name: "categories",
+            type: "array",
+            of: [
+              defineArrayMember({ type: "reference", to: [{ type: "category" }] }),
+            ],
+          }),
+          defineField({
+            name: "status",
+            type: "string",
+            options: { list: ["draft", { title: "Live", value: "live" }] },
+          }),
+        ],
+      });
+    `);
+
+    expect(post.name).toBe("post");
+    expect(post.title).toBe("Blog post");
+    expect(post.fields.map((field) => field.name)).toEqual([
+      "title",
+      "slug",
+      "categories",
+      "status",
+    ]);
+    expect(post.fields[0].validation).toEqual({
+      required: true,
+      min: 3,
+      max: 80,
+    });
+    expect(post.fields[1].options.source).toBe("title");
+    expect(post.fields[2].of[0].to).toEqual([{ type: "category" }]);
+    expect(post.fields[3].options.list).toEqual([
+      { title: "draft", value: "draft" },
+      { title: "Live", value: "live" },
+    ]);
+    expect(parser.unresolved).toEqual([]);
+  });
+
+  test("handles deep nesting, local helpers, spreads and comments", () => {
+    const parser = new SanitySchemaParser();
+    const [page] = parser.parseSource(`
+      // Shared fields
+      const seoFields = [{ name: "metaTitle", type: "string" }];
+      function textField(name, required = false) {
+        return { name, type: "text", validation: (r) => (required ? r.required() : r) };
+      }
+
+      export const page = {
+        name: "page",
+        type: "document",
+        fields: [
+          textField("intro", true),
+          {
+            name: "a",
+            type: "object",
+            fields: [
+              {
+                name: "b",
+                type: "object",
+                fields: [
+                  {
+                    name: "c",
+                    type: "object",
+                    /* four levels deep */
+                    fields: [{ name: "d", type: "array", of: [{ type: "string" }] }],
+                  },
+                ],
+              },
+            ],
+          },
+          { name: "seo", type: "object", fields: [...seoFields] },
+        ],
+      };
+    `);
+
+    expect(page.fields[0]).toEqual({
+      name: "intro",
+      type: "text",
+      validation: { required: true },
+    });
+    expect(page.fields[1].fields[0].fields[0].fields[0]).toEqual({
+      name: "d",
+      type: "array",
+      of: [{ type: "string" }],
+    });
+    expect(page.fields[2].fields).toEqual([
+      { name: "metaTitle", type: "string" },
+    ]);
+  });
+
+  test("treats a conditional validation without rules as none", () => {
+    const parser = new SanitySchemaParser();
+    const [product] = parser.parseSource(`
+      function stringField(name, required = false) {
+        return {
+          name,
+          type: "string",
+          validation: required ? (Rule) => Rule.required() : undefined,
+        };
+      }
+
+      export const product = {
+        name: "product",
+        type: "document",
+        fields: [
+          stringField("title", true),
+          stringField("subtitle"),
+          { name: "sku", type: "string", validation: "required" },
+        ],
+      };
+    `);
+
+    expect(product.fields).toEqual([
+      { name: "title", type: "string", validation: { required: true } },
+      { name: "subtitle", type: "string" },
+      { name: "sku", type: "string" },
+    ]);
+    expect(parser.unresolved).toEqual([
+      {
+        file: undefined,
+        line: undefined,
+        path: "product.fields.sku.validation",
+        reason: "validation is not a function",
+        code: undefined,
+      },
+    ]);
+  });
+
+  test("keeps validation rules and lists the ones without a static meaning", () => {
+    const parser = new SanitySchemaParser();
+    const [product] = parser.parseSource(
+      `
+      export default {
+        name: "product",
+        type: "document",
+        fields: [
+          {
+            name: "sku",
+            type: "string",
+            validation: (Rule) => Rule.required().regex(/^[A-Z]{3}-\\d+$/).length(7),
+          },
+          { name: "email", type: "string", validation: (Rule) => Rule.email() },
+          {
+            name: "price",
+            type: "number",
+            validation: (Rule) => [
+              Rule.positive().precision(2),
+              Rule.max(1000).warning("Expensive"),
+              Rule.custom((price) => price !== 13 || "Unlucky"),
+            ],
+          },
+          { name: "tags", type: "array", of: [{ type: "string" }], validation: (Rule) => Rule.unique().max(5) },
+        ],
+      };
+    `,
+      "product.ts"
+    );
+
+    const [sku, email, price, tags] = product.fields.map(
+      (field) => field.validation
+    );
+    expect(sku).toEqual({
+      required: true,
+      regex: { pattern: "^[A-Z]{3}-\\d+$", flags: "", invert: false },
+      length: 7,
+    });
+    expect(email).toEqual({ email: true });
+    expect(price).toEqual({
+      positive: true,
+      precision: 2,
+      custom: [
+        expect.objectContaining({
+          rule: "custom",
+          file: "product.ts",
+          code: 'custom((price) => price !== 13 || "Unlucky")',
+        }),
+      ],
+    });
+    expect(tags).toEqual({ unique: true, max: 5 });
+  });
+
+  test("reports constructs it cannot evaluate", () => {
+    const parser = new SanitySchemaParser();
+    const [author] = parser.parseSource(
+      `
+      import { sharedFields } from "./shared";
+
+      export default {
+        name: "author",
+        type: "document",
+        fields: [
+          ...sharedFields,
+          { name: "name", type: "string", hidden: ({ document }) => !document.name },
+        ],
+      };
+    `,
+      "author.ts"
+    );
+
+    expect(author.fields).toEqual([{ name: "name", type: "string" }]);
+    expect(parser.unresolved).toEqual([
+      expect.objectContaining({
+        file: "author.ts",
+        path: "author.fields[0]",
+        reason: '"sharedFields" is imported from "./shared"',
+      }),
+      expect.objectContaining({
+        path: "author.fields.name.hidden",
+        reason: "function value",
+      }),
+    ]);
+  });
+
+  describe("across modules", () => {
+    let studioPath;
+
+    beforeAll(async () => {
+      studioPath = await fs.mkdtemp(path.join(os.tmpdir(), "sanity-studio-"));
+      const files = {
+        "sanity.config.ts": `
+          import { defineConfig } from "sanity";
+          import { structureTool } from "sanity/structure";
+          import { schemaTypes } from "./schemaTypes";
+          export default defineConfig({
+            name: "default",
+            plugins: [structureTool()],
+            schema: { types: (prev) => [...prev, ...schemaTypes] },
+          });
+        `,
+        "schemaTypes/index.ts": `
+          import post from "./documents/post";
+          export * from "./objects";
+          import { seo } from "./objects";
+          export const schemaTypes = [post, seo];
+        `,
+        "schemaTypes/objects/index.ts": `
+          export { default as seo } from "./seo";
+        `,
+        "schemaTypes/objects/seo.ts": `
+          import { defineType } from "sanity";
+          import { seoFields } from "../shared/fields";
+          export default defineType({ name: "seo", type: "object", fields: seoFields });
+        `,
+        "schemaTypes/shared/fields.ts": `
+          export const seoFields = [{ name: "metaTitle", type: "string" }];
+          export const publishing = [{ name: "publishedAt", type: "datetime" }];
+        `,
+        "schemaTypes/documents/post.ts": `
+          import * as shared from "../shared/fields";
+          export default {
+            name: "post",
+            type: "document",
+            fields: [{ name: "title", type: "string" }, ...shared.publishing],
+          };
+        `,
+      };
+
+      for (const [file, source] of Object.entries(files)) {
+        await fs.outputFile(path.join(studioPath, file), source);
+      }
+    });
+
+    afterAll(() => fs.remove(studioPath));
+
+    test("resolves imports, re-exports and spreads from sanity.config", () => {
+      const parser = new SanitySchemaParser();
+      const types = parser.parseConfigTypes(
+        path.join(studioPath, "sanity.config.ts")
+      );
+
+      expect(types.map((type) => type.name)).toEqual(["post", "seo"]);
+      expect(types[0].fields.map((field) => field.name)).toEqual([
+        "title",
+        "publishedAt",
+      ]);
+      expect(types[1].fields).toEqual([{ name: "metaTitle", type: "string" }]);
+      expect(types[1].sourceFile).toBe(
+        path.join(studioPath, "schemaTypes/objects/seo.ts")
+      );
+      expect(parser.unresolved).toEqual([]);
+    });
+
+    test("resolves the schemaTypes index", () => {
+      const parser = new SanitySchemaParser();
+      const types = parser.parseIndexTypes(
+        path.join(studioPath, "schemaTypes/index.ts")
+      );
+
+      expect(types.map((type) => type.name)).toEqual(["post", "seo"]);
+    });
+  });
+});
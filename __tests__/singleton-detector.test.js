@@ -0,0 +1,82 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { SanitySchemaParser } = require("../lib/core/schema-parser");
+const SanitySingletonDetector = require("../lib/core/singleton-detector");
+
+describe("SanitySingletonDetector", () => {
+  let studioPath;
+
+  beforeAll(async () => {
+    studioPath = await fs.mkdtemp(path.join(os.tmpdir(), "sanity-studio-"));
+    const files = {
+      "sanity.config.ts": `
+        import { defineConfig } from "sanity";
+        import { structureTool } from "sanity/structure";
+        import { structure } from "./structure";
+
+        const singletonActions = new Set(["publish", "discardChanges"]);
+        const singletonTypes = new Set(["settings"]);
+
+        export default defineConfig({
+          plugins: [structureTool({ structure })],
+          schema: {
+            types: [],
+            templates: (templates) =>
+              templates.filter(({ schemaType }) => !singletonTypes.has(schemaType)),
+          },
+          document: {
+            newDocumentOptions: (prev) =>
+              prev.filter((item) => item.templateId !== "navigation"),
+            actions: (input, context) =>
+              context.schemaType === "footer"
+                ? input.filter(({ action }) => singletonActions.has(action))
+                : input,
+          },
+        });
+      `,
+      "structure.ts": `
+        const singletonListItem = (S, typeName, title) =>
+          S.listItem()
+            .title(title)
+            .id(typeName)
+            .child(S.document().schemaType(typeName).documentId(typeName));
+
+        export const structure = (S) =>
+          S.list()
+            .title("Content")
+            .items([
+              singletonListItem(S, "settings", "Settings"),
+              S.listItem()
+                .title("Home")
+                .child(
+                  S.editor().id("home").schemaType("homePage").documentId("home")
+                ),
+              S.documentTypeListItem("post"),
+            ]);
+      `,
+      "node_modules/pkg/structure.js": `
+        S.document().schemaType("ignored").documentId("ignored");
+      `,
+    };
+
+    for (const [file, source] of Object.entries(files)) {
+      await fs.outputFile(path.join(studioPath, file), source);
+    }
+  });
+
+  afterAll(() => fs.remove(studioPath));
+
+  test("finds fixed documents in the structure and hidden templates in the config", () => {
+    const detector = new SanitySingletonDetector(new SanitySchemaParser());
+    const singletons = detector.detect(studioPath);
+
+    expect(
+      singletons.map(({ type, documentId, via }) => ({ type, documentId, via }))
+    ).toEqual([
+      { type: "settings", documentId: "settings", via: "structure" },
+      { type: "navigation", documentId: null, via: "config" },
+      { type: "homePage", documentId: "home", via: "structure" },
+    ]);
+  });
+});
@@ -0,0 +1,35 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { resolveStrapiVersion } = require("../lib/utils/strapi-version");
+
+describe("resolveStrapiVersion", () => {
+  let strapiPath;
+
+  beforeAll(async () => {
+    strapiPath = await fs.mkdtemp(path.join(os.tmpdir(), "strapi-project-"));
+    await fs.writeJSON(path.join(strapiPath, "package.json"), {
+      dependencies: { "@strapi/strapi": "^4.25.1" },
+    });
+  });
+
+  afterAll(() => fs.remove(strapiPath));
+
+  test("prefers the explicit option, then the project, then the manifest", () => {
+    expect(
+      resolveStrapiVersion({
+        strapiVersion: "5",
+        strapiProjectPath: strapiPath,
+      })
+    ).toBe(5);
+    expect(resolveStrapiVersion({ strapiProjectPath: strapiPath }, 5)).toBe(4);
+    expect(resolveStrapiVersion({ strapiProjectPath: os.tmpdir() }, 4)).toBe(4);
+    expect(resolveStrapiVersion({ strapiProjectPath: os.tmpdir() })).toBe(5);
+  });
+
+  test("rejects unsupported versions", () => {
+    expect(() => resolveStrapiVersion({ strapiVersion: 3 })).toThrow(
+      'Unsupported Strapi version "3"'
+    );
+  });
+});
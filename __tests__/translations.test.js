@@ -0,0 +1,296 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const {
+  normalizeI18nConfig,
+  getTranslations,
+  getInternationalizedArrayType,
+  collectLanguages,
+  localizeValue,
+} = require("../lib/utils/translations");
+const DynamicSchemaGenerator = require("../lib/core/schema-generator");
+const UniversalContentMigrator = require("../lib/core/content-migrator");
+
+const exportedDocuments = [
+  { _id: "post-en", _type: "post", language: "en", title: "Hello" },
+  { _id: "post-de", _type: "post", language: "de", title: "Hallo" },
+  { _id: "post-fr", _type: "post", language: "fr", title: "Bonjour" },
+  {
+    _id: "post-en-de-fr",
+    _type: "translation.metadata",
+    schemaTypes: ["post"],
+    translations: [
+      { _key: "en", value: { _ref: "post-en" } },
+      { _key: "de", value: { _ref: "post-de" } },
+      { _key: "fr", value: { _ref: "post-fr" } },
+    ],
+  },
+];
+
+describe("translation helpers", () => {
+  test("normalize the i18n configuration", () => {
+    expect(normalizeI18nConfig()).toEqual({
+      languageField: "language",
+      defaultLocale: null,
+      locales: {},
+      schemaTypes: [],
+    });
+    expect(normalizeI18nConfig({ schemaTypes: "post" }).schemaTypes).toEqual([
+      "post",
+    ]);
+  });
+
+  test("read translations keyed by language or holding it", () => {
+    expect(
+      getTranslations({
+        translations: [
+          { _key: "en", value: { _ref: "post-en" } },
+          { _key: "a1b2", language: "de", value: { _ref: "post-de" } },
+          { _key: "fr" },
+        ],
+      })
+    ).toEqual([
+      { language: "en", id: "post-en" },
+      { language: "de", id: "post-de" },
+    ]);
+  });
+});
+
+const internationalizedTitle = [
+  { _key: "en", _type: "internationalizedArrayStringValue", value: "Hello" },
+  { _key: "fr", _type: "internationalizedArrayStringValue", value: "Bonjour" },
+];
+
+describe("internationalized arrays", () => {
+  test("name the type of their values", () => {
+    expect(getInternationalizedArrayType("internationalizedArrayString")).toBe(
+      "String"
+    );
+    expect(
+      getInternationalizedArrayType("internationalizedArrayStringValue")
+    ).toBeNull();
+    expect(getInternationalizedArrayType("string")).toBeNull();
+  });
+
+  test("are replaced by the value in one language", () => {
+    const value = {
+      title: internationalizedTitle,
+      seo: {
+        _type: "seo",
+        description: [
+          {
+            _key: "a1",
+            _type: "internationalizedArrayTextValue",
+            language: "de",
+            value: "Hallo",
+          },
+        ],
+      },
+      tags: ["news"],
+    };
+
+    expect(Array.from(collectLanguages(value))).toEqual(["en", "fr", "de"]);
+    expect(localizeValue(value, "fr")).toEqual({
+      title: "Bonjour",
+      seo: { _type: "seo" },
+      tags: ["news"],
+    });
+  });
+
+  test("become localized attributes in the schema generator", () => {
+    const generator = new DynamicSchemaGenerator();
+    generator.config = {};
+    generator.objectTypes.set("seo", {
+      name: "seo",
+      type: "object",
+      fields: [{ name: "description", type: "internationalizedArrayText" }],
+    });
+    generator.schemas.set("post", {
+      name: "post",
+      type: "document",
+      fields: [
+        { name: "title", type: "internationalizedArrayString" },
+        { name: "seo", type: "seo" },
+        { name: "views", type: "number" },
+      ],
+    });
+    generator.translationLanguages = new Set(["en", "fr"]);
+
+    generator.registerInternationalizedFields();
+    generator.registerLocalizedTypes();
+    generator.applyNameMapping();
+
+    const schema = generator.convertToStrapiSchema(
+      generator.schemas.get("post")
+    );
+    expect(schema.pluginOptions).toEqual({ i18n: { localized: true } });
+    expect(schema.attributes).toEqual({
+      title: { type: "string", pluginOptions: { i18n: { localized: true } } },
+      seo: {
+        type: "component",
+        repeatable: false,
+        component: "shared.seo",
+        pluginOptions: { i18n: { localized: true } },
+      },
+      views: { type: "decimal", pluginOptions: { i18n: { localized: false } } },
+    });
+    expect(generator.manifest.i18n).toMatchObject({
+      types: [],
+      fieldTypes: ["post"],
+      defaultLocale: "en",
+    });
+  });
+
+  test("are migrated as localizations of one entry", async () => {
+    const migrator = new UniversalContentMigrator({ strapiVersion: 5 });
+    migrator.manifest.i18n = {
+      types: [],
+      fieldTypes: ["post"],
+      languageField: "language",
+      defaultLocale: "fr",
+      locales: { en: "en-GB" },
+    };
+    migrator.schemaMapping.set("post", {
+      kind: "collectionType",
+      info: { singularName: "post", pluralName: "posts" },
+      attributes: {
+        title: { type: "string", pluginOptions: { i18n: { localized: true } } },
+        views: {
+          type: "integer",
+          pluginOptions: { i18n: { localized: false } },
+        },
+      },
+    });
+    migrator.strapiApi = {
+      post: jest.fn(async () => ({ data: { data: { documentId: "d1" } } })),
+      put: jest.fn(async () => ({ data: { data: { documentId: "d1" } } })),
+    };
+
+    await migrator.migrateDocument(
+      { _id: "post-1", _type: "post", title: internationalizedTitle, views: 3 },
+      "post"
+    );
+
+    expect(migrator.strapiApi.post.mock.calls).toEqual([
+      ["/api/posts?locale=fr", { data: { title: "Bonjour", views: 3 } }],
+    ]);
+    expect(migrator.strapiApi.put.mock.calls).toEqual([
+      ["/api/posts/d1?locale=en-GB", { data: { title: "Hello" } }],
+    ]);
+  });
+});
+
+describe("translated documents", () => {
+  let exportPath;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    exportPath = await fs.mkdtemp(path.join(os.tmpdir(), "sanity-export-"));
+    await fs.writeFile(
+      path.join(exportPath, "data.ndjson"),
+      exportedDocuments.map((doc) => JSON.stringify(doc)).join("\n")
+    );
+  });
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(exportPath);
+  });
+
+  test("become localized types in the schema generator", async () => {
+    const generator = new DynamicSchemaGenerator();
+    generator.config = { i18n: { locales: { de: "de-DE" } } };
+    generator.schemas.set("post", {
+      name: "post",
+      type: "document",
+      fields: [
+        { name: "title", type: "string" },
+        { name: "language", type: "string", readOnly: true },
+      ],
+    });
+
+    await generator.analyzeExportedData(exportPath);
+    generator.registerLocalizedTypes();
+    generator.applyNameMapping();
+
+    const schema = generator.convertToStrapiSchema(
+      generator.schemas.get("post")
+    );
+    expect(schema.pluginOptions).toEqual({ i18n: { localized: true } });
+    expect(schema.attributes).toEqual({
+      title: { type: "string", pluginOptions: { i18n: { localized: true } } },
+    });
+    expect(generator.manifest.i18n).toEqual({
+      types: ["post"],
+      fieldTypes: [],
+      languageField: "language",
+      defaultLocale: "en",
+      locales: { en: "en", de: "de-DE", fr: "fr" },
+    });
+  });
+
+  test("are created as localizations of the base entry", async () => {
+    const migrator = new UniversalContentMigrator({ strapiVersion: 5 });
+    migrator.manifest.i18n = {
+      types: ["post"],
+      languageField: "language",
+      defaultLocale: "en",
+      locales: { de: "de-DE" },
+    };
+    migrator.manifest.renames.fields.post = { language: null };
+    migrator.schemaMapping.set("post", {
+      kind: "collectionType",
+      info: { singularName: "post", pluralName: "posts" },
+      attributes: { title: { type: "string" } },
+    });
+    migrator.strapiApi = {
+      post: jest.fn(async () => ({ data: { data: { documentId: "d1" } } })),
+      put: jest.fn(async () => ({ data: { data: { documentId: "d1" } } })),
+    };
+
+    const { documents } = await migrator.loadSanityData(exportPath);
+    expect(documents).toHaveLength(3);
+    await migrator.migrateTypeDocuments(documents, "post");
+
+    expect(migrator.strapiApi.post.mock.calls).toEqual([
+      ["/api/posts?locale=en", { data: { title: "Hello" } }],
+    ]);
+    expect(migrator.strapiApi.put.mock.calls).toEqual([
+      ["/api/posts/d1?locale=de-DE", { data: { title: "Hallo" } }],
+      ["/api/posts/d1?locale=fr", { data: { title: "Bonjour" } }],
+    ]);
+  });
+
+  test("use the localizations endpoint on Strapi 4", async () => {
+    const migrator = new UniversalContentMigrator({ strapiVersion: 4 });
+    migrator.manifest.i18n = {
+      types: ["post"],
+      languageField: "language",
+      defaultLocale: "en",
+      locales: {},
+    };
+    migrator.migrationState.entities.set("post-en", {
+      strapiId: 7,
+      contentType: "post",
+      locale: "en",
+    });
+    migrator.sanityDocumentTypes.set("post-en", "post");
+    migrator.sanityDocumentTypes.set("post-de", "post");
+    migrator.addTranslationGroup(exportedDocuments[3]);
+    migrator.strapiApi = { post: jest.fn(async () => ({ data: { id: 8 } })) };
+
+    const localization = migrator.getLocalization(
+      { _id: "drafts.post-de" },
+      "post"
+    );
+    expect(localization).toMatchObject({ locale: "de", baseId: "post-en" });
+    await migrator.createStrapiLocalization(
+      "post",
+      { title: "Hallo" },
+      localization
+    );
+    expect(migrator.strapiApi.post).toHaveBeenCalledWith(
+      "/api/posts/7/localizations",
+      { title: "Hallo", locale: "de" }
+    );
+  });
+});
@@ -0,0 +1,61 @@
+const StrapiTypeDefinitions = require("../lib/core/type-definitions");
+
+describe("StrapiTypeDefinitions", () => {
+  test("maps attributes to REST response types", () => {
+    const contentTypes = new Map([
+      [
+        "api::blog-post.blog-post",
+        {
+          options: { draftAndPublish: true },
+          attributes: {
+            title: { type: "string", required: true },
+            status: { type: "enumeration", enum: ["draft", "live"] },
+            cover: { type: "media", multiple: false },
+            tags: {
+              type: "relation",
+              relation: "manyToMany",
+              target: "api::blog-post.blog-post",
+            },
+            owner: {
+              type: "relation",
+              relation: "manyToOne",
+              target: "plugin::users-permissions.user",
+            },
+            seo: { type: "component", component: "shared.seo" },
+            "og-image": { type: "json" },
+          },
+        },
+      ],
+    ]);
+    const components = new Map([
+      ["shared.seo", { attributes: { metaTitle: { type: "string" } } }],
+    ]);
+
+    const output = new StrapiTypeDefinitions(4).generate(
+      contentTypes,
+      components
+    );
+
+    expect(output).toContain(
+      [
+        "export interface BlogPost {",
+        "  id: number;",
+        "  createdAt: string;",
+        "  updatedAt: string;",
+        "  publishedAt: string | null;",
+        "  title: string;",
+        '  status?: "draft" | "live";',
+        "  cover?: Media | null;",
+        "  tags?: BlogPost[];",
+        "  owner?: unknown | null;",
+        "  seo?: SharedSeo | null;",
+        '  "og-image"?: unknown;',
+        "}",
+      ].join("\n")
+    );
+    expect(output).toContain(
+      "export interface SharedSeo {\n  id: number;\n  metaTitle?: string;\n}"
+    );
+    expect(output).not.toContain("documentId");
+  });
+});
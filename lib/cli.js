@@ -10,6 +10,7 @@ const { validateConfig, validatePaths } = require("./utils/validation");
 const { createLogger } = require("./utils/logger");
 const analyzeCommand = require("./commands/analyze");
 const schemasCommand = require("./commands/schemas");
+const schemasDiffCommand = require("./commands/schemas-diff");
 const contentCommand = require("./commands/content");
 const migrateCommand = require("./commands/migrate");
 
@@ -76,13 +77,57 @@ class SanitystrapiCLI {
       .option("--interactive", "Run in interactive mode")
       .option("--sanity-project <path>", "Path to Sanity studio project")
       .option("--sanity-export <path>", "Path to Sanity export data")
+      .option(
+        "--sanity-schema <path>",
+        "Path to schema JSON from `sanity schema extract` (replaces studio source)"
+      )
+      .option(
+        "--infer-from-data",
+        "Infer the Sanity model from data.ndjson instead of studio source"
+      )
       .option("--strapi-project <path>", "Path to Strapi project")
       .option("--strapi-url <url>", "Strapi server URL")
+      .option(
+        "--strapi-version <version>",
+        "Target Strapi major version (4|5, default: detected from the Strapi project)"
+      )
       .option(
         "--asset-provider <provider>",
         "Asset provider (strapi|cloudinary)"
       )
       .option("--api-token <token>", "Strapi API token")
+      .option(
+        "--multi-target-references <strategy>",
+        "Mapping for references with several target types (dynamiczone|relations|json)"
+      )
+      .option(
+        "--component-category <name>",
+        "Category for components generated from named object types (default: shared)"
+      )
+      .option(
+        "--component-collisions <strategy>",
+        "When different objects get the same component name (merge|scope, default: merge)"
+      )
+      .option(
+        "--color-format <format>",
+        "How color input fields are stored (hex|component, default: hex)"
+      )
+      .option(
+        "--mapping <path>",
+        "JSON or JS file renaming or dropping types and fields and overriding attribute types"
+      )
+      .option(
+        "--language <language>",
+        "Language of generated API files (js|ts, default: detected from the Strapi project)"
+      )
+      .option(
+        "--types",
+        "Also write TypeScript definitions of the generated models to types/sanity-migration.d.ts"
+      )
+      .option(
+        "--merge",
+        "Merge into existing Strapi schemas and keep hand edits instead of overwriting"
+      )
       .option("--verbose", "Enable verbose logging");
 
     // Analyze command
@@ -99,7 +144,7 @@ class SanitystrapiCLI {
       });
 
     // Schemas command
-    program
+    const schemas = program
       .command("schemas")
       .description("Generate Strapi schemas from Sanity project")
       .action(async () => {
@@ -111,6 +156,21 @@ class SanitystrapiCLI {
         }
       });
 
+    schemas
+      .command("diff")
+      .description(
+        "Show what `schemas` would change in the Strapi project (exits 1 on breaking changes)"
+      )
+      .option("--format <format>", "Output format (text|json)", "text")
+      .action(async (options) => {
+        try {
+          const config = await this.getConfig();
+          await schemasDiffCommand(config, this.logger, options);
+        } catch (error) {
+          this.handleError(error);
+        }
+      });
+
     // Content command
     program
       .command("content")
@@ -192,18 +252,51 @@ class SanitystrapiCLI {
     if (options.sanityExport) {
       config.sanityExportPath = options.sanityExport;
     }
+    if (options.sanitySchema) {
+      config.sanitySchemaPath = options.sanitySchema;
+    }
+    if (options.inferFromData) {
+      config.inferSchemaFromData = true;
+    }
     if (options.strapiProject) {
       config.strapiProjectPath = options.strapiProject;
     }
     if (options.strapiUrl) {
       config.strapiUrl = options.strapiUrl;
     }
+    if (options.strapiVersion) {
+      config.strapiVersion = options.strapiVersion;
+    }
     if (options.assetProvider) {
       config.assetProvider = options.assetProvider;
     }
     if (options.apiToken) {
       config.apiToken = options.apiToken;
     }
+    if (options.multiTargetReferences) {
+      config.multiTargetReferences = options.multiTargetReferences;
+    }
+    if (options.componentCategory) {
+      config.componentCategory = options.componentCategory;
+    }
+    if (options.componentCollisions) {
+      config.componentCollisions = options.componentCollisions;
+    }
+    if (options.colorFormat) {
+      config.colorFormat = options.colorFormat;
+    }
+    if (options.mapping) {
+      config.mapping = options.mapping;
+    }
+    if (options.language) {
+      config.language = options.language;
+    }
+    if (options.types) {
+      config.generateTypes = true;
+    }
+    if (options.merge) {
+      config.merge = true;
+    }
     if (options.verbose !== undefined) {
       config.verbose = options.verbose;
     }
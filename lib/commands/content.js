@@ -10,6 +10,8 @@ module.exports = async function contentCommand(config, logger) {
       apiToken: config.apiToken,
       assetProvider: config.assetProvider,
       strapiProjectPath: config.strapiProjectPath || config.strapiProject,
+      strapiVersion: config.strapiVersion,
+      plugins: config.plugins,
       cloudinary: {
         cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
         api_key: process.env.CLOUDINARY_API_KEY,
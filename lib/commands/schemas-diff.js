@@ -0,0 +1,67 @@
+// lib/commands/schemas-diff.js
+const chalk = require("chalk");
+const DynamicSchemaGenerator = require("../core/schema-generator");
+const StrapiSchemaDiffer = require("../core/schema-differ");
+
+const FORMATS = ["text", "json"];
+
+module.exports = async function schemasDiffCommand(config, logger, options) {
+  const format = options.format || "text";
+  if (!FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown diff format "${format}", expected one of: ${FORMATS.join(", ")}`
+    );
+  }
+
+  const strapiProjectPath = config.strapiProjectPath || "../strapi-project";
+  // The generator logs every step; keep stdout for the diff itself
+  const generator = new DynamicSchemaGenerator({ quiet: !config.verbose });
+  await generator.generateFromSanityProject(
+    config.sanityProjectPath || config.sanityProject,
+    config.sanityExportPath || config.sanityExport,
+    { ...config, strapiProjectPath, dryRun: true }
+  );
+
+  const differ = new StrapiSchemaDiffer();
+  const generatedModels = new Map();
+  for (const [relativePath, content] of generator.projectWriter.files) {
+    if (differ.describeModel(relativePath)) {
+      generatedModels.set(relativePath, JSON.parse(content));
+    }
+  }
+
+  const result = differ.diff(
+    await differ.loadProjectModels(strapiProjectPath),
+    generatedModels,
+    { generatedBefore: await generator.projectWriter.listBaseline() }
+  );
+
+  if (format === "json") {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(colorize(differ.formatText(result)));
+  }
+
+  if (differ.isBreaking(result)) {
+    if (format === "text") {
+      logger.error(`${result.breaking.length} breaking changes`);
+    }
+    process.exitCode = 1;
+  }
+
+  return result;
+};
+
+function colorize(text) {
+  return text
+    .split("\n")
+    .map((line) => {
+      const marker = line.trim()[0];
+      if (marker === "+") return chalk.green(line);
+      if (marker === "-") return chalk.red(line);
+      if (marker === "~") return chalk.yellow(line);
+      if (marker === "!") return chalk.red.bold(line);
+      return line;
+    })
+    .join("\n");
+}
@@ -6,6 +6,23 @@ const readline = require("readline");
 const axios = require("axios");
 const FormData = require("form-data");
 const { v2: cloudinary } = require("cloudinary");
+const { readManifest, createManifest } = require("../utils/migration-manifest");
+const { resolveStrapiVersion } = require("../utils/strapi-version");
+const { renameValue } = require("../utils/name-mapping");
+const { pluralize } = require("../utils/inflection");
+const { loadPlugins } = require("../utils/plugins");
+const {
+  TRANSLATION_METADATA_TYPE,
+  getTranslations,
+  collectLanguages,
+  localizeValue,
+} = require("../utils/translations");
+
+// Fields of built-in objects that repeat other fields of the same value
+// (color inputs store the color as hex and in three other notations)
+const DERIVED_FIELDS = {
+  color: ["hsl", "hsv", "rgb"],
+};
 
 class UniversalContentMigrator {
   constructor(config = {}) {
@@ -34,6 +51,7 @@ class UniversalContentMigrator {
       assets: new Map(), // sanityAssetId -> strapiAssetId/cloudinaryUrl
       entities: new Map(), // sanityId -> strapiId
       pendingRelationships: [], // Relationships to update after all entities are created
+      pendingFields: [], // Fields re-sent once every referenced entity exists
       errors: [],
       progress: {
         assets: { total: 0, completed: 0, failed: 0 },
@@ -45,6 +63,14 @@ class UniversalContentMigrator {
     // Schema mapping - loaded from generated Strapi schemas
     this.schemaMapping = new Map(); // sanityType -> strapiSchema
     this.componentMapping = new Map(); // componentKey -> component schema
+    this.manifest = createManifest(); // Generator decisions (see migration-manifest)
+    this.sanityDocumentTypes = new Map(); // sanityId -> _type, for routing references
+    this.documentLanguages = new Map(); // sanityId -> language of a translated document
+    this.translationGroups = new Map(); // sanityId -> Map(language -> sanityId) of its translations
+    this.resolvingDeferredFields = false;
+    this.strapiVersion = resolveStrapiVersion(this.config); // Refined by the manifest
+    this.plugins = loadPlugins(this.config); // Converters for custom Sanity types
+    this.missingPluginTypes = new Set(); // Custom types already warned about
 
     // API client setup
     this.strapiApi = axios.create({
@@ -124,6 +150,13 @@ class UniversalContentMigrator {
       }
     }
 
+    this.manifest = await readManifest(this.config.strapiProjectPath);
+    this.strapiVersion = resolveStrapiVersion(
+      this.config,
+      this.manifest.strapiVersion
+    );
+    console.log(`Targeting Strapi v${this.strapiVersion}`);
+
     console.log(
       `Loaded ${this.schemaMapping.size} schemas and ${this.componentMapping.size} components`
     );
@@ -175,8 +208,10 @@ class UniversalContentMigrator {
       throw new Error(`data.ndjson not found at ${ndjsonPath}`);
     }
 
-    // Load documents
+    // Load documents, renamed to the Strapi names the generator chose
+    const { renames, i18n } = this.manifest;
     const documents = [];
+    let droppedCount = 0;
     const fileStream = fs.createReadStream(ndjsonPath);
     const rl = readline.createInterface({
       input: fileStream,
@@ -185,14 +220,33 @@ class UniversalContentMigrator {
 
     for await (const line of rl) {
       try {
-        const doc = JSON.parse(line);
+        const exported = JSON.parse(line);
+        if (exported._type === TRANSLATION_METADATA_TYPE) {
+          this.addTranslationGroup(exported);
+          continue;
+        }
+        if (renames.types[exported._type] === null) {
+          droppedCount++;
+          continue;
+        }
+
+        const doc = renameValue(exported, renames);
+        // The language field is dropped from the model, read it first
+        const language = i18n && exported[i18n.languageField];
+        if (i18n?.types.includes(doc._type) && typeof language === "string") {
+          this.documentLanguages.set(this.publishedId(doc._id), language);
+        }
         if (!doc._type.startsWith("sanity.")) {
           documents.push(doc);
+          this.sanityDocumentTypes.set(this.publishedId(doc._id), doc._type);
         }
       } catch (error) {
         console.warn(`Skipped invalid JSON line: ${line.substring(0, 100)}...`);
       }
     }
+    if (droppedCount > 0) {
+      console.log(`Skipped ${droppedCount} documents of dropped types`);
+    }
 
     // Load assets
     let assets = [];
@@ -308,6 +362,7 @@ class UniversalContentMigrator {
 
     // Group documents by type for dependency management
     const documentsByType = this.groupDocumentsByType(documents);
+    this.selectSingletonDocuments(documentsByType);
 
     // Define migration order - dependencies first
     const migrationOrder = [
@@ -322,31 +377,37 @@ class UniversalContentMigrator {
     for (const contentType of migrationOrder) {
       const docs = documentsByType[contentType] || [];
       if (docs.length > 0) {
-        console.log(`Migrating ${docs.length} ${contentType} documents...`);
-
-        for (let i = 0; i < docs.length; i += this.config.batchSize) {
-          const batch = docs.slice(i, i + this.config.batchSize);
-          await this.migrateBatch(batch, contentType);
-
-          if (i + this.config.batchSize < docs.length) {
-            await this.delay(500);
-          }
-        }
+        await this.migrateTypeDocuments(docs, contentType);
       }
     }
 
     // Handle any remaining types not in the order
     for (const [contentType, docs] of Object.entries(documentsByType)) {
       if (!migrationOrder.includes(contentType)) {
-        console.log(`Migrating ${docs.length} ${contentType} documents...`);
+        await this.migrateTypeDocuments(docs, contentType);
+      }
+    }
+  }
 
-        for (let i = 0; i < docs.length; i += this.config.batchSize) {
-          const batch = docs.slice(i, i + this.config.batchSize);
-          await this.migrateBatch(batch, contentType);
+  // Translations become localizations of their base entry, so base
+  // entries are created first
+  async migrateTypeDocuments(docs, contentType) {
+    console.log(`Migrating ${docs.length} ${contentType} documents...`);
 
-          if (i + this.config.batchSize < docs.length) {
-            await this.delay(500);
-          }
+    const isLocalization = (doc) =>
+      Boolean(this.getLocalization(doc, contentType)?.baseId);
+    const stages = [
+      docs.filter((doc) => !isLocalization(doc)),
+      docs.filter(isLocalization),
+    ];
+
+    for (const stageDocs of stages) {
+      for (let i = 0; i < stageDocs.length; i += this.config.batchSize) {
+        const batch = stageDocs.slice(i, i + this.config.batchSize);
+        await this.migrateBatch(batch, contentType);
+
+        if (i + this.config.batchSize < stageDocs.length) {
+          await this.delay(500);
         }
       }
     }
@@ -363,6 +424,44 @@ class UniversalContentMigrator {
     return grouped;
   }
 
+  // A single type holds one entry (per locale): keep the document the desk
+  // structure edits (or the first one) and report the others
+  selectSingletonDocuments(documentsByType) {
+    for (const [contentType, docs] of Object.entries(documentsByType)) {
+      if (!this.isSingleType(contentType) || docs.length <= 1) continue;
+
+      const documentsByLocale = new Map();
+      for (const doc of docs) {
+        const locale = this.getLocalization(doc, contentType)?.locale || null;
+        if (!documentsByLocale.has(locale)) documentsByLocale.set(locale, []);
+        documentsByLocale.get(locale).push(doc);
+      }
+
+      const documentId = this.manifest.singletons[contentType];
+      const selectedDocs = [];
+      for (const localeDocs of documentsByLocale.values()) {
+        const selected =
+          localeDocs.find((doc) => documentId && doc._id === documentId) ||
+          localeDocs.find(
+            (doc) => documentId && this.publishedId(doc._id) === documentId
+          ) ||
+          localeDocs[0];
+        selectedDocs.push(selected);
+
+        const skipped = localeDocs.filter((doc) => doc !== selected);
+        if (skipped.length === 0) continue;
+        console.warn(
+          `⚠️ ${contentType} is a single type: migrating ${
+            selected._id
+          }, skipping ${skipped.map((doc) => doc._id).join(", ")}`
+        );
+        this.migrationState.progress.entities.total -= skipped.length;
+      }
+
+      documentsByType[contentType] = selectedDocs;
+    }
+  }
+
   async migrateBatch(documents, contentType) {
     const promises = documents.map((doc) =>
       this.migrateDocument(doc, contentType)
@@ -383,17 +482,30 @@ class UniversalContentMigrator {
       }
 
       // Transform document using schema-aware transformation
+      const localization = this.getLocalization(document, contentType);
       const strapiData = await this.transformDocumentWithSchema(
         document,
         strapiSchema,
-        contentType
+        contentType,
+        localization?.language
       );
 
-      // Create entity in Strapi
-      const response = await this.createStrapiEntity(contentType, strapiData);
+      // Create entity in Strapi, translations as localizations of their
+      // base entry
+      const response = localization?.baseId
+        ? await this.createStrapiLocalization(
+            contentType,
+            strapiData,
+            localization
+          )
+        : await this.createStrapiEntity(
+            contentType,
+            strapiData,
+            localization?.locale
+          );
 
       // Extract entity IDs from response
-      const entityData = response.data?.data || response.data;
+      const entityData = this.unwrapEntity(response.data);
       const entityId = entityData?.id;
       const documentId = entityData?.documentId;
 
@@ -402,6 +514,7 @@ class UniversalContentMigrator {
         strapiId: entityId,
         documentId: documentId,
         contentType,
+        locale: localization?.locale || null,
         originalData: document,
       });
 
@@ -411,6 +524,15 @@ class UniversalContentMigrator {
           entityId || "NO_ID"
         } (docId: ${documentId || "NO_DOC_ID"})`
       );
+
+      for (const language of localization?.variants || []) {
+        await this.migrateLocaleVariant(
+          document,
+          strapiSchema,
+          contentType,
+          language
+        );
+      }
     } catch (error) {
       this.migrationState.progress.entities.failed++;
       this.migrationState.errors.push({
@@ -427,9 +549,56 @@ class UniversalContentMigrator {
     }
   }
 
-  // NEW: Schema-aware document transformation
-  async transformDocumentWithSchema(document, strapiSchema, contentType) {
+  // The other languages of internationalized array fields become
+  // localizations of the entry; only its localized attributes are sent, the
+  // others are shared by all locales
+  async migrateLocaleVariant(document, strapiSchema, contentType, language) {
+    const locale = this.getLocale(language);
+    try {
+      const localizedFields = Object.fromEntries(
+        Object.entries(document).filter(
+          ([fieldName]) =>
+            fieldName.startsWith("_") ||
+            strapiSchema.attributes[fieldName]?.pluginOptions?.i18n?.localized
+        )
+      );
+      const strapiData = await this.transformDocumentWithSchema(
+        localizedFields,
+        strapiSchema,
+        contentType,
+        language
+      );
+      await this.createStrapiLocalization(contentType, strapiData, {
+        locale,
+        baseId: this.publishedId(document._id),
+      });
+      console.log(`Created ${contentType}: ${document._id} (${locale})`);
+    } catch (error) {
+      this.migrationState.errors.push({
+        type: "localization",
+        contentType,
+        id: document._id,
+        locale,
+        error: error.message,
+        stack: error.stack,
+      });
+      console.error(
+        `Failed to migrate ${contentType} ${document._id} (${locale}):`,
+        error.message
+      );
+    }
+  }
+
+  // NEW: Schema-aware document transformation. With a language, the values
+  // of internationalized array fields in that language are used
+  async transformDocumentWithSchema(
+    document,
+    strapiSchema,
+    contentType,
+    language = null
+  ) {
     const transformed = {};
+    const values = language ? localizeValue(document, language) : document;
 
     // Skip Sanity system fields
     const skipFields = [
@@ -441,9 +610,26 @@ class UniversalContentMigrator {
       "_system",
     ];
 
-    for (const [sanityFieldName, sanityValue] of Object.entries(document)) {
+    for (const [sanityFieldName, sanityValue] of Object.entries(values)) {
       if (skipFields.includes(sanityFieldName)) continue;
 
+      // Multi-target references split into one relation per target type
+      const referenceRouting = this.getReferenceRouting(
+        contentType,
+        sanityFieldName
+      );
+      if (referenceRouting?.strategy === "relations") {
+        this.storeRelationshipForProcessing(
+          contentType,
+          document._id,
+          sanityFieldName,
+          sanityValue,
+          { relation: referenceRouting.isArray ? "oneToMany" : "oneToOne" },
+          referenceRouting
+        );
+        continue;
+      }
+
       // Check if this field exists in the Strapi schema
       const strapiFieldConfig = strapiSchema.attributes[sanityFieldName];
       if (!strapiFieldConfig) {
@@ -474,11 +660,14 @@ class UniversalContentMigrator {
       }
     }
 
-    // Handle published state
-    if (!transformed.publishedAt && document.publishedAt) {
-      transformed.publishedAt = document.publishedAt;
-    } else if (!transformed.publishedAt) {
-      transformed.publishedAt = new Date().toISOString();
+    // Handle published state. Strapi 5 ignores publishedAt in payloads and
+    // publishes REST-created entries itself
+    if (this.strapiVersion === 4) {
+      if (!transformed.publishedAt && document.publishedAt) {
+        transformed.publishedAt = document.publishedAt;
+      } else if (!transformed.publishedAt) {
+        transformed.publishedAt = new Date().toISOString();
+      }
     }
 
     return transformed;
@@ -492,6 +681,12 @@ class UniversalContentMigrator {
     document,
     contentType
   ) {
+    sanityValue = await this.applyPluginTransform(
+      contentType,
+      fieldName,
+      sanityValue,
+      strapiFieldConfig
+    );
     if (sanityValue === null || sanityValue === undefined) {
       return null;
     }
@@ -503,10 +698,18 @@ class UniversalContentMigrator {
     switch (strapiFieldConfig.type) {
       case "string":
       case "text":
+      case "richtext":
       case "email":
+        return this.toText(sanityValue);
+
+      case "biginteger":
+        // Strapi validates big integers as strings of digits
+        return typeof sanityValue === "number"
+          ? String(sanityValue)
+          : sanityValue;
+
       case "boolean":
       case "integer":
-      case "biginteger":
       case "decimal":
       case "float":
       case "date":
@@ -536,6 +739,15 @@ class UniversalContentMigrator {
           contentType
         );
 
+      case "dynamiczone":
+        return await this.transformDynamicZoneField(
+          sanityValue,
+          strapiFieldConfig,
+          fieldName,
+          document,
+          contentType
+        );
+
       case "relation":
         // Store for later relationship processing
         this.storeRelationshipForProcessing(
@@ -595,46 +807,91 @@ class UniversalContentMigrator {
     document,
     contentType
   ) {
-    const componentKey = strapiFieldConfig.component;
-    const isRepeatable = strapiFieldConfig.repeatable === true;
-
-    console.log(
-      `Transforming component field ${fieldName} with component ${componentKey}`
+    const context = { hasUnresolvedRelations: false };
+    const value = await this.transformComponentValue(
+      sanityValue,
+      strapiFieldConfig,
+      fieldName,
+      contentType,
+      context
     );
 
-    if (!this.componentMapping.has(componentKey)) {
-      console.warn(`Component ${componentKey} not found in component mapping`);
-      return null;
+    // Relations inside components whose targets do not exist yet: send the
+    // field again once every entity is created
+    if (context.hasUnresolvedRelations && !this.resolvingDeferredFields) {
+      this.migrationState.pendingFields.push({
+        sourceType: contentType,
+        sourceId: document._id,
+        fieldName,
+        sanityValue,
+        strapiFieldConfig,
+      });
     }
 
-    const componentSchema = this.componentMapping.get(componentKey);
+    return value;
+  }
 
-    if (isRepeatable) {
+  async transformComponentValue(
+    sanityValue,
+    strapiFieldConfig,
+    fieldName,
+    contentType,
+    context
+  ) {
+    // Dynamic zones: every item picks its component from its _type
+    if (strapiFieldConfig.type === "dynamiczone") {
       if (!Array.isArray(sanityValue)) {
         console.warn(
-          `Expected array for repeatable component ${componentKey}, got ${typeof sanityValue}`
+          `Expected array for dynamic zone ${fieldName}, got ${typeof sanityValue}`
         );
         return null;
       }
 
+      const memberComponents = this.getDynamicZoneComponents(
+        contentType,
+        fieldName,
+        strapiFieldConfig
+      );
       const results = [];
       for (const item of sanityValue) {
+        const componentKey = memberComponents[item?._type];
+        if (!componentKey || !this.componentMapping.has(componentKey)) {
+          console.warn(
+            `No component for ${item?._type} items in dynamic zone ${fieldName}`
+          );
+          continue;
+        }
+
         const transformedItem = await this.transformComponentData(
           item,
-          componentSchema
+          componentKey,
+          context
         );
-        if (transformedItem !== null) {
-          results.push(transformedItem);
-        }
+        results.push({ __component: componentKey, ...transformedItem });
       }
       return results;
-    } else {
-      return await this.transformComponentData(sanityValue, componentSchema);
     }
+
+    console.log(
+      `Transforming component field ${fieldName} with component ${strapiFieldConfig.component}`
+    );
+
+    return await this.transformComponentItems(
+      sanityValue,
+      strapiFieldConfig,
+      context
+    );
   }
 
   // NEW: Transform individual component data
-  async transformComponentData(sanityData, componentSchema) {
+  async transformComponentData(sanityData, componentKey, context = {}) {
+    const componentSchema = this.componentMapping.get(componentKey);
+
+    // Items of string arrays, stored in a single "name" attribute
+    if (typeof sanityData === "string" && componentSchema.attributes.name) {
+      return { name: sanityData };
+    }
+
     if (!sanityData || typeof sanityData !== "object") {
       return null;
     }
@@ -644,6 +901,7 @@ class UniversalContentMigrator {
     for (const [sanityFieldName, sanityValue] of Object.entries(sanityData)) {
       // Skip Sanity system fields
       if (sanityFieldName.startsWith("_")) continue;
+      if (DERIVED_FIELDS[sanityData._type]?.includes(sanityFieldName)) continue;
 
       const componentFieldConfig = componentSchema.attributes[sanityFieldName];
       if (!componentFieldConfig) {
@@ -655,8 +913,14 @@ class UniversalContentMigrator {
 
       try {
         const transformedValue = await this.transformComponentFieldValue(
-          sanityValue,
-          componentFieldConfig
+          await this.applyPluginTransform(
+            componentKey,
+            sanityFieldName,
+            sanityValue,
+            componentFieldConfig
+          ),
+          componentFieldConfig,
+          context
         );
 
         if (transformedValue !== null && transformedValue !== undefined) {
@@ -674,7 +938,7 @@ class UniversalContentMigrator {
   }
 
   // NEW: Transform component field values
-  async transformComponentFieldValue(sanityValue, fieldConfig) {
+  async transformComponentFieldValue(sanityValue, fieldConfig, context = {}) {
     if (sanityValue === null || sanityValue === undefined) {
       return null;
     }
@@ -682,55 +946,230 @@ class UniversalContentMigrator {
     switch (fieldConfig.type) {
       case "string":
       case "text":
+      case "richtext":
+      case "email":
+        return this.toText(sanityValue);
+
+      case "biginteger":
+        return typeof sanityValue === "number"
+          ? String(sanityValue)
+          : sanityValue;
+
       case "boolean":
       case "integer":
       case "decimal":
         return sanityValue;
 
       case "media":
-        const assetId = this.extractAssetIdFromImage(sanityValue);
-        if (assetId) {
-          const migratedAsset = this.migrationState.assets.get(assetId);
-          return migratedAsset ? migratedAsset.id : null;
+        return await this.transformMediaField(sanityValue, fieldConfig);
+
+      case "blocks":
+        return this.convertPortableTextToBlocks(sanityValue);
+
+      case "component":
+        return await this.transformComponentItems(
+          sanityValue,
+          fieldConfig,
+          context
+        );
+
+      case "relation": {
+        // Unresolved targets are picked up when the field is sent again
+        const references = Array.isArray(sanityValue)
+          ? sanityValue
+          : [sanityValue];
+        const relationIds = [];
+        for (const reference of references) {
+          if (!reference?._ref) continue;
+          const relationId = this.getRelationId(reference._ref);
+          if (relationId) {
+            relationIds.push(relationId);
+          } else {
+            context.hasUnresolvedRelations = true;
+          }
         }
-        return null;
+        return fieldConfig.relation === "oneToMany"
+          ? relationIds
+          : relationIds[0] || null;
+      }
 
       default:
         return sanityValue;
     }
   }
 
+  // Single or repeatable component values, at any nesting depth
+  async transformComponentItems(sanityValue, fieldConfig, context) {
+    const componentSchema = this.componentMapping.get(fieldConfig.component);
+    if (!componentSchema) {
+      console.warn(
+        `Component ${fieldConfig.component} not found in component mapping`
+      );
+      return null;
+    }
+
+    if (!fieldConfig.repeatable) {
+      return await this.transformComponentData(
+        sanityValue,
+        fieldConfig.component,
+        context
+      );
+    }
+
+    if (!Array.isArray(sanityValue)) {
+      console.warn(
+        `Expected array for repeatable component ${fieldConfig.component}, got ${typeof sanityValue}`
+      );
+      return null;
+    }
+
+    const results = [];
+    for (const item of sanityValue) {
+      const transformedItem = await this.transformComponentData(
+        item,
+        fieldConfig.component,
+        context
+      );
+      if (transformedItem !== null) {
+        results.push(transformedItem);
+      }
+    }
+    return results;
+  }
+
+  // Dynamic zones generated for multi-target references hold one link
+  // component per target type; other zones come from mixed object arrays
+  async transformDynamicZoneField(
+    sanityValue,
+    strapiFieldConfig,
+    fieldName,
+    document,
+    contentType
+  ) {
+    const referenceRouting = this.getReferenceRouting(contentType, fieldName);
+    if (referenceRouting?.strategy !== "dynamiczone") {
+      return await this.transformComponentField(
+        sanityValue,
+        strapiFieldConfig,
+        fieldName,
+        document,
+        contentType
+      );
+    }
+
+    const references = (
+      Array.isArray(sanityValue) ? sanityValue : [sanityValue]
+    ).filter((item) => item && item._ref);
+
+    const items = [];
+    let hasUnresolved = false;
+
+    for (const reference of references) {
+      const targetType = this.sanityDocumentTypes.get(
+        this.publishedId(reference._ref)
+      );
+      const componentKey = referenceRouting.targets[targetType];
+      if (!componentKey) {
+        console.warn(
+          `Reference ${reference._ref} in ${contentType}.${fieldName} targets unmapped type ${targetType}`
+        );
+        continue;
+      }
+
+      const relationId = this.getRelationId(reference._ref);
+      if (!relationId) {
+        hasUnresolved = true;
+        continue;
+      }
+
+      items.push({ __component: componentKey, [targetType]: relationId });
+    }
+
+    // Targets not created yet: send the whole zone once every entity exists
+    if (hasUnresolved && !this.resolvingDeferredFields) {
+      this.migrationState.pendingFields.push({
+        sourceType: contentType,
+        sourceId: document._id,
+        fieldName,
+        sanityValue,
+        strapiFieldConfig,
+      });
+      return null;
+    }
+
+    return items;
+  }
+
+  // Sanity _type -> component key, from the manifest or, for projects
+  // generated without one, by matching component names
+  getDynamicZoneComponents(contentType, fieldName, strapiFieldConfig) {
+    const members = this.manifest.dynamicZones?.[contentType]?.[fieldName];
+    if (members) return members;
+
+    const byName = {};
+    for (const componentKey of strapiFieldConfig.components || []) {
+      const componentName = componentKey.split(".")[1];
+      byName[componentName] = componentKey;
+      byName[componentName.replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase())] =
+        componentKey;
+    }
+    return byName;
+  }
+
+  getReferenceRouting(contentType, fieldName) {
+    return this.manifest.references?.[contentType]?.[fieldName] || null;
+  }
+
+  // Strapi identifier of an already migrated Sanity document
+  getRelationId(sanityId) {
+    const entity =
+      this.migrationState.entities.get(sanityId) ||
+      this.migrationState.entities.get(this.publishedId(sanityId));
+    return entity ? this.getEntityReference(entity) : null;
+  }
+
   // NEW: Store relationship for later processing
   storeRelationshipForProcessing(
     sourceType,
     sourceId,
     fieldName,
     sanityValue,
-    strapiFieldConfig
+    strapiFieldConfig,
+    referenceRouting = null
   ) {
-    const relation = strapiFieldConfig.relation;
-    const isArray = relation.includes("Many") && relation.endsWith("Many");
+    if (sanityValue === null || sanityValue === undefined) {
+      return;
+    }
 
-    if (Array.isArray(sanityValue)) {
-      for (const item of sanityValue) {
-        if (item._type === "reference" && item._ref) {
-          this.migrationState.pendingRelationships.push({
-            sourceType,
-            sourceId,
-            fieldName,
-            targetId: item._ref,
-            isArray: true,
-            relation,
-          });
+    const relation = strapiFieldConfig.relation;
+    const references = Array.isArray(sanityValue)
+      ? sanityValue.filter((item) => item._type === "reference" && item._ref)
+      : sanityValue._type === "reference" && sanityValue._ref
+        ? [sanityValue]
+        : [];
+
+    for (const reference of references) {
+      // Multi-target references: pick the attribute for the target's type
+      let targetFieldName = fieldName;
+      if (referenceRouting) {
+        const targetType = this.sanityDocumentTypes.get(
+          this.publishedId(reference._ref)
+        );
+        targetFieldName = referenceRouting.targets[targetType];
+        if (!targetFieldName) {
+          console.warn(
+            `Reference ${reference._ref} in ${sourceType}.${fieldName} targets unmapped type ${targetType}`
+          );
+          continue;
         }
       }
-    } else if (sanityValue._type === "reference" && sanityValue._ref) {
+
       this.migrationState.pendingRelationships.push({
         sourceType,
         sourceId,
-        fieldName,
-        targetId: sanityValue._ref,
-        isArray: false,
+        fieldName: targetFieldName,
+        targetId: reference._ref,
+        isArray: Array.isArray(sanityValue),
         relation,
       });
     }
@@ -742,14 +1181,73 @@ class UniversalContentMigrator {
       return this.extractAssetKey(imageObj._sanityAsset);
     }
 
-    if (imageObj.asset && imageObj.asset._ref) {
-      const match = imageObj.asset._ref.match(/image-([a-f0-9]+)-/);
+    // Image objects, or their bare asset reference (media in components)
+    const assetRef = imageObj.asset?._ref || imageObj._ref;
+    if (assetRef) {
+      const match = assetRef.match(/image-([a-f0-9]+)-/);
       return match ? match[1] : null;
     }
 
     return null;
   }
 
+  // Values of fields whose Sanity type a plugin converts (see
+  // utils/plugins); modelKey is the content type or component key
+  async applyPluginTransform(modelKey, fieldName, sanityValue, attribute) {
+    const sanityType = this.manifest.customTypes?.[modelKey]?.[fieldName];
+    if (!sanityType || sanityValue === null || sanityValue === undefined) {
+      return sanityValue;
+    }
+
+    const converter = this.plugins.types.get(sanityType);
+    if (!converter) {
+      if (!this.missingPluginTypes.has(sanityType)) {
+        this.missingPluginTypes.add(sanityType);
+        console.warn(
+          `⚠️ No plugin converts ${sanityType} values, migrating them unchanged`
+        );
+      }
+      return sanityValue;
+    }
+    if (!converter.transform) return sanityValue;
+
+    return await converter.transform(sanityValue, {
+      sanityType,
+      model: modelKey,
+      fieldName,
+      attribute,
+      strapiVersion: this.strapiVersion,
+    });
+  }
+
+  // Text attributes can be mapped from structured Sanity fields: Portable
+  // Text keeps its paragraphs, anything else is stored as JSON
+  toText(value) {
+    if (typeof value === "string") return value;
+    if (value?._type === "color" && typeof value.hex === "string") {
+      return this.toHexColor(value);
+    }
+    if (
+      Array.isArray(value) &&
+      value.every((block) => block?._type === "block")
+    ) {
+      return value
+        .map((block) =>
+          (block.children || []).map((child) => child.text || "").join("")
+        )
+        .join("\n\n");
+    }
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  }
+
+  // Colors with transparency keep it as a #rrggbbaa value
+  toHexColor(color) {
+    if (typeof color.alpha !== "number" || color.alpha >= 1) return color.hex;
+    return `${color.hex}${Math.round(color.alpha * 255)
+      .toString(16)
+      .padStart(2, "0")}`;
+  }
+
   // Convert Sanity Portable Text to Strapi Blocks (unchanged from original)
   convertPortableTextToBlocks(portableText) {
     if (!Array.isArray(portableText)) return [];
@@ -824,19 +1322,57 @@ class UniversalContentMigrator {
   }
 
   // Create entity in Strapi
-  async createStrapiEntity(contentType, data) {
-    const endpoint = `/api/${this.pluralize(contentType)}`;
+  async createStrapiEntity(contentType, data, locale = null) {
+    const endpoint = this.getEntityEndpoint(contentType, null, locale);
+    // Strapi 4 takes the locale of a new collection entry in its data
+    const payload =
+      locale && this.strapiVersion === 4 ? { ...data, locale } : data;
+
+    // Single types have no create endpoint, their only entry is PUT
+    return this.isSingleType(contentType)
+      ? await this.sendEntityRequest("put", endpoint, { data: payload })
+      : await this.sendEntityRequest("post", endpoint, { data: payload });
+  }
 
+  // Strapi 5 writes a locale into the base entry's document, Strapi 4
+  // creates a linked entry through the localizations endpoint
+  async createStrapiLocalization(contentType, data, { locale, baseId }) {
+    const baseEntity =
+      this.migrationState.entities.get(baseId) ||
+      this.migrationState.entities.get(`drafts.${baseId}`);
+    if (!baseEntity) {
+      throw new Error(
+        `Base entry ${baseId} of this translation was not migrated`
+      );
+    }
+
+    const reference = this.isSingleType(contentType)
+      ? null
+      : this.getEntityReference(baseEntity);
+    if (this.strapiVersion === 4) {
+      return await this.sendEntityRequest(
+        "post",
+        `${this.getEntityEndpoint(contentType, reference)}/localizations`,
+        { ...data, locale }
+      );
+    }
+    return await this.sendEntityRequest(
+      "put",
+      this.getEntityEndpoint(contentType, reference, locale),
+      { data }
+    );
+  }
+
+  async sendEntityRequest(method, endpoint, payload) {
     try {
-      const response = await this.strapiApi.post(endpoint, { data });
-      return response;
+      return await this.strapiApi[method](endpoint, payload);
     } catch (error) {
       if (error.response) {
         console.error(
           `Strapi API Error (${error.response.status}):`,
           JSON.stringify(error.response.data, null, 2)
         );
-        console.error("Request payload:", JSON.stringify({ data }, null, 2));
+        console.error("Request payload:", JSON.stringify(payload, null, 2));
         throw new Error(
           `API Error: ${error.response.status} - ${JSON.stringify(
             error.response.data
@@ -849,16 +1385,18 @@ class UniversalContentMigrator {
 
   // Process pending relationships (simplified - relationships should be handled by schema-aware transformation)
   async processPendingRelationships() {
-    if (this.migrationState.pendingRelationships.length === 0) {
+    const { pendingRelationships, pendingFields } = this.migrationState;
+
+    if (pendingRelationships.length === 0 && pendingFields.length === 0) {
       console.log("No relationships to process");
       return;
     }
 
     console.log(
-      `Processing ${this.migrationState.pendingRelationships.length} relationships...`
+      `Processing ${pendingRelationships.length} relationships and ${pendingFields.length} deferred fields...`
     );
     this.migrationState.progress.relationships.total =
-      this.migrationState.pendingRelationships.length;
+      pendingRelationships.length + pendingFields.length;
 
     for (const relationship of this.migrationState.pendingRelationships) {
       try {
@@ -874,13 +1412,66 @@ class UniversalContentMigrator {
         console.error(`Failed to process relationship:`, error.message);
       }
     }
+
+    this.resolvingDeferredFields = true;
+    for (const pendingField of pendingFields) {
+      try {
+        await this.processDeferredField(pendingField);
+        this.migrationState.progress.relationships.completed++;
+      } catch (error) {
+        this.migrationState.progress.relationships.failed++;
+        this.migrationState.errors.push({
+          type: "relationship",
+          relationship: {
+            sourceType: pendingField.sourceType,
+            sourceId: pendingField.sourceId,
+            fieldName: pendingField.fieldName,
+          },
+          error: error.message,
+        });
+        console.error(`Failed to process deferred field:`, error.message);
+      }
+    }
+    this.resolvingDeferredFields = false;
+  }
+
+  // Re-transform a field whose references were not migrated yet and update it
+  async processDeferredField(pendingField) {
+    const { sourceType, sourceId, fieldName, sanityValue, strapiFieldConfig } =
+      pendingField;
+
+    const sourceEntity = this.migrationState.entities.get(sourceId);
+    if (!sourceEntity) {
+      console.warn(`Missing entity for deferred field: ${sourceId}`);
+      return;
+    }
+
+    const value = await this.transformFieldWithSchema(
+      fieldName,
+      sanityValue,
+      strapiFieldConfig,
+      sourceEntity.originalData,
+      sourceType
+    );
+
+    const endpoint = this.getEntityEndpoint(
+      sourceType,
+      this.getEntityReference(sourceEntity),
+      sourceEntity.locale
+    );
+    await this.strapiApi.put(endpoint, { data: { [fieldName]: value } });
+    console.log(`Updated deferred field: ${sourceType}.${fieldName}`);
   }
 
   async processRelationship(relationship) {
-    const { sourceType, sourceId, fieldName, targetId, isArray } = relationship;
+    const { sourceType, sourceId, fieldName, targetId, isArray, relation } =
+      relationship;
 
     const sourceEntity = this.migrationState.entities.get(sourceId);
-    const targetEntity = this.migrationState.entities.get(targetId);
+    // References to drafts point to the document migrated for them
+    const targetEntity =
+      this.migrationState.entities.get(targetId) ||
+      this.migrationState.entities.get(this.publishedId(targetId));
 
     if (!sourceEntity || !targetEntity) {
       console.warn(
@@ -889,45 +1480,30 @@ class UniversalContentMigrator {
       return;
     }
 
-    const sourceDocumentId = sourceEntity.documentId || sourceEntity.strapiId;
-    const targetDocumentId = targetEntity.documentId || targetEntity.strapiId;
+    const sourceReference = this.getEntityReference(sourceEntity);
+    const targetReference = this.getEntityReference(targetEntity);
 
-    if (!sourceDocumentId || !targetDocumentId) {
+    if (!sourceReference || !targetReference) {
       console.warn(
-        `Invalid IDs for relationship: ${sourceDocumentId} -> ${targetDocumentId}`
+        `Invalid IDs for relationship: ${sourceReference} -> ${targetReference}`
       );
       return;
     }
 
     try {
-      const endpoint = `/api/${this.pluralize(sourceType)}/${sourceDocumentId}`;
-      const currentResponse = await this.strapiApi.get(endpoint);
-      const currentData = currentResponse.data?.data || currentResponse.data;
-      const updateData = { ...currentData };
-
-      if (updateData.attributes) {
-        Object.assign(updateData, updateData.attributes);
-        delete updateData.attributes;
-      }
-
-      if (isArray) {
-        if (!Array.isArray(updateData[fieldName])) {
-          updateData[fieldName] = [];
-        }
-        if (!updateData[fieldName].includes(targetDocumentId)) {
-          updateData[fieldName].push(targetDocumentId);
-        }
-      } else {
-        updateData[fieldName] = targetDocumentId;
-      }
-
-      delete updateData.id;
-      delete updateData.documentId;
-      delete updateData.createdAt;
-      delete updateData.updatedAt;
-      delete updateData.publishedAt;
+      // Only the relation is sent; to-many relations connect one more entry
+      // instead of replacing the ones added before
+      const endpoint = this.getEntityEndpoint(
+        sourceType,
+        sourceReference,
+        sourceEntity.locale
+      );
+      const isToMany = isArray || /ToMany$|^manyWay$/.test(relation || "");
+      const value = isToMany
+        ? { connect: [this.getRelationTarget(targetReference)] }
+        : targetReference;
 
-      await this.strapiApi.put(endpoint, { data: updateData });
+      await this.strapiApi.put(endpoint, { data: { [fieldName]: value } });
       console.log(
         `Updated relationship: ${sourceType}.${fieldName} -> ${targetEntity.contentType}`
       );
@@ -938,6 +1514,115 @@ class UniversalContentMigrator {
   }
 
   // Utility methods
+
+  // Strapi 5 addresses entries by documentId, Strapi 4 by numeric id
+  getEntityReference(entity) {
+    return this.strapiVersion === 4 ? entity.strapiId : entity.documentId;
+  }
+
+  // Entry in a relation's connect/disconnect list
+  getRelationTarget(reference) {
+    return this.strapiVersion === 4
+      ? { id: reference }
+      : { documentId: reference };
+  }
+
+  // Strapi 4 nests fields under `attributes`, Strapi 5 returns them flat
+  unwrapEntity(responseData) {
+    const entity = responseData?.data || responseData;
+    if (entity?.attributes && this.strapiVersion === 4) {
+      return { id: entity.id, ...entity.attributes };
+    }
+    return entity;
+  }
+
+  isSingleType(contentType) {
+    return this.schemaMapping.get(contentType)?.kind === "singleType";
+  }
+
+  // Collection entries live under /api/<pluralName>/<id>, a single type's
+  // one entry under /api/<singularName>, as named in the loaded schema.
+  // Strapi 5 picks the locale of a document from the query, like both
+  // versions do for single types; Strapi 4 entries have one id per locale
+  getEntityEndpoint(contentType, reference = null, locale = null) {
+    const info = this.schemaMapping.get(contentType)?.info || {};
+    const isSingleType = this.isSingleType(contentType);
+    const query =
+      locale && (isSingleType || this.strapiVersion === 5)
+        ? `?locale=${encodeURIComponent(locale)}`
+        : "";
+    if (isSingleType) {
+      return `/api/${info.singularName || contentType}${query}`;
+    }
+
+    const endpoint = `/api/${info.pluralName || pluralize(contentType)}`;
+    return `${reference ? `${endpoint}/${reference}` : endpoint}${query}`;
+  }
+
+  // translation.metadata documents link the documents translating each other
+  addTranslationGroup(metadata) {
+    const group = new Map();
+    for (const { language, id } of getTranslations(metadata)) {
+      const publishedId = this.publishedId(id);
+      group.set(language, publishedId);
+      this.translationGroups.set(publishedId, group);
+      if (!this.documentLanguages.has(publishedId)) {
+        this.documentLanguages.set(publishedId, language);
+      }
+    }
+  }
+
+  // Language and locale of a document of a localized type and, for
+  // translations, the Sanity id of the base entry they become a localization
+  // of. The base is the default language's document, or the first
+  // translation migrated. Documents with internationalized array fields are
+  // created in the default language (or their first one); their other
+  // languages are variants of the same entry
+  getLocalization(document, contentType) {
+    const i18n = this.manifest.i18n;
+    if (
+      i18n?.fieldTypes?.includes(contentType) &&
+      !i18n.types.includes(contentType)
+    ) {
+      const languages = Array.from(collectLanguages(document));
+      const language = languages.includes(i18n.defaultLocale)
+        ? i18n.defaultLocale
+        : languages[0] || i18n.defaultLocale;
+      return {
+        language,
+        locale: this.getLocale(language),
+        baseId: null,
+        variants: languages.filter((other) => other !== language),
+      };
+    }
+    if (!i18n?.types.includes(contentType)) return null;
+
+    const id = this.publishedId(document._id);
+    const language = this.documentLanguages.get(id) || i18n.defaultLocale;
+    const group = this.translationGroups.get(id);
+    const translations = group
+      ? Array.from(group.entries()).filter(([, translationId]) =>
+          this.sanityDocumentTypes.has(translationId)
+        )
+      : [];
+    const base =
+      translations.find(
+        ([translationLanguage]) => translationLanguage === i18n.defaultLocale
+      ) || translations[0];
+
+    return {
+      language,
+      locale: this.getLocale(language),
+      baseId: base && base[1] !== id ? base[1] : null,
+      variants: [],
+    };
+  }
+
+  // Strapi locale code of a Sanity language
+  getLocale(language) {
+    return language ? this.manifest.i18n.locales[language] || language : null;
+  }
+
   extractAssetKey(sanityAsset) {
     const match = sanityAsset.match(/images\/([^-]+)/);
     return match ? match[1] : sanityAsset;
@@ -957,20 +1642,8 @@ class UniversalContentMigrator {
     return mimeTypes[ext] || "application/octet-stream";
   }
 
-  pluralize(word) {
-    if (word.endsWith("y")) {
-      return word.slice(0, -1) + "ies";
-    }
-    if (
-      word.endsWith("s") ||
-      word.endsWith("sh") ||
-      word.endsWith("ch") ||
-      word.endsWith("x") ||
-      word.endsWith("z")
-    ) {
-      return word + "es";
-    }
-    return word + "s";
+  publishedId(id) {
+    return id.replace(/^drafts\./, "");
   }
 
   delay(ms) {
@@ -0,0 +1,307 @@
+// ./lib/core/data-model-inferrer.js
+const { isInternationalizedValueType } = require("../utils/translations");
+
+// Sanity system fields that never become Strapi attributes
+const SYSTEM_FIELDS = new Set([
+  "_id",
+  "_type",
+  "_rev",
+  "_createdAt",
+  "_updatedAt",
+  "_key",
+  "_system",
+]);
+
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Object _types with a fixed shape the schema generator knows already
+const BUILT_IN_OBJECT_KINDS = new Set(["geopoint", "code", "color"]);
+
+// Builds a Sanity-style type model from exported documents when no studio
+// source (or extracted schema) is available
+class DataModelInferrer {
+  constructor() {
+    this.documentTypes = new Map(); // _type -> node
+    this.objectTypes = new Map(); // named object _type -> node
+    this.documentIds = new Map(); // _id -> _type (for reference targets)
+  }
+
+  createNode() {
+    return {
+      occurrences: 0,
+      kinds: new Map(), // kind -> count
+      fields: new Map(), // object kinds: fieldName -> node
+      members: new Map(), // array kinds: memberKey -> node
+      targetIds: new Set(), // reference kinds: referenced _ids
+      namedType: null,
+    };
+  }
+
+  addDocument(doc) {
+    if (!doc?._type || !doc._id) return;
+
+    this.documentIds.set(this.publishedId(doc._id), doc._type);
+    if (doc._type.startsWith("sanity.")) return;
+
+    if (!this.documentTypes.has(doc._type)) {
+      this.documentTypes.set(doc._type, this.createNode());
+    }
+    const node = this.documentTypes.get(doc._type);
+    node.occurrences++;
+    this.addObjectFields(node, doc);
+  }
+
+  addObjectFields(node, value) {
+    for (const [fieldName, fieldValue] of Object.entries(value)) {
+      if (SYSTEM_FIELDS.has(fieldName)) continue;
+      if (fieldValue === null || fieldValue === undefined) continue;
+
+      if (!node.fields.has(fieldName)) {
+        node.fields.set(fieldName, this.createNode());
+      }
+      this.addValue(node.fields.get(fieldName), fieldValue);
+    }
+  }
+
+  addValue(node, value) {
+    const kind = this.classify(value);
+    node.occurrences++;
+    node.kinds.set(kind, (node.kinds.get(kind) || 0) + 1);
+
+    if (kind === "reference") {
+      node.targetIds.add(this.publishedId(value._ref));
+    } else if (kind === "array") {
+      for (const item of value) {
+        if (item === null || item === undefined) continue;
+        const memberKey = this.getMemberKey(item);
+        if (!node.members.has(memberKey)) {
+          node.members.set(memberKey, this.createNode());
+        }
+        this.addValue(node.members.get(memberKey), item);
+      }
+    } else if (kind === "namedObject") {
+      node.namedType = value._type;
+      if (!this.objectTypes.has(value._type)) {
+        this.objectTypes.set(value._type, this.createNode());
+      }
+      const typeNode = this.objectTypes.get(value._type);
+      typeNode.occurrences++;
+      this.addObjectFields(typeNode, value);
+    } else if (kind === "object") {
+      this.addObjectFields(node, value);
+    }
+  }
+
+  classify(value) {
+    if (Array.isArray(value)) return "array";
+
+    switch (typeof value) {
+      case "boolean":
+        return "boolean";
+      case "number":
+        return "number";
+      case "string":
+        if (DATETIME_PATTERN.test(value)) return "datetime";
+        if (DATE_PATTERN.test(value)) return "date";
+        return "string";
+      default:
+        break;
+    }
+
+    if (value._type === "reference" || typeof value._ref === "string") {
+      return "reference";
+    }
+    if (value._type === "slug" || typeof value.current === "string") {
+      return "slug";
+    }
+    if (value._type === "block") return "block";
+    if (BUILT_IN_OBJECT_KINDS.has(value._type)) return value._type;
+
+    const assetRef = value.asset?._ref || "";
+    if (value._type === "image" || assetRef.startsWith("image-")) return "image";
+    if (value._type === "file" || assetRef.startsWith("file-")) return "file";
+
+    if (value._type) return "namedObject";
+    return "object";
+  }
+
+  // Array members are grouped by their _type so mixed arrays keep every type
+  getMemberKey(item) {
+    const kind = this.classify(item);
+    return kind === "namedObject" ? `namedObject:${item._type}` : kind;
+  }
+
+  publishedId(id) {
+    return id.replace(/^drafts\./, "");
+  }
+
+  // Convert the collected model into the type/field shape the studio source
+  // parser produces, with a confidence level on every field
+  buildTypes() {
+    const types = [];
+
+    for (const [name, node] of this.documentTypes) {
+      types.push({
+        name,
+        type: "document",
+        title: name,
+        inferred: true,
+        fields: this.buildFields(node),
+      });
+    }
+
+    for (const [name, node] of this.objectTypes) {
+      // The values of internationalized arrays are part of their field
+      if (isInternationalizedValueType(name)) continue;
+      types.push({
+        name,
+        type: "object",
+        title: name,
+        inferred: true,
+        fields: this.buildFields(node),
+      });
+    }
+
+    return types;
+  }
+
+  buildFields(parentNode) {
+    const fields = [];
+
+    for (const [name, node] of parentNode.fields) {
+      const field = { name, ...this.buildDefinition(node) };
+      field.confidence = this.getConfidence(node, parentNode);
+      fields.push(field);
+    }
+
+    return fields;
+  }
+
+  buildDefinition(node) {
+    const kind = this.getDominantKind(node);
+
+    switch (kind) {
+      case "reference":
+        return { type: "reference", to: this.getTargets(node) };
+
+      case "namedObject":
+        return { type: node.namedType };
+
+      case "object":
+        return { type: "object", fields: this.buildFields(node) };
+
+      case "array": {
+        // internationalizedArrayStringValue members -> internationalizedArrayString
+        const memberTypes = Array.from(node.members.keys(), (memberKey) =>
+          memberKey.replace(/^namedObject:/, "")
+        );
+        if (memberTypes.length === 1 && isInternationalizedValueType(memberTypes[0])) {
+          return { type: memberTypes[0].replace(/Value$/, "") };
+        }
+        return { type: "array", of: this.buildMembers(node) };
+      }
+
+      case "number":
+      case "boolean":
+      case "datetime":
+      case "date":
+      case "slug":
+      case "image":
+      case "file":
+      case "string":
+      case "geopoint":
+      case "code":
+      case "color":
+        return { type: kind };
+
+      default:
+        return { type: "string" };
+    }
+  }
+
+  buildMembers(node) {
+    const members = [];
+
+    for (const [memberKey, memberNode] of node.members) {
+      if (memberKey === "block") {
+        members.push({ type: "block" });
+      } else if (memberKey.startsWith("namedObject:")) {
+        members.push({ type: memberKey.slice("namedObject:".length) });
+      } else {
+        members.push(this.buildDefinition(memberNode));
+      }
+    }
+
+    // Portable Text is reported first so it maps to rich text blocks
+    return members.sort((a, b) => (b.type === "block") - (a.type === "block"));
+  }
+
+  getTargets(node) {
+    const targets = new Set();
+    for (const id of node.targetIds) {
+      const targetType = this.documentIds.get(id);
+      if (targetType && !targetType.startsWith("sanity.")) {
+        targets.add(targetType);
+      }
+    }
+    return Array.from(targets).map((type) => ({ type }));
+  }
+
+  getDominantKind(node) {
+    let dominant = null;
+    let dominantCount = 0;
+    for (const [kind, count] of node.kinds) {
+      if (count > dominantCount) {
+        dominant = kind;
+        dominantCount = count;
+      }
+    }
+    return dominant;
+  }
+
+  // high: consistent and well sampled; medium: sparse or few samples;
+  // low: mixed value kinds or unresolvable reference targets
+  getConfidence(node, parentNode) {
+    const kind = this.getDominantKind(node);
+    const consistency = node.kinds.get(kind) / node.occurrences;
+    const presence = node.occurrences / Math.max(parentNode.occurrences, 1);
+    const notes = [];
+
+    if (consistency < 1) {
+      const kinds = Array.from(node.kinds.keys()).join(", ");
+      notes.push(`mixed value kinds: ${kinds}`);
+    }
+    if (kind === "reference" && this.getTargets(node).length === 0) {
+      notes.push("reference targets not found in export");
+    }
+    if (kind === "array" && node.members.size === 0) {
+      notes.push("only empty arrays seen");
+    }
+    if (node.occurrences < 3) {
+      notes.push(`only ${node.occurrences} value(s) seen`);
+    }
+    if (presence < 0.5) {
+      notes.push(`present in ${Math.round(presence * 100)}% of entries`);
+    }
+
+    let level = "high";
+    const unresolvable =
+      (kind === "reference" && this.getTargets(node).length === 0) ||
+      (kind === "array" && node.members.size === 0);
+    if (consistency < 0.9 || unresolvable) {
+      level = "low";
+    } else if (notes.length > 0) {
+      level = "medium";
+    }
+
+    return {
+      level,
+      occurrences: node.occurrences,
+      presence: Number(presence.toFixed(2)),
+      notes,
+    };
+  }
+}
+
+module.exports = DataModelInferrer;
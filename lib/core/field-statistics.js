@@ -0,0 +1,244 @@
+// ./lib/core/field-statistics.js
+const { isInternationalizedArray } = require("../utils/translations");
+
+// Strapi stores string attributes as varchar(255)
+const MAX_STRING_LENGTH = 255;
+const MIN_INTEGER = -2147483648;
+const MAX_INTEGER = 2147483647;
+
+// A string field becomes an enumeration when a handful of short values
+// repeat across enough entries to tell a fixed list from free text
+const MAX_ENUM_VALUES = 10;
+const MIN_ENUM_SAMPLES = 20;
+const MIN_ENUM_REPEATS = 3; // Average number of entries per distinct value
+const MAX_ENUM_VALUE_LENGTH = 40;
+const ENUM_VALUE_PATTERN = /^[A-Za-z][A-Za-z0-9_ -]*$/;
+
+// Statistics about the values every field holds in exported documents, keyed
+// by "<type>.<field>" where the type is the document type or the _type of a
+// named object; inline object fields extend the path ("post.seo.title")
+class FieldStatistics {
+  constructor() {
+    this.statistics = new Map(); // path -> statistics
+  }
+
+  createStatistics(fieldPath) {
+    return {
+      path: fieldPath,
+      count: 0, // Non-null values of any kind
+      strings: 0,
+      numbers: 0,
+      maxLength: 0,
+      integers: true, // Every number seen is an integer
+      min: null,
+      max: null,
+      values: new Map(), // Distinct strings -> count, null once there are too many
+    };
+  }
+
+  addDocument(doc) {
+    if (!doc?._type || doc._type.startsWith("sanity.")) return;
+    this.addObject(doc._type, doc);
+  }
+
+  addObject(objectPath, value) {
+    for (const [key, child] of Object.entries(value)) {
+      if (key.startsWith("_")) continue;
+      this.addValue(`${objectPath}.${key}`, child);
+    }
+  }
+
+  addValue(fieldPath, value) {
+    if (value === null || value === undefined) return;
+
+    // Every translation of an internationalized field is one of its values
+    if (isInternationalizedArray(value)) {
+      for (const item of value) this.addValue(fieldPath, item.value);
+      return;
+    }
+
+    if (!this.statistics.has(fieldPath)) {
+      this.statistics.set(fieldPath, this.createStatistics(fieldPath));
+    }
+    const stats = this.statistics.get(fieldPath);
+    stats.count++;
+
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        if (item && typeof item === "object" && !Array.isArray(item)) {
+          this.addObject(item._type || fieldPath, item);
+        }
+      }
+    } else if (typeof value === "object") {
+      this.addObject(value._type || fieldPath, value);
+    } else if (typeof value === "string") {
+      stats.strings++;
+      stats.maxLength = Math.max(stats.maxLength, value.length);
+      if (stats.values) {
+        stats.values.set(value, (stats.values.get(value) || 0) + 1);
+        if (stats.values.size > MAX_ENUM_VALUES) stats.values = null;
+      }
+    } else if (typeof value === "number") {
+      stats.numbers++;
+      stats.integers = stats.integers && Number.isInteger(value);
+      stats.min = stats.min === null ? value : Math.min(stats.min, value);
+      stats.max = stats.max === null ? value : Math.max(stats.max, value);
+    }
+  }
+
+  // Follow the renames the mapping applies (see SanityModelMapper), so the
+  // paths use the names of the mapped model
+  rename(renames) {
+    const renamed = new Map();
+
+    for (const [fieldPath, stats] of this.statistics) {
+      const [typeName, fieldName, ...rest] = fieldPath.split(".");
+      const type =
+        renames.types?.[typeName] === undefined
+          ? typeName
+          : renames.types[typeName];
+      const fieldRenames = renames.fields?.[typeName] || {};
+      const field = Object.prototype.hasOwnProperty.call(
+        fieldRenames,
+        fieldName
+      )
+        ? fieldRenames[fieldName]
+        : fieldName;
+      if (type === null || field === null) continue;
+
+      const newPath = [type, field, ...rest].join(".");
+      renamed.set(
+        newPath,
+        renamed.has(newPath)
+          ? mergeStatistics(renamed.get(newPath), stats)
+          : { ...stats, path: newPath }
+      );
+    }
+
+    this.statistics = renamed;
+  }
+
+  // Field definition -> statistics, for the fields of every document and
+  // object type and of their inline objects. A definition shared by several
+  // types gets the statistics of all of them
+  resolveFields(...definitionMaps) {
+    const fieldStatistics = new Map();
+
+    const visit = (fields, parentPath) => {
+      for (const field of fields || []) {
+        const fieldPath = `${parentPath}.${field.name}`;
+        const stats = this.statistics.get(fieldPath);
+        if (stats) {
+          fieldStatistics.set(
+            field,
+            fieldStatistics.has(field)
+              ? mergeStatistics(fieldStatistics.get(field), stats)
+              : stats
+          );
+        }
+        if (field.type === "object") visit(field.fields, fieldPath);
+      }
+    };
+
+    for (const definitions of definitionMaps) {
+      for (const [typeName, definition] of definitions) {
+        visit(definition.fields, typeName);
+      }
+    }
+
+    return fieldStatistics;
+  }
+}
+
+function mergeStatistics(first, second) {
+  let values = null;
+  if (first.values && second.values) {
+    values = new Map(first.values);
+    for (const [value, count] of second.values) {
+      values.set(value, (values.get(value) || 0) + count);
+    }
+    if (values.size > MAX_ENUM_VALUES) values = null;
+  }
+
+  const bound = (pick, a, b) => (a === null ? b : b === null ? a : pick(a, b));
+
+  return {
+    path: first.path,
+    count: first.count + second.count,
+    strings: first.strings + second.strings,
+    numbers: first.numbers + second.numbers,
+    maxLength: Math.max(first.maxLength, second.maxLength),
+    integers: first.integers && second.integers,
+    min: bound(Math.min, first.min, second.min),
+    max: bound(Math.max, first.max, second.max),
+    values,
+  };
+}
+
+// Narrower attribute type for a field whose values all fit one, as
+// { type, enum?, reason }; null keeps the type the mapping chose
+function inferAttributeType(field, strapiType, stats) {
+  if (!stats || stats.count === 0) return null;
+
+  if (strapiType === "decimal" && stats.numbers === stats.count) {
+    // A precision rule says the field is meant to hold fractions
+    if (!stats.integers || field.validation?.precision > 0) return null;
+
+    if (stats.min >= MIN_INTEGER && stats.max <= MAX_INTEGER) {
+      return {
+        type: "integer",
+        reason: `all ${stats.numbers} values are integers`,
+      };
+    }
+    return {
+      type: "biginteger",
+      reason: `all ${stats.numbers} values are integers, some outside the 32-bit range`,
+    };
+  }
+
+  if (strapiType !== "string" || stats.strings !== stats.count) return null;
+
+  if (stats.maxLength > MAX_STRING_LENGTH) {
+    return {
+      type: "text",
+      reason: `values up to ${stats.maxLength} characters, longer than ${MAX_STRING_LENGTH}`,
+    };
+  }
+
+  if (field.type === "string" && isEnumeration(stats)) {
+    return {
+      type: "enumeration",
+      enum: Array.from(stats.values.keys()).sort(),
+      reason: `${stats.strings} values, only ${stats.values.size} distinct`,
+    };
+  }
+
+  return null;
+}
+
+function isEnumeration(stats) {
+  if (!stats.values || stats.values.size < 2) return false;
+  if (stats.strings < MIN_ENUM_SAMPLES) return false;
+  if (stats.strings < stats.values.size * MIN_ENUM_REPEATS) return false;
+
+  // Strapi derives GraphQL enum names from the values, they must stay unique
+  const keys = new Set();
+  for (const value of stats.values.keys()) {
+    if (
+      value.length > MAX_ENUM_VALUE_LENGTH ||
+      !ENUM_VALUE_PATTERN.test(value)
+    ) {
+      return false;
+    }
+    keys.add(value.toLowerCase().replace(/[^a-z0-9]+/g, "_"));
+  }
+  return keys.size === stats.values.size;
+}
+
+module.exports = {
+  FieldStatistics,
+  inferAttributeType,
+  MAX_STRING_LENGTH,
+  MAX_ENUM_VALUES,
+  MIN_ENUM_SAMPLES,
+};
@@ -39,7 +39,11 @@ class UniversalMigrationRunner {
       await this.validateConfig();
 
       console.log("✅ Configuration validated");
-      console.log(`📂 Sanity project: ${this.config.sanityProjectPath}`);
+      if (this.config.sanitySchemaPath) {
+        console.log(`📂 Sanity schema: ${this.config.sanitySchemaPath}`);
+      } else {
+        console.log(`📂 Sanity project: ${this.config.sanityProjectPath}`);
+      }
       console.log(`📦 Sanity export: ${this.config.sanityExportPath}`);
       console.log(`🎯 Strapi project: ${this.config.strapiProjectPath}`);
       console.log(`🌐 Strapi URL: ${this.config.strapiUrl}`);
@@ -84,12 +88,17 @@ class UniversalMigrationRunner {
     // Sanity export path is required for all commands
     paths.push({ path: this.config.sanityExportPath, name: "Sanity export" });
 
-    // Sanity project path is required for schemas and migrate commands
-    if (isSchemasCommand || isMigrateCommand) {
-      paths.push({
-        path: this.config.sanityProjectPath,
-        name: "Sanity project",
-      });
+    // Schemas and migrate commands need the studio project, unless an
+    // extracted schema JSON is provided or the model is inferred from data
+    if (
+      (isSchemasCommand || isMigrateCommand) &&
+      !this.config.inferSchemaFromData
+    ) {
+      paths.push(
+        this.config.sanitySchemaPath
+          ? { path: this.config.sanitySchemaPath, name: "Sanity schema" }
+          : { path: this.config.sanityProjectPath, name: "Sanity project" }
+      );
     }
 
     // Strapi project path is required for content and migrate commands
@@ -160,6 +169,8 @@ class UniversalMigrationRunner {
       apiToken: this.config.apiToken,
       assetProvider: this.config.assetProvider,
       strapiProjectPath: this.config.strapiProjectPath,
+      strapiVersion: this.config.strapiVersion,
+      plugins: this.config.plugins,
       cloudinary: this.config.cloudinary,
       batchSize: 10,
       retryAttempts: 3,
@@ -387,6 +398,9 @@ function printUsage() {
   console.log("");
   console.log("Options:");
   console.log("  --sanityProjectPath    Path to Sanity studio project");
+  console.log(
+    "  --sanitySchemaPath     Path to `sanity schema extract` JSON (instead of studio)"
+  );
   console.log("  --sanityExportPath     Path to Sanity export data");
   console.log("  --strapiProjectPath    Path to Strapi project");
   console.log("  --strapiUrl           Strapi server URL");
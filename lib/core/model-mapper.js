@@ -0,0 +1,286 @@
+// ./lib/core/model-mapper.js
+
+// Applies the name mapping (see utils/name-mapping) to the parsed Sanity
+// model before it is converted, so every Strapi name, uid and component key
+// derives from the mapped names. Field definitions can be shared between
+// types, so mapped fields are copied, never renamed in place.
+class SanityModelMapper {
+  constructor(mapping) {
+    this.mapping = mapping;
+    this.renames = { types: {}, fields: {} }; // Sanity names -> Strapi names (null: dropped)
+    this.attributeOverrides = new Map(); // mapped field definition -> attribute override
+    this.warnings = [];
+  }
+
+  // schemas and objectTypes: Sanity type name -> definition. Returns both
+  // maps keyed by the mapped names
+  apply(schemas, objectTypes) {
+    const matchedFields = new Set();
+    const mapTypeFields = (definitions) =>
+      new Map(
+        Array.from(definitions, ([typeName, definition]) => [
+          typeName,
+          this.mapFields(typeName, definition, matchedFields),
+        ])
+      );
+    let mappedSchemas = mapTypeFields(schemas);
+    let mappedObjectTypes = mapTypeFields(objectTypes);
+
+    for (const fieldPath of Object.keys(this.mapping.fields)) {
+      if (!matchedFields.has(fieldPath)) {
+        this.warnings.push(`Mapped field ${fieldPath} does not exist`);
+      }
+    }
+
+    const typeNames = this.resolveTypeNames(schemas, objectTypes);
+    mappedSchemas = this.renameTypes(mappedSchemas, typeNames);
+    mappedObjectTypes = this.renameTypes(mappedObjectTypes, typeNames);
+
+    return { schemas: mappedSchemas, objectTypes: mappedObjectTypes };
+  }
+
+  mapFields(typeName, definition, matchedFields) {
+    const fieldNames = new Map(); // old name -> new name (null: dropped)
+    const fields = [];
+
+    for (const field of definition.fields || []) {
+      const fieldPath = `${typeName}.${field.name}`;
+      const fieldMapping = this.mapping.fields[fieldPath];
+      if (!fieldMapping) {
+        fields.push(field);
+        continue;
+      }
+      matchedFields.add(fieldPath);
+
+      if (fieldMapping.drop) {
+        fieldNames.set(field.name, null);
+        continue;
+      }
+
+      const mappedField = { ...field, name: fieldMapping.name || field.name };
+      if (mappedField.name !== field.name) {
+        fieldNames.set(field.name, mappedField.name);
+      }
+      if (fieldMapping.attribute) {
+        this.attributeOverrides.set(mappedField, fieldMapping.attribute);
+      }
+      fields.push(mappedField);
+    }
+
+    if (fieldNames.size === 0) {
+      return fields.length === (definition.fields || []).length
+        ? definition
+        : { ...definition, fields };
+    }
+
+    const names = fields.map((field) => field.name);
+    const duplicate = names.find(
+      (name, index) => names.indexOf(name) !== index
+    );
+    if (duplicate) {
+      throw new Error(
+        `The mapping gives ${typeName} two fields named "${duplicate}"`
+      );
+    }
+
+    this.renames.fields[typeName] = Object.fromEntries(fieldNames);
+    return this.renameFieldReferences({ ...definition, fields }, fieldNames);
+  }
+
+  // Slug sources, preview selections and document initial values name
+  // fields of the same type
+  renameFieldReferences(definition, fieldNames) {
+    const rename = (name) =>
+      fieldNames.has(name) ? fieldNames.get(name) : name;
+
+    definition.fields = definition.fields.map((field) =>
+      field.type === "slug" &&
+      typeof field.options?.source === "string" &&
+      fieldNames.has(field.options.source)
+        ? {
+            ...field,
+            options: { ...field.options, source: rename(field.options.source) },
+          }
+        : field
+    );
+
+    if (definition.preview?.select) {
+      const select = {};
+      for (const [key, selectPath] of Object.entries(
+        definition.preview.select
+      )) {
+        if (typeof selectPath !== "string") {
+          select[key] = selectPath;
+          continue;
+        }
+        const [head, ...rest] = selectPath.split(".");
+        if (rename(head) !== null) {
+          select[key] = [rename(head), ...rest].join(".");
+        }
+      }
+      definition.preview = { ...definition.preview, select };
+    }
+
+    if (
+      definition.initialValue &&
+      typeof definition.initialValue === "object" &&
+      !Array.isArray(definition.initialValue)
+    ) {
+      const initialValue = {};
+      for (const [name, value] of Object.entries(definition.initialValue)) {
+        if (rename(name) !== null) initialValue[rename(name)] = value;
+      }
+      definition.initialValue = initialValue;
+    }
+
+    return definition;
+  }
+
+  // Sanity type name -> mapped name (null: dropped); only document types
+  // can be dropped, object types are dropped through the fields using them
+  resolveTypeNames(schemas, objectTypes) {
+    const typeNames = new Map();
+    const taken = new Map(); // mapped name -> Sanity type name
+
+    for (const typeName of [...schemas.keys(), ...objectTypes.keys()]) {
+      const target = this.mapping.types[typeName];
+      if (target === false) {
+        if (!schemas.has(typeName)) {
+          throw new Error(
+            `Cannot drop object type ${typeName}, drop the fields using it instead`
+          );
+        }
+        typeNames.set(typeName, null);
+        this.renames.types[typeName] = null;
+        continue;
+      }
+
+      const name = target || typeName;
+      if (taken.has(name)) {
+        throw new Error(
+          `The mapping gives ${taken.get(name)} and ${typeName} the same name "${name}"`
+        );
+      }
+      taken.set(name, typeName);
+      typeNames.set(typeName, name);
+      if (name !== typeName) this.renames.types[typeName] = name;
+    }
+
+    for (const typeName of Object.keys(this.mapping.types)) {
+      if (!typeNames.has(typeName)) {
+        this.warnings.push(`Mapped type ${typeName} does not exist`);
+      }
+    }
+
+    return typeNames;
+  }
+
+  renameTypes(definitions, typeNames) {
+    const renamed = new Map();
+
+    for (const [typeName, definition] of definitions) {
+      const name = typeNames.get(typeName);
+      if (name === null) continue;
+
+      const fields = this.renameFieldTypes(
+        definition.fields || [],
+        typeNames,
+        name
+      );
+      renamed.set(name, { ...definition, name, fields });
+    }
+
+    return renamed;
+  }
+
+  renameFieldTypes(fields, typeNames, pathLabel, isMembers = false) {
+    const renamed = [];
+    for (const field of fields) {
+      const mappedField = this.renameFieldType(
+        field,
+        typeNames,
+        isMembers ? pathLabel : `${pathLabel}.${field.name}`,
+        isMembers
+      );
+      if (mappedField) renamed.push(mappedField);
+    }
+    return renamed;
+  }
+
+  // Field (or array member) with renamed types; null when every type it
+  // points to was dropped
+  renameFieldType(field, typeNames, fieldPath, isMember = false) {
+    let mappedField = field;
+    const update = (changes) => {
+      if (mappedField === field) {
+        mappedField = { ...field };
+        // Keep the override attached to the copy that gets converted
+        if (this.attributeOverrides.has(field)) {
+          this.attributeOverrides.set(
+            mappedField,
+            this.attributeOverrides.get(field)
+          );
+        }
+      }
+      Object.assign(mappedField, changes);
+    };
+
+    const typeName = typeNames.get(field.type);
+    if (typeName && typeName !== field.type) {
+      update({ type: typeName });
+    }
+
+    if (Array.isArray(field.to)) {
+      const to = field.to
+        .filter((target) => typeNames.get(target.type) !== null)
+        .map((target) =>
+          typeNames.get(target.type) &&
+          typeNames.get(target.type) !== target.type
+            ? { ...target, type: typeNames.get(target.type) }
+            : target
+        );
+      if (to.length === 0 && field.to.length > 0) {
+        // Arrays report once, when no member is left
+        if (!isMember) {
+          this.warnings.push(
+            `Dropped ${fieldPath}: every type it references was dropped`
+          );
+        }
+        return null;
+      }
+      if (to.some((target, index) => target !== field.to[index])) {
+        update({ to });
+      }
+    }
+
+    if (Array.isArray(field.of)) {
+      const of = this.renameFieldTypes(field.of, typeNames, fieldPath, true);
+      if (of.length === 0 && field.of.length > 0) {
+        this.warnings.push(
+          `Dropped ${fieldPath}: every type it holds was dropped`
+        );
+        return null;
+      }
+      if (
+        of.length !== field.of.length ||
+        of.some((member, index) => member !== field.of[index])
+      ) {
+        update({ of });
+      }
+    }
+
+    if (Array.isArray(field.fields)) {
+      const fields = this.renameFieldTypes(field.fields, typeNames, fieldPath);
+      if (
+        fields.length !== field.fields.length ||
+        fields.some((nestedField, index) => nestedField !== field.fields[index])
+      ) {
+        update({ fields });
+      }
+    }
+
+    return mappedField;
+  }
+}
+
+module.exports = SanityModelMapper;
@@ -0,0 +1,291 @@
+// ./lib/core/name-validator.js
+const crypto = require("crypto");
+const { DEFAULT_VERSION } = require("../utils/strapi-version");
+
+// Attribute names Strapi keeps for its own columns and API fields. Strapi
+// compares them in snake_case, so createdAt and created_at are both refused
+const RESERVED_ATTRIBUTE_NAMES = [
+  "id",
+  "created_at",
+  "updated_at",
+  "published_at",
+  "created_by",
+  "updated_by",
+  "created_by_id",
+  "updated_by_id",
+  "entry_id",
+  "locale",
+  "localizations",
+  "meta",
+  "__component",
+  "__content_type",
+];
+
+// Strapi 5 adds document IDs and the draft/published status to every entry
+const V5_RESERVED_ATTRIBUTE_NAMES = ["document_id", "status"];
+
+// Postgres cuts identifiers at 63 characters and Strapi derives join
+// tables and indexes from the collectionName, so leave room for suffixes
+const MAX_COLLECTION_NAME_LENGTH = 40;
+
+const TYPE_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+const ATTRIBUTE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+function snakeCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toLowerCase();
+}
+
+function isReservedAttributeName(name, strapiVersion = DEFAULT_VERSION) {
+  const snakeName = snakeCase(name);
+  return (
+    RESERVED_ATTRIBUTE_NAMES.includes(snakeName) ||
+    (strapiVersion === 5 && V5_RESERVED_ATTRIBUTE_NAMES.includes(snakeName))
+  );
+}
+
+// Too long identifiers keep their start and get a hash of the full name
+function shortenIdentifier(name, maxLength = MAX_COLLECTION_NAME_LENGTH) {
+  if (name.length <= maxLength) return name;
+
+  const hash = crypto.createHash("sha1").update(name).digest("hex").slice(0, 6);
+  return `${name.slice(0, maxLength - hash.length - 1).replace(/_+$/, "")}_${hash}`;
+}
+
+// Checks the names the generated models would get against Strapi's
+// constraints and extends the name mapping with the renames that fix them,
+// so the content migrator applies them like any other rename
+class StrapiNameValidator {
+  constructor({ pluralize, strapiVersion }) {
+    this.pluralize = pluralize;
+    this.strapiVersion = strapiVersion || DEFAULT_VERSION;
+    this.fixes = []; // {kind, path, from, to, reason}
+    this.warnings = []; // Problems that cannot be renamed automatically
+  }
+
+  // mapping: normalized name mapping (see utils/name-mapping); every map is
+  // keyed by Sanity names. Returns the extended mapping, plus pluralName and
+  // collectionName overrides keyed by the final type names
+  validate({ schemas, objectTypes, singletonTypes, mapping }) {
+    const fixedMapping = {
+      ...mapping,
+      types: { ...mapping.types },
+      fields: { ...mapping.fields },
+    };
+
+    const typeNames = this.fixTypeNames(schemas, fixedMapping);
+    const pluralNames = this.fixPluralNames(typeNames);
+    const collectionNames = this.fixCollectionNames(
+      typeNames,
+      pluralNames,
+      singletonTypes
+    );
+
+    for (const definitions of [schemas, objectTypes]) {
+      for (const [typeName, definition] of definitions) {
+        if (fixedMapping.types[typeName] === false) continue;
+        this.fixAttributeNames(typeName, definition, fixedMapping);
+      }
+    }
+
+    return { mapping: fixedMapping, pluralNames, collectionNames };
+  }
+
+  // singularName (also the API folder and uid) must be kebab-case:
+  // blogPost and blog_post become blog-post. Returns Sanity name -> final name
+  fixTypeNames(schemas, mapping) {
+    const typeNames = new Map();
+    const taken = new Set(
+      Array.from(schemas.keys(), (typeName) => mapping.types[typeName])
+        .concat(Array.from(schemas.keys()))
+        .filter(Boolean)
+    );
+
+    for (const typeName of schemas.keys()) {
+      if (mapping.types[typeName] === false) continue;
+
+      const name = mapping.types[typeName] || typeName;
+      if (TYPE_NAME_PATTERN.test(name)) {
+        typeNames.set(typeName, name);
+        continue;
+      }
+
+      const fixed = this.uniqueName(this.toTypeName(name), taken, "-");
+      taken.add(fixed);
+      mapping.types[typeName] = fixed;
+      typeNames.set(typeName, fixed);
+      this.fixes.push({
+        kind: "type",
+        path: typeName,
+        from: name,
+        to: fixed,
+        reason: "singularName must be kebab-case",
+      });
+    }
+
+    return typeNames;
+  }
+
+  // Strapi refuses a pluralName equal to the singularName, and routes clash
+  // when it matches another type's singular or plural name
+  fixPluralNames(typeNames) {
+    const pluralNames = new Map(); // final type name -> fixed pluralName
+    const singularNames = new Set(typeNames.values());
+    const usedPlurals = new Map(); // pluralName -> type name
+
+    for (const name of typeNames.values()) {
+      const plural = this.pluralize(name);
+      let reason = null;
+      if (plural === name) {
+        reason = "pluralName equals singularName";
+      } else if (singularNames.has(plural)) {
+        reason = `pluralName is the singularName of ${plural}`;
+      } else if (usedPlurals.has(plural)) {
+        reason = `pluralName is also the pluralName of ${usedPlurals.get(
+          plural
+        )}`;
+      }
+
+      if (!reason) {
+        usedPlurals.set(plural, name);
+        continue;
+      }
+
+      const taken = new Set([...singularNames, ...usedPlurals.keys()]);
+      const fixed = this.uniqueName(`${name}-items`, taken, "-");
+      usedPlurals.set(fixed, name);
+      pluralNames.set(name, fixed);
+      this.fixes.push({
+        kind: "pluralName",
+        path: name,
+        from: plural,
+        to: fixed,
+        reason,
+      });
+    }
+
+    return pluralNames;
+  }
+
+  fixCollectionNames(typeNames, pluralNames, singletonTypes) {
+    const collectionNames = new Map(); // final type name -> shortened collectionName
+
+    for (const [typeName, name] of typeNames) {
+      const collectionName = (
+        singletonTypes.has(typeName)
+          ? name
+          : pluralNames.get(name) || this.pluralize(name)
+      ).replace(/-/g, "_");
+      const shortened = shortenIdentifier(collectionName);
+      if (shortened === collectionName) continue;
+
+      collectionNames.set(name, shortened);
+      this.fixes.push({
+        kind: "collectionName",
+        path: name,
+        from: collectionName,
+        to: shortened,
+        reason: `collectionName longer than ${MAX_COLLECTION_NAME_LENGTH} characters`,
+      });
+    }
+
+    return collectionNames;
+  }
+
+  // Reserved names get a "sanity" prefix (id -> sanityId), other invalid
+  // names lose their invalid characters
+  fixAttributeNames(typeName, definition, mapping) {
+    const fields = (definition.fields || []).filter(
+      (field) => !mapping.fields[`${typeName}.${field.name}`]?.drop
+    );
+    const finalName = (field) =>
+      mapping.fields[`${typeName}.${field.name}`]?.name || field.name;
+    const taken = new Set(fields.map(finalName));
+
+    for (const field of fields) {
+      const name = finalName(field);
+      const reason = this.isReserved(name)
+        ? `"${name}" is reserved by Strapi`
+        : !ATTRIBUTE_NAME_PATTERN.test(name)
+          ? "attribute names may only hold letters, digits and underscores"
+          : null;
+
+      if (reason) {
+        const base = name.replace(/[^A-Za-z0-9]+/g, "") || "field";
+        const fixed = this.uniqueName(
+          `sanity${base.charAt(0).toUpperCase()}${base.slice(1)}`,
+          taken
+        );
+        taken.add(fixed);
+
+        const fieldPath = `${typeName}.${field.name}`;
+        mapping.fields[fieldPath] = {
+          ...mapping.fields[fieldPath],
+          name: fixed,
+        };
+        this.fixes.push({
+          kind: "attribute",
+          path: fieldPath,
+          from: name,
+          to: fixed,
+          reason,
+        });
+      }
+
+      this.checkInlineFields(field, `${typeName}.${field.name}`);
+    }
+  }
+
+  // Fields of inline objects have no _type in the data to rename them by
+  checkInlineFields(field, fieldPath) {
+    const inlineObjects = [
+      field,
+      ...(Array.isArray(field.of) ? field.of : []),
+    ].filter((item) => Array.isArray(item.fields));
+
+    for (const inlineObject of inlineObjects) {
+      for (const nestedField of inlineObject.fields) {
+        const nestedPath = `${fieldPath}.${nestedField.name}`;
+        if (
+          this.isReserved(nestedField.name) ||
+          !ATTRIBUTE_NAME_PATTERN.test(nestedField.name)
+        ) {
+          this.warnings.push(
+            `${nestedPath} is not a valid Strapi attribute name; move the object to a named type to have it renamed`
+          );
+        }
+        this.checkInlineFields(nestedField, nestedPath);
+      }
+    }
+  }
+
+  isReserved(name) {
+    return isReservedAttributeName(name, this.strapiVersion);
+  }
+
+  toTypeName(name) {
+    return (
+      name
+        .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^[^a-z]+|-+$/g, "") || "type"
+    );
+  }
+
+  uniqueName(name, taken, separator = "") {
+    let candidate = name;
+    for (let index = 2; taken.has(candidate); index++) {
+      candidate = `${name}${separator}${index}`;
+    }
+    return candidate;
+  }
+}
+
+module.exports = {
+  StrapiNameValidator,
+  RESERVED_ATTRIBUTE_NAMES,
+  V5_RESERVED_ATTRIBUTE_NAMES,
+  MAX_COLLECTION_NAME_LENGTH,
+  isReservedAttributeName,
+  shortenIdentifier,
+};
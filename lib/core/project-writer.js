@@ -0,0 +1,213 @@
+// ./lib/core/project-writer.js
+const fs = require("fs-extra");
+const path = require("path");
+const StrapiSchemaMerger = require("./schema-merger");
+const { MANIFEST_DIR } = require("../utils/migration-manifest");
+const { createUnifiedDiff } = require("../utils/unified-diff");
+
+// Copies of the files as last generated, the base of the next merge
+const BASELINE_DIR = path.join(MANIFEST_DIR, "generated");
+
+// Writes generated files into the Strapi project. By default files are
+// overwritten; in merge mode hand edits are kept:
+// - models (schema.json, components) are merged attribute by attribute
+// - API files are only replaced while they still hold generated code
+// - other generated files are kept when edited, and reported as conflicts
+// In dry-run mode nothing is written; the files are kept in `this.files`.
+class StrapiProjectWriter {
+  constructor(strapiProjectPath, options = {}) {
+    this.projectPath = strapiProjectPath;
+    this.merge = !!options.merge;
+    this.dryRun = !!options.dryRun;
+    this.files = new Map(); // relativePath -> content, in dry-run mode
+    this.merger = new StrapiSchemaMerger();
+    this.conflicts = []; // {file, path, current, generated}
+    this.keptFiles = []; // Files left alone because they were edited
+    this.diffs = []; // Unified diffs of what conflicts held back
+  }
+
+  async writeModel(relativePath, generated) {
+    const filePath = path.join(this.projectPath, relativePath);
+    let content = generated;
+
+    if (this.merge && fs.existsSync(filePath)) {
+      const current = await this.readJSON(filePath);
+      if (current) {
+        const base = await this.readBaseline(relativePath, true);
+        const { merged, conflicts } = this.merger.merge(
+          base,
+          current,
+          generated
+        );
+
+        for (const conflict of conflicts) {
+          this.conflicts.push({
+            file: relativePath,
+            path: conflict.path.join("."),
+            current: conflict.current,
+            generated: conflict.generated,
+          });
+        }
+        if (conflicts.length > 0) {
+          this.addDiff(
+            relativePath,
+            this.stringify(merged),
+            this.stringify(this.merger.resolveToGenerated(merged, conflicts))
+          );
+        }
+
+        content = merged;
+      }
+    }
+
+    await this.output(relativePath, this.stringify(content));
+    await this.writeBaseline(relativePath, this.stringify(generated));
+  }
+
+  // Controllers, routes and services: custom code is never replaced
+  async writeTemplate(relativePath, content) {
+    if (await this.isEditedFile(relativePath, content)) {
+      this.keptFiles.push(relativePath);
+      return false;
+    }
+
+    await this.writeFile(relativePath, content);
+    return true;
+  }
+
+  // Other generated files: an edited file is kept and reported
+  async writeGenerated(relativePath, content) {
+    if (await this.isEditedFile(relativePath, content)) {
+      const current = await fs.readFile(
+        path.join(this.projectPath, relativePath),
+        "utf8"
+      );
+      this.keptFiles.push(relativePath);
+      this.conflicts.push({
+        file: relativePath,
+        path: null,
+        current: "edited in the project",
+        generated: "regenerated",
+      });
+      this.addDiff(relativePath, current, content);
+      await this.writeBaseline(relativePath, content);
+      return false;
+    }
+
+    await this.writeFile(relativePath, content);
+    return true;
+  }
+
+  async writeFile(relativePath, content) {
+    await this.output(relativePath, content);
+    await this.writeBaseline(relativePath, content);
+  }
+
+  async output(relativePath, content) {
+    if (this.dryRun) {
+      this.files.set(relativePath, content);
+      return;
+    }
+    await fs.outputFile(path.join(this.projectPath, relativePath), content);
+  }
+
+  // A file differing from both the new output and the last generated copy
+  // was written by hand
+  async isEditedFile(relativePath, content) {
+    const filePath = path.join(this.projectPath, relativePath);
+    if (!this.merge || !fs.existsSync(filePath)) return false;
+
+    const current = await fs.readFile(filePath, "utf8");
+    if (current === content) return false;
+
+    const base = await this.readBaseline(relativePath, false);
+    return base === null || current !== base;
+  }
+
+  async readJSON(filePath) {
+    try {
+      return await fs.readJSON(filePath);
+    } catch (error) {
+      console.warn(
+        `Could not parse ${filePath}, keeping it unchanged:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  async readBaseline(relativePath, asJSON) {
+    const baselinePath = path.join(
+      this.projectPath,
+      BASELINE_DIR,
+      relativePath
+    );
+    if (!fs.existsSync(baselinePath)) return null;
+
+    try {
+      return asJSON
+        ? await fs.readJSON(baselinePath)
+        : await fs.readFile(baselinePath, "utf8");
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async writeBaseline(relativePath, content) {
+    if (this.dryRun) return;
+    await fs.outputFile(
+      path.join(this.projectPath, BASELINE_DIR, relativePath),
+      content
+    );
+  }
+
+  // Files the generator wrote on earlier runs, null before the first one
+  async listBaseline() {
+    const baselinePath = path.join(this.projectPath, BASELINE_DIR);
+    if (!fs.existsSync(baselinePath)) return null;
+
+    const files = new Set();
+    const visit = async (directory) => {
+      for (const entry of await fs.readdir(directory, {
+        withFileTypes: true,
+      })) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) await visit(entryPath);
+        else files.add(path.relative(baselinePath, entryPath));
+      }
+    };
+    await visit(baselinePath);
+
+    return files;
+  }
+
+  addDiff(relativePath, current, generated) {
+    this.diffs.push(
+      createUnifiedDiff(current, generated, {
+        fromFile: `a/${relativePath}`,
+        toFile: `b/${relativePath}`,
+      })
+    );
+  }
+
+  stringify(value) {
+    return JSON.stringify(value, null, 2) + "\n";
+  }
+
+  getReport() {
+    return {
+      mode: this.merge ? "merge" : "overwrite",
+      conflicts: this.conflicts,
+      keptFiles: this.keptFiles,
+    };
+  }
+
+  async writeDiff(diffPath) {
+    if (this.diffs.length === 0) return null;
+
+    await fs.writeFile(diffPath, this.diffs.join(""));
+    return diffPath;
+  }
+}
+
+module.exports = StrapiProjectWriter;
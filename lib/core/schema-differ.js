@@ -0,0 +1,316 @@
+// ./lib/core/schema-differ.js
+const fs = require("fs-extra");
+const path = require("path");
+const { isDeepEqual } = require("../utils/deep-equal");
+
+// Attribute keys whose change invalidates existing data or API clients
+const BREAKING_KEYS = [
+  "type",
+  "relation",
+  "target",
+  "component",
+  "components",
+  "repeatable",
+  "multiple",
+];
+
+// Compares the models the generator would write with the ones in the
+// Strapi project: content types (uid api::x.x) and components (cat.name)
+class StrapiSchemaDiffer {
+  diff(projectModels, generatedModels, options = {}) {
+    const { generatedBefore = null } = options;
+    const result = {
+      contentTypes: { added: [], removed: [], changed: [] },
+      components: { added: [], removed: [], changed: [] },
+      breaking: [],
+    };
+
+    const paths = new Set([...projectModels.keys(), ...generatedModels.keys()]);
+
+    for (const relativePath of Array.from(paths).sort()) {
+      const model = this.describeModel(relativePath);
+      if (!model) continue;
+
+      const group =
+        model.kind === "component" ? result.components : result.contentTypes;
+      const current = projectModels.get(relativePath);
+      const next = generatedModels.get(relativePath);
+
+      if (!current) {
+        group.added.push(model.uid);
+      } else if (!next) {
+        // Models the generator never wrote were made in Strapi: not ours
+        if (generatedBefore && !generatedBefore.has(relativePath)) continue;
+
+        group.removed.push(model.uid);
+        this.addBreaking(result, model.uid, null, `${model.kind} removed`);
+      } else {
+        const changes = this.diffModel(model.uid, current, next, result);
+        if (changes) group.changed.push(changes);
+      }
+    }
+
+    return result;
+  }
+
+  diffModel(uid, current, next, result) {
+    const changes = {
+      uid,
+      settings: [],
+      attributes: { added: [], removed: [], changed: [] },
+      relations: { added: [], removed: [], changed: [] },
+    };
+
+    for (const key of new Set([
+      ...Object.keys(current),
+      ...Object.keys(next),
+    ])) {
+      if (key === "attributes") continue;
+      if (!this.isEqual(current[key], next[key])) {
+        changes.settings.push({ key, from: current[key], to: next[key] });
+        if (key === "kind") {
+          this.addBreaking(
+            result,
+            uid,
+            null,
+            `kind ${current.kind} -> ${next.kind}`
+          );
+        }
+      }
+    }
+
+    const currentAttributes = current.attributes || {};
+    const nextAttributes = next.attributes || {};
+    const names = new Set([
+      ...Object.keys(currentAttributes),
+      ...Object.keys(nextAttributes),
+    ]);
+
+    for (const name of names) {
+      const before = currentAttributes[name];
+      const after = nextAttributes[name];
+      const list =
+        (before || after).type === "relation" ||
+        (after || before).type === "relation"
+          ? changes.relations
+          : changes.attributes;
+
+      if (!before) {
+        list.added.push({ name, type: after.type });
+        if (after.required) {
+          this.addBreaking(result, uid, name, "new required attribute");
+        }
+      } else if (!after) {
+        list.removed.push({ name, type: before.type });
+        this.addBreaking(result, uid, name, "attribute removed");
+      } else if (!this.isEqual(before, after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        const details = Array.from(keys)
+          .filter((key) => !this.isEqual(before[key], after[key]))
+          .map((key) => ({ key, from: before[key], to: after[key] }));
+        list.changed.push({ name, changes: details });
+
+        for (const reason of this.getBreakingReasons(before, after, details)) {
+          this.addBreaking(result, uid, name, reason);
+        }
+      }
+    }
+
+    const isEmpty =
+      changes.settings.length === 0 &&
+      [changes.attributes, changes.relations].every(
+        (list) =>
+          list.added.length + list.removed.length + list.changed.length === 0
+      );
+    return isEmpty ? null : changes;
+  }
+
+  getBreakingReasons(before, after, details) {
+    const reasons = [];
+
+    for (const { key, from, to } of details) {
+      if (BREAKING_KEYS.includes(key)) {
+        reasons.push(`${key} ${this.format(from)} -> ${this.format(to)}`);
+      } else if ((key === "required" || key === "unique") && to && !from) {
+        reasons.push(`now ${key}`);
+      }
+    }
+
+    if (before.enum && after.enum) {
+      const dropped = before.enum.filter(
+        (value) => !after.enum.includes(value)
+      );
+      if (dropped.length > 0) {
+        reasons.push(`enum values removed: ${dropped.join(", ")}`);
+      }
+    }
+
+    return reasons;
+  }
+
+  addBreaking(result, uid, attribute, reason) {
+    result.breaking.push({ uid, attribute, reason });
+  }
+
+  // src/api/<api>/content-types/<name>/schema.json or
+  // src/components/<category>/<name>.json
+  describeModel(relativePath) {
+    const parts = relativePath.split(/[\\/]/);
+
+    if (
+      parts.length === 6 &&
+      parts[0] === "src" &&
+      parts[1] === "api" &&
+      parts[3] === "content-types" &&
+      parts[5] === "schema.json"
+    ) {
+      return { kind: "content type", uid: `api::${parts[2]}.${parts[4]}` };
+    }
+    if (
+      parts.length === 4 &&
+      parts[0] === "src" &&
+      parts[1] === "components" &&
+      parts[3].endsWith(".json")
+    ) {
+      return {
+        kind: "component",
+        uid: `${parts[2]}.${path.basename(parts[3], ".json")}`,
+      };
+    }
+
+    return null;
+  }
+
+  // Content types and components in a Strapi project, keyed like the
+  // generator's relative paths
+  async loadProjectModels(strapiProjectPath) {
+    const models = new Map();
+
+    const apiPath = path.join(strapiProjectPath, "src/api");
+    if (fs.existsSync(apiPath)) {
+      for (const apiName of await fs.readdir(apiPath)) {
+        const typesPath = path.join(apiPath, apiName, "content-types");
+        if (!fs.existsSync(typesPath)) continue;
+
+        for (const typeName of await fs.readdir(typesPath)) {
+          await this.loadModel(
+            models,
+            strapiProjectPath,
+            path.join(
+              "src/api",
+              apiName,
+              "content-types",
+              typeName,
+              "schema.json"
+            )
+          );
+        }
+      }
+    }
+
+    const componentsPath = path.join(strapiProjectPath, "src/components");
+    if (fs.existsSync(componentsPath)) {
+      for (const category of await fs.readdir(componentsPath)) {
+        const categoryPath = path.join(componentsPath, category);
+        if (!fs.statSync(categoryPath).isDirectory()) continue;
+
+        for (const file of await fs.readdir(categoryPath)) {
+          if (!file.endsWith(".json")) continue;
+          await this.loadModel(
+            models,
+            strapiProjectPath,
+            path.join("src/components", category, file)
+          );
+        }
+      }
+    }
+
+    return models;
+  }
+
+  async loadModel(models, strapiProjectPath, relativePath) {
+    const filePath = path.join(strapiProjectPath, relativePath);
+    if (!fs.existsSync(filePath)) return;
+
+    try {
+      models.set(relativePath, await fs.readJSON(filePath));
+    } catch (error) {
+      console.warn(`Could not parse ${filePath}:`, error.message);
+    }
+  }
+
+  isBreaking(result) {
+    return result.breaking.length > 0;
+  }
+
+  formatText(result) {
+    const lines = [];
+
+    for (const [title, group] of [
+      ["Content types", result.contentTypes],
+      ["Components", result.components],
+    ]) {
+      if (
+        group.added.length + group.removed.length + group.changed.length ===
+        0
+      )
+        continue;
+
+      lines.push(`${title}:`);
+      for (const uid of group.added) lines.push(`  + ${uid}`);
+      for (const uid of group.removed) lines.push(`  - ${uid}`);
+      for (const changes of group.changed) {
+        lines.push(`  ~ ${changes.uid}`);
+        for (const { key, from, to } of changes.settings) {
+          lines.push(
+            `      ~ ${key}: ${this.format(from)} -> ${this.format(to)}`
+          );
+        }
+        for (const [label, list] of [
+          ["attribute", changes.attributes],
+          ["relation", changes.relations],
+        ]) {
+          for (const { name, type } of list.added) {
+            lines.push(`      + ${label} ${name} (${type})`);
+          }
+          for (const { name, type } of list.removed) {
+            lines.push(`      - ${label} ${name} (${type})`);
+          }
+          for (const { name, changes: details } of list.changed) {
+            const summary = details
+              .map(
+                ({ key, from, to }) =>
+                  `${key}: ${this.format(from)} -> ${this.format(to)}`
+              )
+              .join(", ");
+            lines.push(`      ~ ${label} ${name}: ${summary}`);
+          }
+        }
+      }
+      lines.push("");
+    }
+
+    if (lines.length === 0) {
+      lines.push("No changes.");
+    }
+
+    if (result.breaking.length > 0) {
+      lines.push(`Breaking changes (${result.breaking.length}):`);
+      for (const { uid, attribute, reason } of result.breaking) {
+        lines.push(`  ! ${attribute ? `${uid}.${attribute}` : uid}: ${reason}`);
+      }
+    }
+
+    return lines.join("\n");
+  }
+
+  format(value) {
+    return value === undefined ? "(none)" : JSON.stringify(value);
+  }
+
+  isEqual(a, b) {
+    return isDeepEqual(a, b);
+  }
+}
+
+module.exports = StrapiSchemaDiffer;
@@ -0,0 +1,256 @@
+// ./lib/core/schema-extract-reader.js
+const fs = require("fs-extra");
+const path = require("path");
+const { isInternationalizedValueType } = require("../utils/translations");
+
+// System attributes Sanity adds to every document or array member
+const SYSTEM_ATTRIBUTES = new Set([
+  "_id",
+  "_type",
+  "_rev",
+  "_createdAt",
+  "_updatedAt",
+  "_key",
+]);
+
+// Built-in and plugin types that `sanity schema extract` emits alongside
+// user types; the schema generator has its own definitions for them
+const BUILT_IN_TYPES = new Set(["slug", "geopoint", "code", "color"]);
+
+const ASSET_TYPES = {
+  "sanity.imageAsset": "image",
+  "sanity.fileAsset": "file",
+};
+
+// Reads the fully resolved schema written by `sanity schema extract` and
+// converts it into the same type/field shape the studio source parser emits
+class SanitySchemaExtractReader {
+  constructor() {
+    this.unresolved = []; // [{file, path, reason}]
+    this.namedTypes = new Map(); // name -> extracted value
+    this.filePath = null;
+  }
+
+  async read(filePath) {
+    const entries = await fs.readJSON(filePath);
+    return this.readEntries(entries, filePath);
+  }
+
+  readEntries(entries, filePath = "<inline>") {
+    if (!Array.isArray(entries)) {
+      throw new Error(
+        `Expected an array of schema types in ${filePath} (output of "sanity schema extract")`
+      );
+    }
+
+    this.filePath = filePath;
+    for (const entry of entries) {
+      if (entry.type === "type") {
+        this.namedTypes.set(entry.name, entry.value);
+      }
+    }
+
+    const types = [];
+    for (const entry of entries) {
+      if (this.isBuiltInType(entry.name)) continue;
+
+      if (entry.type === "document") {
+        types.push({
+          name: entry.name,
+          type: "document",
+          title: entry.name,
+          fields: this.attributesToFields(entry.attributes, entry.name),
+        });
+      } else if (entry.type === "type" && entry.value?.type === "object") {
+        types.push({
+          name: entry.name,
+          type: "object",
+          title: entry.name,
+          fields: this.attributesToFields(entry.value.attributes, entry.name),
+        });
+      }
+    }
+
+    return types;
+  }
+
+  isBuiltInType(name) {
+    return (
+      BUILT_IN_TYPES.has(name) ||
+      name.startsWith("sanity.") ||
+      isInternationalizedValueType(name)
+    );
+  }
+
+  attributesToFields(attributes = {}, pathLabel) {
+    const fields = [];
+
+    for (const [name, attribute] of Object.entries(attributes)) {
+      if (SYSTEM_ATTRIBUTES.has(name)) continue;
+
+      const field = this.valueToDefinition(
+        attribute.value,
+        `${pathLabel}.${name}`
+      );
+      if (!field) continue;
+
+      field.name = name;
+      // Required fields only lose `optional` with --enforce-required-fields
+      if (attribute.optional !== true) {
+        field.validation = { ...field.validation, required: true };
+      }
+      fields.push(field);
+    }
+
+    return fields;
+  }
+
+  valueToDefinition(value, pathLabel) {
+    switch (value?.type) {
+      case "string":
+        return { type: "string" };
+
+      case "number":
+      case "boolean":
+        return { type: value.type };
+
+      case "inline":
+        // Named types (and built-ins such as slug or geopoint) by reference
+        return { type: value.name };
+
+      case "object":
+        return this.objectToDefinition(value, pathLabel);
+
+      case "array":
+        return {
+          type: "array",
+          of: this.arrayMembers(value.of, `${pathLabel}[]`),
+        };
+
+      case "union":
+        return this.unionToDefinition(value, pathLabel);
+
+      default:
+        this.recordUnresolved(pathLabel, `unsupported ${value?.type} value`);
+        return null;
+    }
+  }
+
+  objectToDefinition(value, pathLabel) {
+    const attributes = value.attributes || {};
+    const typeLiteral = this.getTypeLiteral(value);
+
+    if (value.dereferencesTo || typeLiteral === "reference") {
+      return {
+        type: "reference",
+        to: value.dereferencesTo ? [{ type: value.dereferencesTo }] : [],
+      };
+    }
+
+    const assetType = ASSET_TYPES[attributes.asset?.value?.dereferencesTo];
+    if (typeLiteral === "image" || typeLiteral === "file" || assetType) {
+      return { type: typeLiteral === "file" ? "file" : assetType || "image" };
+    }
+
+    if (BUILT_IN_TYPES.has(typeLiteral)) {
+      return { type: typeLiteral };
+    }
+
+    // Members of arrays of named objects carry `rest: {type: "inline"}`
+    if (value.rest?.type === "inline") {
+      return { type: value.rest.name };
+    }
+
+    if (typeLiteral === "block") {
+      return { type: "block" };
+    }
+
+    const definition = {
+      type: "object",
+      fields: this.attributesToFields(attributes, pathLabel),
+    };
+    if (typeLiteral) {
+      definition.name = typeLiteral;
+    }
+    return definition;
+  }
+
+  arrayMembers(value, pathLabel) {
+    const members = value?.type === "union" ? value.of : [value];
+
+    return members
+      .map((member) => {
+        const definition = this.valueToDefinition(member, pathLabel);
+        if (!definition) return null;
+
+        // Arrays of named objects: `{ type: "object", name: "hero", ... }`
+        if (
+          definition.type === "object" &&
+          definition.name &&
+          this.namedTypes.has(definition.name)
+        ) {
+          return { type: definition.name };
+        }
+        return definition;
+      })
+      .filter(Boolean);
+  }
+
+  unionToDefinition(value, pathLabel) {
+    const members = (value.of || []).filter((member) => member.type !== "null");
+
+    // Enumerations: union of string literals
+    if (
+      members.length > 0 &&
+      members.every(
+        (member) => member.type === "string" && member.value !== undefined
+      )
+    ) {
+      return {
+        type: "string",
+        options: {
+          list: members.map((member) => ({
+            title: member.value,
+            value: member.value,
+          })),
+        },
+      };
+    }
+
+    // Multi-target references
+    const definitions = members.map((member) =>
+      this.valueToDefinition(member, pathLabel)
+    );
+    if (
+      definitions.length > 0 &&
+      definitions.every((definition) => definition?.type === "reference")
+    ) {
+      return {
+        type: "reference",
+        to: definitions.flatMap((definition) => definition.to),
+      };
+    }
+
+    if (definitions.length === 1) {
+      return definitions[0];
+    }
+
+    this.recordUnresolved(pathLabel, "union of unrelated types");
+    return null;
+  }
+
+  getTypeLiteral(value) {
+    const typeAttribute = value.attributes?._type?.value;
+    return typeAttribute?.type === "string" ? typeAttribute.value : undefined;
+  }
+
+  recordUnresolved(pathLabel, reason) {
+    this.unresolved.push({
+      file: path.relative(process.cwd(), this.filePath),
+      path: pathLabel,
+      reason,
+    });
+  }
+}
+
+module.exports = SanitySchemaExtractReader;
@@ -2,9 +2,137 @@
 const fs = require("fs-extra");
 const path = require("path");
 const readline = require("readline");
+const { SanitySchemaParser } = require("./schema-parser");
+const SanitySchemaExtractReader = require("./schema-extract-reader");
+const DataModelInferrer = require("./data-model-inferrer");
+const { FieldStatistics, inferAttributeType } = require("./field-statistics");
+const SanitySingletonDetector = require("./singleton-detector");
+const SanityModelMapper = require("./model-mapper");
+const {
+  StrapiNameValidator,
+  MAX_COLLECTION_NAME_LENGTH,
+  shortenIdentifier,
+} = require("./name-validator");
+const StrapiProjectWriter = require("./project-writer");
+const StrapiTypeDefinitions = require("./type-definitions");
+const { resolveStrapiVersion } = require("../utils/strapi-version");
+const { resolveProjectLanguage } = require("../utils/project-language");
+const { loadNameMapping } = require("../utils/name-mapping");
+const { loadPlugins } = require("../utils/plugins");
+const {
+  TRANSLATION_METADATA_TYPE,
+  normalizeI18nConfig,
+  getTranslations,
+  getInternationalizedArrayType,
+  collectLanguages,
+} = require("../utils/translations");
+const { createInflector } = require("../utils/inflection");
+const { isDeepEqual } = require("../utils/deep-equal");
+const {
+  createManifest,
+  writeManifest,
+} = require("../utils/migration-manifest");
+
+const MULTI_TARGET_STRATEGIES = ["dynamiczone", "relations", "json"];
+const COMPONENT_COLLISION_STRATEGIES = ["merge", "scope"];
+const COLOR_FORMATS = ["hex", "component"];
+
+// Object types of Sanity itself (geopoint) and of its official inputs
+// (@sanity/code-input, @sanity/color-input) that studio schemas use without
+// defining them; fields using them get a shared component
+const BUILT_IN_OBJECT_TYPES = {
+  geopoint: {
+    title: "Geopoint",
+    fields: [
+      { name: "lat", type: "number", validation: { required: true } },
+      { name: "lng", type: "number", validation: { required: true } },
+      { name: "alt", type: "number" },
+    ],
+  },
+  code: {
+    title: "Code",
+    fields: [
+      { name: "language", type: "string" },
+      { name: "filename", type: "string" },
+      { name: "code", type: "text" },
+      { name: "highlightedLines", type: "array", of: [{ type: "number" }] },
+    ],
+  },
+  color: {
+    title: "Color",
+    fields: [
+      { name: "hex", type: "string" },
+      { name: "alpha", type: "number" },
+    ],
+  },
+};
+
+// Sanity url fields accept these schemes unless a uri rule says otherwise
+const URL_SCHEMES = ["http", "https", "mailto", "tel"];
+const HEX_COLOR_PATTERN = "^#[0-9a-fA-F]{6}([0-9a-fA-F]{2})?$";
+
+// Written next to schema-generation-report.json in merge mode
+const MERGE_DIFF_FILE = "schema-merge-conflicts.diff";
+const TYPE_DEFINITIONS_FILE = "types/sanity-migration.d.ts";
+
+// Strapi attribute types grouped by the constraints they accept
+const TEXT_ATTRIBUTE_TYPES = ["string", "text", "email", "uid", "richtext"];
+const NUMBER_ATTRIBUTE_TYPES = ["integer", "biginteger", "decimal", "float"];
+// Content-manager layout constraints
+const FULL_WIDTH_TYPES = [
+  "component",
+  "dynamiczone",
+  "json",
+  "blocks",
+  "richtext",
+  "text",
+];
+const LIST_EXCLUDED_TYPES = [
+  "component",
+  "dynamiczone",
+  "json",
+  "blocks",
+  "richtext",
+  "password",
+];
+const MAIN_FIELD_TYPES = [
+  "string",
+  "text",
+  "email",
+  "uid",
+  "enumeration",
+  "integer",
+  "biginteger",
+  "decimal",
+  "float",
+  "date",
+  "datetime",
+];
+
+const VALUE_RULES = [
+  "min",
+  "max",
+  "length",
+  "regex",
+  "email",
+  "uri",
+  "integer",
+  "positive",
+  "negative",
+  "precision",
+  "greaterThan",
+  "lessThan",
+  "unique",
+];
 
 class DynamicSchemaGenerator {
-  constructor() {
+  // logger takes the progress messages (log) and the problems found (warn);
+  // quiet drops the progress, e.g. when stdout holds a command's own output
+  constructor({ logger = console, quiet = false } = {}) {
+    this.logger = {
+      log: quiet ? () => {} : (...args) => logger.log(...args),
+      warn: (...args) => logger.warn(...args),
+    };
     this.typeMapping = {
       string: "string",
       text: "text",
@@ -14,6 +142,8 @@ class DynamicSchemaGenerator {
       date: "date",
       email: "string",
       url: "string",
+      markdown: "richtext",
+      color: "string", // Hex value; a component with colorFormat "component"
       slug: "uid",
       image: "media",
       file: "media",
@@ -23,53 +153,540 @@ class DynamicSchemaGenerator {
       block: "blocks",
     };
 
+    this.config = {};
+    this.inflector = createInflector(); // Plural and singular names
+    this.strapiVersion = null; // Major Strapi version the output targets
+    this.projectLanguage = { language: "ts", moduleType: "esm" };
     this.schemas = new Map();
-    this.components = new Map();
+    this.components = new Map(); // componentKey ("category.name") -> Strapi component
+    this.objectTypes = new Map(); // Sanity object type name -> definition
+    this.sharedComponents = new Map(); // Sanity object type name -> componentKey
+    this.componentsInProgress = new Set(); // Guards against recursive components
+    this.componentClaims = new Map(); // componentKey -> {structure, definition, sources}
+    this.collidingComponents = []; // How objects given the same key were told apart
     this.relationships = new Map();
     this.documentCounts = new Map();
     this.singletonTypes = new Set();
+    this.singletonSources = []; // Where each detected singleton is declared
+    this.i18n = normalizeI18nConfig(); // Document-level translation settings
+    this.translatedTypes = new Set(); // Types with one document per language
+    this.translationLanguages = new Set(); // Languages seen in translation metadata and arrays
+    this.fieldLocalizedTypes = new Set(); // Types with internationalized array fields
+    this.schemaParser = new SanitySchemaParser();
+    this.schemaExtractReader = new SanitySchemaExtractReader();
+    this.dataInferrer = null; // Set when inferring the model from data.ndjson
+    this.inferredFields = []; // Confidence of every inferred field
+    this.fieldStatistics = new FieldStatistics(); // Value statistics from data.ndjson
+    this.dataStatistics = new Map(); // Sanity field definition -> its value statistics
+    this.typeInferences = new Map(); // Sanity field definition -> attribute type chosen from data
+    this.customValidations = []; // Rules without a Strapi equivalent
+    this.unmappedInitialValues = []; // initialValue Strapi cannot use as default
+    this.deprecatedFields = [];
+    this.contentManager = new Map(); // uid -> content-manager configuration
+    this.nameMapping = loadNameMapping(); // Renames, drops and type overrides
+    this.plugins = loadPlugins(); // Converters for custom Sanity types
+    this.attributeOverrides = new Map(); // Sanity field definition -> attribute override
+    this.mappingWarnings = [];
+    this.pluralNames = new Map(); // type name -> pluralName fixed by the name check
+    this.collectionNames = new Map(); // type name -> shortened collectionName
+    this.namingFixes = []; // Renames that satisfy Strapi's naming rules
+    this.nameValidator = new StrapiNameValidator({
+      pluralize: this.inflector.pluralize,
+    });
+    this.namingWarnings = [];
 
     // NEW: Store all detected references for bidirectional analysis
     this.allReferences = new Map(); // schemaName -> [{fieldName, targetType, isArray}]
+    this.multiTargetReferences = new Map(); // schemaName -> Map(fieldName -> {targetTypes, isArray})
+    this.manifest = createManifest();
+    this.projectWriter = null; // Set per run, writes (or merges) project files
     this.processedRelationships = new Set(); // Track processed relationships to avoid duplicates
   }
 
   // Main entry point for schema generation
   async generateFromSanityProject(sanityProjectPath, exportedDataPath, config) {
-    console.log("Starting dynamic schema generation...");
+    this.logger.log("Starting dynamic schema generation...");
+    this.config = config || {};
+    this.strapiVersion = resolveStrapiVersion(this.config);
+    this.manifest.strapiVersion = this.strapiVersion;
+    this.logger.log(`Targeting Strapi v${this.strapiVersion}`);
+    this.nameMapping = loadNameMapping(this.config);
+    this.plugins = loadPlugins(this.config);
+    this.inflector = createInflector(this.config.inflections);
+
+    // Step 1: Analyze Sanity schemas (extracted schema JSON or studio source).
+    // A studio path that does not exist is an error, not a reason to infer
+    if (config?.sanitySchemaPath) {
+      await this.loadExtractedSchema(config.sanitySchemaPath);
+    } else if (config?.inferSchemaFromData || !sanityProjectPath) {
+      this.logger.log(
+        "No studio source available, inferring the model from exported data..."
+      );
+      this.dataInferrer = new DataModelInferrer();
+    } else {
+      await this.analyzeSanitySchemas(sanityProjectPath);
+    }
 
-    // Step 1: Analyze Sanity schema files
-    await this.analyzeSanitySchemas(sanityProjectPath);
+    // Singletons are declared in the desk structure and config, not the schema
+    if (
+      !this.dataInferrer &&
+      sanityProjectPath &&
+      fs.existsSync(sanityProjectPath)
+    ) {
+      this.detectSingletons(sanityProjectPath);
+    }
 
     // Step 2: Analyze exported data for validation and document counts
     await this.analyzeExportedData(exportedDataPath);
 
+    if (this.dataInferrer) {
+      this.registerInferredTypes();
+    }
+
+    this.registerInternationalizedFields();
+    this.registerBuiltInTypes();
+    this.registerLocalizedTypes();
+
+    // Renames from the mapping and the ones Strapi's naming rules require
+    // apply before any Strapi name is derived
+    this.applyNameMapping();
+
     // Step 3: Generate Strapi schemas
     await this.generateStrapiSchemas(config);
 
     // Step 4: Generate report
-    await this.generateReport();
+    if (!this.config.dryRun) {
+      await this.generateReport();
+    }
 
-    console.log("Schema generation complete!");
+    this.logger.log("Schema generation complete!");
   }
 
   async analyzeSanitySchemas(sanityProjectPath) {
-    console.log("Analyzing Sanity schemas...");
+    this.logger.log("Analyzing Sanity schemas...");
+
+    // Prefer the exact type registry the Studio builds from its entry point
+    const entryTypes = this.parseSchemaEntryPoint(sanityProjectPath);
+
+    if (entryTypes) {
+      for (const schemaInfo of entryTypes) {
+        if (this.isSingletonSourceFile(schemaInfo.sourceFile)) {
+          this.singletonTypes.add(schemaInfo.name);
+        }
+        this.registerSchemaType(schemaInfo);
+      }
+    } else {
+      const schemaPath = path.join(sanityProjectPath, "schemaTypes");
+
+      if (!fs.existsSync(schemaPath)) {
+        throw new Error(`Schema path not found: ${schemaPath}`);
+      }
 
-    const schemaPath = path.join(sanityProjectPath, "schemaTypes");
+      // Check if it's organized in folders or flat structure
+      const schemaStructure = await this.detectSchemaStructure(schemaPath);
+
+      if (schemaStructure.organized) {
+        await this.parseOrganizedSchemas(schemaPath, schemaStructure);
+      } else {
+        await this.parseFlatSchemas(schemaPath);
+      }
+    }
 
-    if (!fs.existsSync(schemaPath)) {
-      throw new Error(`Schema path not found: ${schemaPath}`);
+    const unresolvedCount = this.schemaParser.unresolved.length;
+    if (unresolvedCount > 0) {
+      this.logger.warn(
+        `⚠️ ${unresolvedCount} schema constructs could not be evaluated statically (see schema-generation-report.json)`
+      );
     }
+  }
 
-    // Check if it's organized in folders or flat structure
-    const schemaStructure = await this.detectSchemaStructure(schemaPath);
+  detectSingletons(sanityProjectPath) {
+    const detector = new SanitySingletonDetector(this.schemaParser);
 
-    if (schemaStructure.organized) {
-      await this.parseOrganizedSchemas(schemaPath, schemaStructure);
-    } else {
-      await this.parseFlatSchemas(schemaPath);
+    for (const singleton of detector.detect(sanityProjectPath)) {
+      if (!this.schemas.has(singleton.type)) continue;
+
+      this.singletonTypes.add(singleton.type);
+      this.singletonSources.push(singleton);
+      if (singleton.documentId) {
+        this.manifest.singletons[singleton.type] = singleton.documentId;
+      }
+    }
+
+    if (this.singletonSources.length > 0) {
+      this.logger.log(
+        `📌 Found ${this.singletonSources.length} singletons in the studio structure: ${this.singletonSources
+          .map((singleton) => singleton.type)
+          .join(", ")}`
+      );
+    }
+  }
+
+  applyNameMapping() {
+    const validator = new StrapiNameValidator({
+      pluralize: this.inflector.pluralize,
+      strapiVersion: this.strapiVersion,
+    });
+    this.nameValidator = validator;
+    const { mapping, pluralNames, collectionNames } = validator.validate({
+      schemas: this.schemas,
+      objectTypes: this.objectTypes,
+      singletonTypes: this.singletonTypes,
+      mapping: this.nameMapping,
+    });
+    this.pluralNames = pluralNames;
+    this.collectionNames = collectionNames;
+    this.namingFixes = validator.fixes;
+    this.namingWarnings = validator.warnings;
+
+    const mapper = new SanityModelMapper(mapping);
+    const { schemas, objectTypes } = mapper.apply(
+      this.schemas,
+      this.objectTypes
+    );
+    this.schemas = schemas;
+    this.objectTypes = objectTypes;
+    this.attributeOverrides = mapper.attributeOverrides;
+    this.mappingWarnings = mapper.warnings;
+    this.manifest.renames = mapper.renames;
+    this.fieldStatistics.rename(mapper.renames);
+    this.dataStatistics = this.fieldStatistics.resolveFields(
+      this.schemas,
+      this.objectTypes
+    );
+
+    // Per-type state collected so far is keyed by Sanity names
+    const mapTypeName = (typeName) =>
+      mapper.renames.types[typeName] === undefined
+        ? typeName
+        : mapper.renames.types[typeName];
+    const renameEntries = (entries) =>
+      entries
+        .map(([typeName, value]) => [mapTypeName(typeName), value])
+        .filter(([typeName]) => typeName !== null);
+    this.documentCounts = new Map(
+      renameEntries(Array.from(this.documentCounts))
+    );
+    this.singletonTypes = new Set(
+      Array.from(this.singletonTypes, mapTypeName).filter(Boolean)
+    );
+    this.translatedTypes = new Set(
+      Array.from(this.translatedTypes, mapTypeName).filter(
+        (typeName) => typeName && this.schemas.has(typeName)
+      )
+    );
+    this.fieldLocalizedTypes = new Set(
+      Array.from(this.fieldLocalizedTypes, mapTypeName).filter(
+        (typeName) => typeName && this.schemas.has(typeName)
+      )
+    );
+    if (this.translatedTypes.size + this.fieldLocalizedTypes.size > 0) {
+      this.manifest.i18n = this.getI18nManifest();
+    }
+    this.manifest.singletons = Object.fromEntries(
+      renameEntries(Object.entries(this.manifest.singletons))
+    );
+
+    for (const warning of [...this.mappingWarnings, ...this.namingWarnings]) {
+      this.logger.warn(`⚠️ ${warning}`);
+    }
+    for (const fix of this.namingFixes) {
+      this.logger.log(
+        `✏️ ${fix.path}: ${fix.from} -> ${fix.to} (${fix.reason})`
+      );
+    }
+    const renamedTypes = Object.keys(mapper.renames.types).length;
+    const mappedFields = Object.values(mapper.renames.fields).reduce(
+      (count, fields) => count + Object.keys(fields).length,
+      0
+    );
+    if (renamedTypes + mappedFields + this.attributeOverrides.size > 0) {
+      this.logger.log(
+        `🔀 Mapping: ${renamedTypes} types renamed or dropped, ${mappedFields} fields renamed or dropped, ${this.attributeOverrides.size} attribute overrides`
+      );
+    }
+  }
+
+  // Built-in object types become object types like the studio's own, unless
+  // the studio defines a type of the same name
+  registerBuiltInTypes() {
+    const colorFormat = this.config.colorFormat || "hex";
+    if (!COLOR_FORMATS.includes(colorFormat)) {
+      throw new Error(
+        `Unknown color format "${colorFormat}" (expected ${COLOR_FORMATS.join(", ")})`
+      );
+    }
+
+    const usedTypes = new Set();
+    const collectTypes = (fields) => {
+      for (const field of fields || []) {
+        if (BUILT_IN_OBJECT_TYPES[field.type]) usedTypes.add(field.type);
+        collectTypes(field.fields);
+        collectTypes(field.of);
+      }
+    };
+    for (const definitions of [this.schemas, this.objectTypes]) {
+      for (const definition of definitions.values()) {
+        collectTypes(definition.fields);
+      }
+    }
+
+    for (const typeName of usedTypes) {
+      if (this.objectTypes.has(typeName)) continue;
+      if (this.plugins.types.has(typeName)) continue;
+      if (typeName === "color" && colorFormat === "hex") continue;
+
+      this.objectTypes.set(typeName, {
+        name: typeName,
+        type: "object",
+        ...BUILT_IN_OBJECT_TYPES[typeName],
+      });
+    }
+  }
+
+  // Fields of sanity-plugin-internationalized-array types are converted as
+  // their value type; the attributes holding them become localized
+  registerInternationalizedFields() {
+    const typeNames = [...this.schemas.keys(), ...this.objectTypes.keys()];
+    let fieldCount = 0;
+    const visit = (fields) => {
+      for (const field of fields || []) {
+        const valueType = getInternationalizedArrayType(field.type);
+        if (
+          valueType &&
+          !this.objectTypes.has(field.type) &&
+          !this.plugins.types.has(field.type)
+        ) {
+          field.internationalizedArray = field.type;
+          field.type =
+            typeNames.find(
+              (typeName) => typeName.toLowerCase() === valueType.toLowerCase()
+            ) || valueType.charAt(0).toLowerCase() + valueType.slice(1);
+          fieldCount++;
+        }
+        visit(field.fields);
+        visit(field.of);
+      }
+    };
+    for (const definitions of [this.schemas, this.objectTypes]) {
+      for (const definition of definitions.values()) {
+        visit(definition.fields);
+      }
+    }
+
+    this.fieldLocalizedTypes = new Set(
+      Array.from(this.schemas.keys()).filter(
+        (typeName) => this.getLocalizedFields(typeName).length > 0
+      )
+    );
+    if (fieldCount > 0) {
+      this.logger.log(`🌐 ${fieldCount} internationalized array fields`);
+    }
+  }
+
+  // Fields of a document type that hold internationalized arrays, directly
+  // or in their objects
+  getLocalizedFields(typeName) {
+    const visitedTypes = new Set();
+    const isLocalized = (field) => {
+      if (!field) return false;
+      if (field.internationalizedArray) return true;
+      if ((field.fields || []).some(isLocalized)) return true;
+      if ((field.of || []).some(isLocalized)) return true;
+
+      const objectType = this.objectTypes.get(field.type);
+      if (!objectType || visitedTypes.has(field.type)) return false;
+      visitedTypes.add(field.type);
+      return objectType.fields.some(isLocalized);
+    };
+
+    return (this.schemas.get(typeName)?.fields || []).filter((field) => {
+      visitedTypes.clear();
+      return isLocalized(field);
+    });
+  }
+
+  // Types translated with @sanity/document-internationalization become
+  // localized Strapi types; Strapi's locale replaces their language field
+  registerLocalizedTypes() {
+    this.i18n = normalizeI18nConfig(this.config.i18n);
+    for (const typeName of this.i18n.schemaTypes) {
+      this.translatedTypes.add(typeName);
+    }
+
+    for (const typeName of this.translatedTypes) {
+      const schema = this.schemas.get(typeName);
+      if (!schema) {
+        this.logger.warn(`⚠️ Translated type ${typeName} does not exist`);
+        this.translatedTypes.delete(typeName);
+        continue;
+      }
+
+      const fieldPath = `${typeName}.${this.i18n.languageField}`;
+      const hasLanguageField = schema.fields.some(
+        (field) => field.name === this.i18n.languageField
+      );
+      if (hasLanguageField && !this.nameMapping.fields[fieldPath]) {
+        this.nameMapping.fields[fieldPath] = { drop: true };
+      }
+    }
+
+    const localizedTypes = new Set([
+      ...this.translatedTypes,
+      ...this.fieldLocalizedTypes,
+    ]);
+    if (localizedTypes.size > 0) {
+      const { locales } = this.getI18nManifest();
+      this.logger.log(
+        `🌐 Localized types: ${Array.from(localizedTypes).join(
+          ", "
+        )} (create the locales ${Object.values(locales).join(
+          ", "
+        )} in Strapi before migrating content)`
+      );
+    }
+  }
+
+  // Sanity languages map to the Strapi locale codes of the configuration,
+  // or keep their code. Without a defaultLocale, the first language found
+  // in the export is the base one
+  getI18nManifest() {
+    const languages = Array.from(
+      new Set([...this.translationLanguages, ...Object.keys(this.i18n.locales)])
+    );
+    const locales = {};
+    for (const language of languages) {
+      locales[language] = this.i18n.locales[language] || language;
+    }
+
+    return {
+      types: Array.from(this.translatedTypes),
+      fieldTypes: Array.from(this.fieldLocalizedTypes),
+      languageField: this.i18n.languageField,
+      defaultLocale: this.i18n.defaultLocale || languages[0] || null,
+      locales,
+    };
+  }
+
+  registerInferredTypes() {
+    const types = this.dataInferrer.buildTypes();
+
+    for (const schemaInfo of types) {
+      this.registerSchemaType(schemaInfo);
+      this.collectInferredFields(schemaInfo.name, schemaInfo.fields);
+    }
+
+    const lowConfidence = this.inferredFields.filter(
+      (field) => field.confidence === "low"
+    );
+    this.logger.log(
+      `📋 Inferred ${this.schemas.size} document types and ${this.objectTypes.size} object types from data`
+    );
+    if (lowConfidence.length > 0) {
+      this.logger.warn(
+        `⚠️ ${lowConfidence.length} inferred fields have low confidence (see schema-generation-report.json)`
+      );
+    }
+  }
+
+  collectInferredFields(pathLabel, fields) {
+    for (const field of fields) {
+      const fieldPath = `${pathLabel}.${field.name}`;
+      this.inferredFields.push({
+        field: fieldPath,
+        inferredType: field.type,
+        confidence: field.confidence.level,
+        occurrences: field.confidence.occurrences,
+        presence: field.confidence.presence,
+        notes: field.confidence.notes,
+      });
+
+      if (field.fields) {
+        this.collectInferredFields(fieldPath, field.fields);
+      }
+    }
+  }
+
+  // Load the resolved schema written by `sanity schema extract`, which needs
+  // no studio source checkout at all
+  async loadExtractedSchema(schemaJsonPath) {
+    this.logger.log(
+      `Loading extracted Sanity schema from ${schemaJsonPath}...`
+    );
+
+    if (!fs.existsSync(schemaJsonPath)) {
+      throw new Error(`Sanity schema file not found: ${schemaJsonPath}`);
+    }
+
+    const types = await this.schemaExtractReader.read(schemaJsonPath);
+    for (const schemaInfo of types) {
+      this.registerSchemaType(schemaInfo);
+    }
+
+    this.logger.log(
+      `📋 Loaded ${this.schemas.size} document types and ${this.objectTypes.size} object types`
+    );
+  }
+
+  // Resolve types from sanity.config (schema.types) or schemaTypes/index,
+  // following imports, spreads and re-exports. Returns null if neither exists.
+  parseSchemaEntryPoint(sanityProjectPath) {
+    const configFile = this.findFile(sanityProjectPath, "sanity.config");
+    const indexFile = this.findFile(
+      path.join(sanityProjectPath, "schemaTypes"),
+      "index"
+    );
+
+    const entryPoints = [
+      configFile && {
+        file: configFile,
+        parse: () => this.schemaParser.parseConfigTypes(configFile),
+      },
+      indexFile && {
+        file: indexFile,
+        parse: () => this.schemaParser.parseIndexTypes(indexFile),
+      },
+    ].filter(Boolean);
+
+    for (const entryPoint of entryPoints) {
+      try {
+        const types = entryPoint.parse();
+        if (types.length > 0) {
+          this.logger.log(
+            `📋 Resolved ${types.length} schema types from ${path.relative(
+              sanityProjectPath,
+              entryPoint.file
+            )}`
+          );
+          return types;
+        }
+      } catch (error) {
+        this.logger.warn(
+          `Could not resolve schema types from ${entryPoint.file}:`,
+          error.message
+        );
+      }
+    }
+
+    return null;
+  }
+
+  findFile(directory, baseName) {
+    for (const extension of [".ts", ".js", ".tsx", ".jsx", ".mjs"]) {
+      const candidate = path.join(directory, baseName + extension);
+      if (fs.existsSync(candidate)) return candidate;
     }
+    return null;
+  }
+
+  isSingletonSourceFile(sourceFile) {
+    if (!sourceFile) return false;
+    const folder = path.basename(path.dirname(sourceFile));
+    return (
+      folder === "singletons" ||
+      folder === "singleton" ||
+      path.basename(sourceFile).includes(".singleton.")
+    );
   }
 
   async detectSchemaStructure(schemaPath) {
@@ -103,10 +720,10 @@ class DynamicSchemaGenerator {
 
       for (const file of files) {
         if (file.endsWith(".ts") || file.endsWith(".js")) {
-          const schemaInfo = await this.parseSchemaFile(
+          const schemaInfos = await this.parseSchemaFile(
             path.join(folderPath, file)
           );
-          if (schemaInfo) {
+          for (const schemaInfo of schemaInfos) {
             // Mark singletons ONLY from folder structure or filename
             if (
               folder === "singletons" ||
@@ -116,11 +733,7 @@ class DynamicSchemaGenerator {
               this.singletonTypes.add(schemaInfo.name);
             }
 
-            if (schemaInfo.type === "document") {
-              this.schemas.set(schemaInfo.name, schemaInfo);
-            } else if (schemaInfo.type === "object") {
-              this.components.set(schemaInfo.name, schemaInfo);
-            }
+            this.registerSchemaType(schemaInfo);
           }
         }
       }
@@ -137,81 +750,108 @@ class DynamicSchemaGenerator {
         file !== "index.ts" &&
         file !== "index.js"
       ) {
-        const schemaInfo = await this.parseSchemaFile(
+        const schemaInfos = await this.parseSchemaFile(
           path.join(schemaPath, file)
         );
-        if (schemaInfo) {
+        for (const schemaInfo of schemaInfos) {
           // Check for singleton in filename pattern
           if (file.includes(".singleton.")) {
             this.singletonTypes.add(schemaInfo.name);
           }
 
-          if (schemaInfo.type === "document") {
-            this.schemas.set(schemaInfo.name, schemaInfo);
-          } else if (schemaInfo.type === "object") {
-            this.components.set(schemaInfo.name, schemaInfo);
-          }
+          this.registerSchemaType(schemaInfo);
         }
       }
     }
   }
 
+  registerSchemaType(schemaInfo) {
+    if (schemaInfo.type === "document") {
+      this.schemas.set(schemaInfo.name, schemaInfo);
+    } else if (schemaInfo.type === "object") {
+      this.objectTypes.set(schemaInfo.name, schemaInfo);
+    }
+  }
+
+  // Parse a schema file into a syntax tree and evaluate its exported types
   async parseSchemaFile(filePath) {
     try {
-      const content = await fs.readFile(filePath, "utf8");
-
-      // Extract schema definition using regex patterns
-      const schemaInfo = this.extractSchemaFromContent(content);
-      return schemaInfo;
+      return await this.schemaParser.parseFile(filePath);
     } catch (error) {
-      console.warn(`Could not parse schema file ${filePath}:`, error.message);
-      return null;
+      this.logger.warn(
+        `Could not parse schema file ${filePath}:`,
+        error.message
+      );
+      return [];
     }
   }
 
   // NEW: Collect all references before processing relationships
   async collectAllReferences() {
-    console.log("\n🔍 Collecting all references for bidirectional analysis...");
+    this.logger.log(
+      "\n🔍 Collecting all references for bidirectional analysis..."
+    );
 
     for (const [schemaName, schema] of this.schemas) {
       const references = [];
 
       for (const field of schema.fields) {
-        this.extractReferencesFromField(field, references);
+        // A type override from the mapping replaces the relation
+        if (this.attributeOverrides.has(field)) continue;
+        this.extractReferencesFromField(field, references, schemaName);
       }
 
       if (references.length > 0) {
         this.allReferences.set(schemaName, references);
-        console.log(`📋 Schema ${schemaName} has references:`, references);
+        this.logger.log(`📋 Schema ${schemaName} has references:`, references);
       }
     }
   }
 
   // NEW: Extract references from a field (handles nested structures)
-  extractReferencesFromField(field, references) {
-    if (field.type === "reference" && field.to?.[0]?.type) {
+  extractReferencesFromField(field, references, schemaName) {
+    let targetTypes = [];
+    let isArray = false;
+
+    if (field.type === "reference") {
+      targetTypes = this.getReferenceTargets([field]);
+    } else if (field.type === "array" && field.of) {
+      targetTypes = this.getReferenceTargets(
+        field.of.filter((item) => item.type === "reference")
+      );
+      isArray = true;
+    }
+
+    if (targetTypes.length === 1) {
       references.push({
         fieldName: field.name,
-        targetType: field.to[0].type,
-        isArray: false,
+        targetType: targetTypes[0],
+        isArray,
       });
-    } else if (field.type === "array" && field.of) {
-      const referenceItems = field.of.filter(
-        (item) => item.type === "reference"
-      );
-      if (referenceItems.length > 0 && referenceItems[0].to?.[0]?.type) {
-        references.push({
-          fieldName: field.name,
-          targetType: referenceItems[0].to[0].type,
-          isArray: true,
-        });
+    } else if (targetTypes.length > 1) {
+      // Multi-target references never take part in bidirectional matching
+      if (!this.multiTargetReferences.has(schemaName)) {
+        this.multiTargetReferences.set(schemaName, new Map());
+      }
+      this.multiTargetReferences
+        .get(schemaName)
+        .set(field.name, { targetTypes, isArray });
+    }
+  }
+
+  getReferenceTargets(referenceItems) {
+    const targets = new Set();
+    for (const item of referenceItems) {
+      for (const target of item.to || []) {
+        if (target.type) targets.add(target.type);
       }
     }
+    return Array.from(targets);
   }
 
   // NEW: Analyze bidirectional relationships
   analyzeBidirectionalRelationships() {
-    console.log("\n🔗 Analyzing bidirectional relationships...");
+    this.logger.log("\n🔗 Analyzing bidirectional relationships...");
 
     const relationshipMap = new Map(); // key: "schemaA-schemaB", value: relationship details
 
@@ -253,17 +893,17 @@ class DynamicSchemaGenerator {
   processRelationship(relationship) {
     const { schemaA, schemaB, aToB, bToA } = relationship;
 
-    console.log(
+    this.logger.log(
       `\n🔍 Processing relationship between ${schemaA} and ${schemaB}`
     );
-    console.log(`   A->B:`, aToB);
-    console.log(`   B->A:`, bToA);
+    this.logger.log(`   A->B:`, aToB);
+    this.logger.log(`   B->A:`, bToA);
 
     // Both sides have references (bidirectional)
     if (aToB && bToA) {
       if (aToB.isArray && bToA.isArray) {
         // manyToMany
-        console.log(`✅ Detected manyToMany relationship`);
+        this.logger.log(`✅ Detected manyToMany relationship`);
         this.addManyToManyRelationship(
           schemaA,
           aToB.fieldName,
@@ -272,7 +912,7 @@ class DynamicSchemaGenerator {
         );
       } else if (aToB.isArray && !bToA.isArray) {
         // oneToMany (B has one A, A has many B)
-        console.log(
+        this.logger.log(
           `✅ Detected oneToMany relationship (${schemaB} -> ${schemaA})`
         );
         this.addOneToManyRelationship(
@@ -283,7 +923,7 @@ class DynamicSchemaGenerator {
         );
       } else if (!aToB.isArray && bToA.isArray) {
         // oneToMany (A has one B, B has many A)
-        console.log(
+        this.logger.log(
           `✅ Detected oneToMany relationship (${schemaA} -> ${schemaB})`
         );
         this.addOneToManyRelationship(
@@ -294,7 +934,7 @@ class DynamicSchemaGenerator {
         );
       } else {
         // Both are single references - oneToOne bidirectional
-        console.log(`✅ Detected bidirectional oneToOne relationship`);
+        this.logger.log(`✅ Detected bidirectional oneToOne relationship`);
         this.addBidirectionalOneToOneRelationship(
           schemaA,
           aToB.fieldName,
@@ -306,14 +946,14 @@ class DynamicSchemaGenerator {
     // Only one side has reference (unidirectional)
     else if (aToB && !bToA) {
       if (aToB.isArray) {
-        console.log(`✅ Detected unidirectional oneToMany relationship`);
+        this.logger.log(`✅ Detected unidirectional oneToMany relationship`);
         this.addUnidirectionalOneToManyRelationship(
           schemaA,
           aToB.fieldName,
           schemaB
         );
       } else {
-        console.log(`✅ Detected unidirectional oneToOne relationship`);
+        this.logger.log(`✅ Detected unidirectional oneToOne relationship`);
         this.addUnidirectionalOneToOneRelationship(
           schemaA,
           aToB.fieldName,
@@ -322,14 +962,14 @@ class DynamicSchemaGenerator {
       }
     } else if (!aToB && bToA) {
       if (bToA.isArray) {
-        console.log(`✅ Detected unidirectional oneToMany relationship`);
+        this.logger.log(`✅ Detected unidirectional oneToMany relationship`);
         this.addUnidirectionalOneToManyRelationship(
           schemaB,
           bToA.fieldName,
           schemaA
         );
       } else {
-        console.log(`✅ Detected unidirectional oneToOne relationship`);
+        this.logger.log(`✅ Detected unidirectional oneToOne relationship`);
         this.addUnidirectionalOneToOneRelationship(
           schemaB,
           bToA.fieldName,
@@ -423,599 +1063,878 @@ class DynamicSchemaGenerator {
     this.relationships.get(fromSchema).set(fieldName, relationshipConfig);
   }
 
-  extractSchemaFromContent(content) {
-    // Extract schema name
-    const nameMatch = content.match(/name:\s*['"](.*?)['"]/);
-    if (!nameMatch) return null;
-
-    const name = nameMatch[1];
-
-    // Extract type
-    const typeMatch = content.match(/type:\s*['"](.*?)['"]/);
-    const type = typeMatch ? typeMatch[1] : "document";
-
-    // Extract title
-    const titleMatch = content.match(/title:\s*['"](.*?)['"]/);
-    const title = titleMatch ? titleMatch[1] : name;
-
-    // Extract fields
-    const fields = this.extractFields(content);
+  async analyzeExportedData(exportPath) {
+    this.logger.log("Analyzing exported data...");
 
-    return {
-      name,
-      type,
-      title,
-      fields,
-    };
-  }
+    const ndjsonPath = path.join(exportPath, "data.ndjson");
+    if (!fs.existsSync(ndjsonPath)) {
+      this.logger.warn("No data.ndjson found, skipping data analysis");
+      return;
+    }
 
-  extractFields(content) {
-    const fields = [];
+    const fileStream = fs.createReadStream(ndjsonPath);
+    const rl = readline.createInterface({
+      input: fileStream,
+      crlfDelay: Infinity,
+    });
 
-    // More sophisticated field extraction using regex
-    const fieldPattern =
-      /defineField\(\s*\{([^{}]*(?:\{[^{}]*(?:\{[^{}]*(?:\{[^{}]*\}[^{}]*)*\}[^{}]*)*\}[^{}]*)*)\}\)/gs;
-    const fieldMatches = content.matchAll(fieldPattern);
+    const typeCount = {};
+    const sampleDocs = {};
+    const documentTypes = new Map(); // published _id -> _type
+    const translationMetadata = [];
 
-    for (const match of fieldMatches) {
-      const fieldContent = match[1];
-      const field = this.parseFieldContent(fieldContent);
-      if (field) {
-        fields.push(field);
-      }
-    }
+    for await (const line of rl) {
+      try {
+        const doc = JSON.parse(line);
 
-    return fields;
-  }
+        if (doc._type === TRANSLATION_METADATA_TYPE) {
+          translationMetadata.push(doc);
+          continue;
+        }
+        documentTypes.set(doc._id.replace(/^drafts\./, ""), doc._type);
+        collectLanguages(doc, this.translationLanguages);
 
-  parseFieldContent(fieldContent) {
-    try {
-      // Extract basic properties
-      const name = this.extractProperty(fieldContent, "name");
-      const type = this.extractProperty(fieldContent, "type");
-      const title = this.extractProperty(fieldContent, "title");
+        // Inference walks every document, including assets for references
+        if (this.dataInferrer) {
+          this.dataInferrer.addDocument(doc);
+        }
+        this.fieldStatistics.addDocument(doc);
 
-      if (!name || !type) return null;
+        // Skip asset documents
+        if (doc._type.startsWith("sanity.")) continue;
 
-      const field = { name, type, title };
+        typeCount[doc._type] = (typeCount[doc._type] || 0) + 1;
 
-      // Extract validation rules
-      const validation = this.extractValidation(fieldContent);
-      if (validation) {
-        field.validation = validation;
+        // Store sample document for each type
+        if (!sampleDocs[doc._type]) {
+          sampleDocs[doc._type] = doc;
+        }
+      } catch (error) {
+        // Skip invalid lines
       }
+    }
 
-      // Extract options
-      const options = this.extractOptions(fieldContent);
-      if (options) {
-        field.options = options;
+    // Metadata of plugin versions without schemaTypes only names documents
+    for (const metadata of translationMetadata) {
+      for (const typeName of metadata.schemaTypes || []) {
+        this.translatedTypes.add(typeName);
       }
-
-      // Extract array 'of' property - IMPROVED VERSION
-      if (type === "array") {
-        const arrayOf = this.extractArrayOf(fieldContent);
-        if (arrayOf) {
-          field.of = arrayOf;
+      for (const { language, id } of getTranslations(metadata)) {
+        this.translationLanguages.add(language);
+        if (documentTypes.has(id)) {
+          this.translatedTypes.add(documentTypes.get(id));
         }
       }
+    }
 
-      // Extract reference 'to' property - FIXED VERSION
-      if (type === "reference") {
-        const referenceTo = this.extractReferenceTo(fieldContent);
-        if (referenceTo) {
-          field.to = referenceTo;
-        }
-      }
+    // Store document counts but DON'T automatically mark as singletons
+    Object.entries(typeCount).forEach(([type, count]) => {
+      this.documentCounts.set(type, count);
 
-      // Extract nested fields for objects
-      if (type === "object") {
-        const nestedFields = this.extractNestedFields(fieldContent);
-        if (nestedFields && nestedFields !== "HAS_NESTED_FIELDS") {
-          field.fields = nestedFields;
-        }
+      // Only log potential singletons for manual review, don't auto-mark
+      if (count === 1 && !this.singletonTypes.has(type)) {
+        this.logger.log(
+          `Info: ${type} has only 1 document - consider if this should be a singleton`
+        );
       }
+    });
 
-      return field;
-    } catch (error) {
-      console.warn("Error parsing field:", error.message);
-      return null;
-    }
+    this.logger.log(`Analyzed ${Object.keys(typeCount).length} document types`);
+    this.logger.log("Document counts:", typeCount);
   }
 
-  extractProperty(content, propName) {
-    const pattern = new RegExp(`${propName}:\\s*['"](.*?)['"]`);
-    const match = content.match(pattern);
-    return match ? match[1] : null;
-  }
+  convertToStrapiSchema(sanitySchema) {
+    const isSingleton = this.singletonTypes.has(sanitySchema.name);
+    const documentCount = this.documentCounts.get(sanitySchema.name) || 0;
 
-  extractValidation(content) {
-    const validationMatch = content.match(
-      /validation:\s*\([^)]*\)\s*=>\s*([^,}]+)/
-    );
-    if (!validationMatch) return null;
+    const strapiSchema = {
+      kind: isSingleton ? "singleType" : "collectionType",
+      collectionName: this.getCollectionName(sanitySchema.name, isSingleton),
+      info: {
+        singularName: sanitySchema.name,
+        pluralName: this.getPluralName(sanitySchema.name),
+        displayName: sanitySchema.title || sanitySchema.name,
+        description: `Migrated from Sanity (${documentCount} documents)`,
+      },
+      options: {
+        draftAndPublish: true,
+      },
+      pluginOptions: {},
+      attributes: {},
+    };
 
-    const validationString = validationMatch[1];
-    const validation = {};
+    // Document-level initial values: { fieldName: value }
+    const uid = `api::${sanitySchema.name}.${sanitySchema.name}`;
+    const documentInitialValue = this.isPlainObject(sanitySchema.initialValue)
+      ? sanitySchema.initialValue
+      : {};
 
-    if (validationString.includes(".required()")) {
-      validation.required = true;
-    }
+    // Convert fields
+    for (const field of sanitySchema.fields) {
+      const fieldPath = `${sanitySchema.name}.${field.name}`;
+      const initialValue =
+        field.initialValue !== undefined
+          ? field.initialValue
+          : documentInitialValue[field.name];
+
+      const multiTarget = this.multiTargetReferences
+        .get(sanitySchema.name)
+        ?.get(field.name);
+      if (multiTarget) {
+        const attributes = this.convertMultiTargetReference(
+          field,
+          multiTarget,
+          sanitySchema.name
+        );
+        Object.assign(strapiSchema.attributes, attributes);
+        if (attributes[field.name]) {
+          this.applyFieldSettings(
+            attributes[field.name],
+            field,
+            fieldPath,
+            uid,
+            initialValue
+          );
+        }
+        continue;
+      }
 
-    const minMatch = validationString.match(/\.min\((\d+)\)/);
-    if (minMatch) {
-      validation.min = parseInt(minMatch[1]);
+      const strapiField = this.convertField(field, sanitySchema.name);
+      if (strapiField) {
+        strapiSchema.attributes[field.name] = this.finalizeAttribute(
+          strapiField,
+          field,
+          fieldPath,
+          uid,
+          initialValue
+        );
+      }
     }
 
-    const maxMatch = validationString.match(/\.max\((\d+)\)/);
-    if (maxMatch) {
-      validation.max = parseInt(maxMatch[1]);
+    if (this.translatedTypes.has(sanitySchema.name)) {
+      this.localizeSchema(strapiSchema);
+    } else if (this.fieldLocalizedTypes.has(sanitySchema.name)) {
+      this.localizeSchema(
+        strapiSchema,
+        this.getLocalizedFields(sanitySchema.name).map((field) => field.name)
+      );
     }
 
-    return Object.keys(validation).length > 0 ? validation : null;
+    this.setContentManagerLayout(uid, sanitySchema, strapiSchema.attributes);
+
+    return strapiSchema;
   }
 
-  extractOptions(content) {
-    const optionsMatch = content.match(
-      /options:\s*\{([^{}]*(?:\{[^{}]*\}[^{}]*)*)\}/
-    );
-    if (!optionsMatch) return null;
-
-    const optionsContent = optionsMatch[1];
-    const options = {};
-
-    // Extract source for slug fields
-    const sourceMatch = optionsContent.match(/source:\s*['"]([^'"]*)['"]/);
-    if (sourceMatch) {
-      options.source = sourceMatch[1];
-    }
+  // Each translation is a separate Sanity document, so every attribute
+  // differs per locale. With internationalized arrays, only the attributes
+  // holding them do and the others are shared by all locales
+  localizeSchema(strapiSchema, localizedAttributes = null) {
+    strapiSchema.pluginOptions = {
+      ...strapiSchema.pluginOptions,
+      i18n: { localized: true },
+    };
 
-    // Extract list options
-    const listMatch = optionsContent.match(/list:\s*\[([^\]]*)\]/);
-    if (listMatch) {
-      try {
-        const listItems = listMatch[1].match(/\{[^}]*\}/g);
-        if (listItems) {
-          options.list = listItems.map((item) => {
-            const titleMatch = item.match(/title:\s*['"]([^'"]*)['"]/);
-            const valueMatch = item.match(/value:\s*['"]([^'"]*)['"]/);
-            return {
-              title: titleMatch ? titleMatch[1] : "",
-              value: valueMatch ? valueMatch[1] : "",
-            };
-          });
-        }
-      } catch (e) {
-        console.warn("Could not parse list options");
-      }
+    for (const [name, attribute] of Object.entries(strapiSchema.attributes)) {
+      const localized =
+        !localizedAttributes || localizedAttributes.includes(name);
+      attribute.pluginOptions = {
+        ...attribute.pluginOptions,
+        i18n: { localized },
+      };
     }
-
-    return Object.keys(options).length > 0 ? options : null;
   }
 
-  // COMPLETELY FIXED extractReferenceTo method
-  extractReferenceTo(content) {
-    console.log(`\n🔍 Extracting reference 'to' from field content`);
-    console.log(`📋 Field content: "${content}"`);
-
-    // Look for the 'to' property - improved regex to handle nested arrays and objects
-    const toMatch = content.match(
-      /to:\s*\[\s*\{\s*type:\s*['"']([^'"']+)['"']\s*\}\s*\]/
+  convertField(field, parentSchemaName) {
+    this.logger.log(
+      `\n🔧 Converting field: ${field.name} (type: ${field.type}) in ${parentSchemaName}`
     );
 
-    if (!toMatch) {
-      console.log(`❌ No 'to' property found in reference field`);
-      return null;
+    if (this.attributeOverrides.get(field)?.type) {
+      return { type: this.attributeOverrides.get(field).type };
     }
 
-    const targetType = toMatch[1];
-    console.log(`🎯 Found target type: "${targetType}"`);
+    if (this.plugins.types.get(field.type)?.attribute) {
+      return this.convertPluginField(field, parentSchemaName);
+    }
 
-    return [{ type: targetType }];
-  }
+    // Check if this field has a processed relationship
+    const processedRelationships = this.relationships.get(parentSchemaName);
+    if (processedRelationships && processedRelationships.has(field.name)) {
+      const relationshipConfig = processedRelationships.get(field.name);
+      this.logger.log(`✅ Using processed relationship:`, relationshipConfig);
+      return relationshipConfig;
+    }
 
-  // COMPLETELY REWRITTEN extractArrayOf method with improved reference extraction
-  extractArrayOf(fieldContent) {
-    console.log(`\n🔍 Extracting array 'of' from field content`);
-    console.log(
-      `📋 Raw field content length: ${fieldContent.length} characters`
-    );
+    const fieldType = field.type;
 
-    // IMPROVED: Better regex to capture complete 'of' property including nested structures
-    const ofPattern = /of:\s*\[((?:[^[\]]*(?:\[[^\]]*\])?)*)\]/s;
-    const ofMatch = fieldContent.match(ofPattern);
+    // Handle special cases first
+    if (fieldType === "slug") {
+      this.logger.log(`🏷️ Handling slug field`);
+      return {
+        type: "uid",
+        targetField: field.options?.source || "title",
+        required: field.validation?.required || false,
+      };
+    }
 
-    if (!ofMatch) {
-      console.log(`❌ No 'of' property found in array field`);
-      console.log(
-        `🔍 Field content preview: "${fieldContent.substring(0, 200)}..."`
-      );
-      return null;
+    // Handle other field types...
+    if (fieldType === "array") {
+      this.logger.log(`📚 Delegating to handleArrayField`);
+      return this.handleArrayField(field, parentSchemaName);
     }
 
-    const ofContent = ofMatch[1].trim();
-    console.log(`📋 Found 'of' content: "${ofContent}"`);
-    console.log(`📏 Of content length: ${ofContent.length} characters`);
+    if (fieldType === "object") {
+      return this.handleObjectField(field, parentSchemaName);
+    }
 
-    // More detailed logging for debugging
-    if (ofContent.includes("reference")) {
-      console.log(`🔗 Reference detected in 'of' content`);
-      console.log(
-        `🔍 Checking if content ends properly: ends with '}' = ${ofContent.endsWith(
-          "}"
-        )}`
-      );
-      console.log(`🔍 Contains 'to:' = ${ofContent.includes("to:")}`);
+    // Named object types share one component wherever they are used
+    if (this.objectTypes.has(fieldType)) {
+      return {
+        type: "component",
+        repeatable: false,
+        component: this.getSharedComponent(fieldType),
+      };
     }
 
-    const items = [];
+    if (fieldType === "image" || fieldType === "file") {
+      return {
+        type: "media",
+        multiple: false,
+        allowedTypes: ["images", "files", "videos", "audios"],
+      };
+    }
 
-    try {
-      // Split by commas that are not inside nested brackets/braces - IMPROVED VERSION
-      const arrayItems = this.parseArrayItems(ofContent);
-      console.log(
-        `📦 Parsed array items (count: ${arrayItems.length}):`,
-        arrayItems
+    return this.convertPrimitiveField(field);
+  }
+
+  // Fields of a type a plugin converts (see utils/plugins). modelKey is the
+  // content type or component holding the field; the manifest tells the
+  // content migrator which values go through the plugin's transform
+  convertPluginField(field, modelKey) {
+    const converter = this.plugins.types.get(field.type);
+    const attribute = converter.attribute(field, {
+      strapiVersion: this.strapiVersion,
+      model: modelKey,
+      component: (name, definition) =>
+        this.createObjectComponent(
+          name,
+          { name, type: "object", ...definition },
+          this.getComponentNameOverride(name) ||
+            `${this.getComponentCategory()}.${this.kebabCase(name)}`,
+          name
+        ),
+    });
+    if (!attribute) return null;
+    if (typeof attribute.type !== "string") {
+      throw new Error(
+        `Plugin ${converter.plugin} returned no attribute type for ${modelKey}.${field.name}`
       );
+    }
 
-      for (let i = 0; i < arrayItems.length; i++) {
-        const itemStr = arrayItems[i];
-        const trimmedItem = itemStr.trim();
-        if (!trimmedItem) continue;
+    if (!this.manifest.customTypes[modelKey]) {
+      this.manifest.customTypes[modelKey] = {};
+    }
+    this.manifest.customTypes[modelKey][field.name] = field.type;
+    return { ...attribute };
+  }
 
-        console.log(`\n🔸 Processing item ${i + 1}: "${trimmedItem}"`);
-        console.log(`📏 Item length: ${trimmedItem.length} characters`);
+  // Primitive Sanity types and their options lists
+  convertPrimitiveField(field) {
+    const strapiType = this.typeMapping[field.type] || "string";
+    const strapiField = { type: strapiType };
 
-        // FIXED: More robust reference pattern matching
-        if (
-          trimmedItem.includes("type: 'reference'") ||
-          trimmedItem.includes('type: "reference"')
-        ) {
-          console.log(`🔗 Found reference type in item`);
-          console.log(`🔍 Full reference item: "${trimmedItem}"`);
+    // Handle enumeration from options
+    if (field.options?.list) {
+      strapiField.type = "enumeration";
+      strapiField.enum = field.options.list.map((item) => item.value);
+      return strapiField;
+    }
 
-          // IMPROVED: Multiple regex patterns to try
-          let targetType = null;
+    if (field.type === "url") {
+      strapiField.regex = this.getUriPattern(URL_SCHEMES);
+    } else if (field.type === "color") {
+      strapiField.regex = HEX_COLOR_PATTERN;
+    }
 
-          // Pattern 1: Standard format
-          let toMatch = trimmedItem.match(
-            /to:\s*\[\s*\{\s*type:\s*['"']([^'"']+)['"']\s*\}\s*\]/
-          );
-          if (toMatch) {
-            targetType = toMatch[1];
-            console.log(`✅ Pattern 1 matched - target type: "${targetType}"`);
-          } else {
-            // Pattern 2: Incomplete closing brackets
-            toMatch = trimmedItem.match(
-              /to:\s*\[\s*\{\s*type:\s*['"']([^'"']+)['"']/
-            );
-            if (toMatch) {
-              targetType = toMatch[1];
-              console.log(
-                `✅ Pattern 2 matched (incomplete brackets) - target type: "${targetType}"`
-              );
-            } else {
-              // Pattern 3: Look for any type after 'to:'
-              toMatch = trimmedItem.match(/to:.*?type:\s*['"']([^'"']+)['"']/);
-              if (toMatch) {
-                targetType = toMatch[1];
-                console.log(
-                  `✅ Pattern 3 matched (flexible) - target type: "${targetType}"`
-                );
-              }
-            }
-          }
+    // Integers, long strings and short lists of values seen in the export
+    const stats = this.dataStatistics.get(field);
+    const inferred = inferAttributeType(field, strapiType, stats);
+    if (inferred) {
+      const { reason, ...attribute } = inferred;
+      this.typeInferences.set(field, {
+        field: stats.path,
+        from: strapiType,
+        to: attribute.type,
+        reason,
+      });
+      Object.assign(strapiField, attribute);
+    }
 
-          if (targetType) {
-            console.log(`🎯 Extracted target type: "${targetType}"`);
+    return strapiField;
+  }
 
-            items.push({
-              type: "reference",
-              to: [{ type: targetType }],
-            });
+  // Constraints and editor settings shared by document and component fields
+  finalizeAttribute(
+    strapiField,
+    field,
+    fieldPath,
+    uid,
+    initialValue = field.initialValue
+  ) {
+    // Mapping overrides win over the converted settings; processed
+    // relationships are shared, so the override goes on a copy
+    if (this.attributeOverrides.has(field)) {
+      strapiField = { ...strapiField, ...this.attributeOverrides.get(field) };
+    }
+    this.applyValidation(strapiField, field, fieldPath);
+    this.applyFieldSettings(strapiField, field, fieldPath, uid, initialValue);
+    return strapiField;
+  }
 
-            console.log(`✅ Added reference with target: ${targetType}`);
-          } else {
-            console.warn(
-              `⚠️ Reference found but could not extract target type from: ${trimmedItem}`
-            );
-            console.log(`🔍 All regex attempts failed. Content analysis:`);
-            console.log(`   - Contains 'to:': ${trimmedItem.includes("to:")}`);
-            console.log(
-              `   - Contains 'type:': ${trimmedItem.includes("type:")}`
-            );
-            console.log(
-              `   - Contains quotes: ${
-                trimmedItem.includes("'") || trimmedItem.includes('"')
-              }`
-            );
+  // Initial values become attribute defaults; help text, readOnly and hidden
+  // go to the content-manager configuration (see writeContentManagerConfig)
+  applyFieldSettings(strapiField, field, fieldPath, uid, initialValue) {
+    // Processed relationships are shared between fields, never mutate them
+    const isRelation = strapiField.type === "relation";
 
-            // Fallback: add reference without target (will be handled as json later)
-            items.push({
-              type: "reference",
-              to: [],
-            });
-          }
-          continue;
-        }
+    if (initialValue !== undefined) {
+      if (!isRelation && this.isDefaultSupported(strapiField, initialValue)) {
+        strapiField.default = initialValue;
+      } else {
+        this.unmappedInitialValues.push({
+          path: fieldPath,
+          reason: `Strapi ${strapiField.type} attributes cannot default to ${JSON.stringify(initialValue)}`,
+        });
+      }
+    }
 
-        // Check for simple type with optional options (like image with hotspot)
-        const typeMatch = trimmedItem.match(/\{\s*type:\s*['"]([^'"]+)['"]/);
-        if (typeMatch) {
-          const itemType = typeMatch[1];
-          const item = { type: itemType };
-
-          // Extract options if present
-          const optionsMatch = trimmedItem.match(/options:\s*\{([^}]+)\}/);
-          if (optionsMatch) {
-            item.options = {};
-            const optionsContent = optionsMatch[1];
-
-            // Check for hotspot option
-            if (optionsContent.includes("hotspot: true")) {
-              item.options.hotspot = true;
-            }
-          }
+    const edit = {};
+    const descriptions = [];
+    if (typeof field.description === "string") {
+      descriptions.push(field.description);
+    }
+    if (field.deprecated) {
+      const reason = field.deprecated.reason || null;
+      this.deprecatedFields.push({ field: fieldPath, reason });
+      descriptions.push(reason ? `Deprecated: ${reason}` : "Deprecated");
+    }
+    if (descriptions.length > 0) {
+      edit.description = descriptions.join(" ");
+    }
 
-          items.push(item);
-          console.log(
-            `✅ Added ${itemType} type with options:`,
-            item.options || "none"
-          );
-        } else {
-          console.warn(`⚠️ Could not parse item: "${trimmedItem}"`);
-        }
+    // Conditional (function) readOnly/hidden stay editable and visible
+    if (field.readOnly === true) {
+      edit.editable = false;
+      if (!isRelation) {
+        // Managed outside the editor, keep it out of the content-type builder
+        strapiField.configurable = false;
       }
+    }
+    if (field.hidden === true) {
+      edit.visible = false;
+    }
 
-      console.log(
-        `🎉 Final extracted items (total: ${items.length}):`,
-        JSON.stringify(items, null, 2)
-      );
-      return items.length > 0 ? items : null;
-    } catch (error) {
-      console.warn('Error parsing array "of" content:', error.message);
-      console.warn("Stack trace:", error.stack);
-      return null;
+    if (Object.keys(edit).length > 0) {
+      this.setContentManagerMetadata(uid, field.name, { edit });
     }
   }
 
-  // Helper method to properly split array items accounting for nested structures
-  parseArrayItems(content) {
-    const items = [];
-    let currentItem = "";
-    let braceDepth = 0;
-    let bracketDepth = 0;
-    let inQuotes = false;
-    let quoteChar = "";
-
-    for (let i = 0; i < content.length; i++) {
-      const char = content[i];
-      const prevChar = i > 0 ? content[i - 1] : "";
-
-      // Handle quotes
-      if ((char === '"' || char === "'") && prevChar !== "\\") {
-        if (!inQuotes) {
-          inQuotes = true;
-          quoteChar = char;
-        } else if (char === quoteChar) {
-          inQuotes = false;
-          quoteChar = "";
-        }
-      }
+  isDefaultSupported(strapiField, value) {
+    switch (strapiField.type) {
+      case "string":
+      case "text":
+      case "email":
+      case "richtext":
+      case "date":
+      case "datetime":
+      case "time":
+        return typeof value === "string";
+      case "enumeration":
+        return strapiField.enum.includes(value);
+      case "boolean":
+        return typeof value === "boolean";
+      case "integer":
+      case "biginteger":
+        return Number.isInteger(value);
+      case "decimal":
+      case "float":
+        return typeof value === "number";
+      case "json":
+        return true;
+      default:
+        return false;
+    }
+  }
 
-      if (!inQuotes) {
-        // Track brace and bracket depth
-        if (char === "{") braceDepth++;
-        else if (char === "}") braceDepth--;
-        else if (char === "[") bracketDepth++;
-        else if (char === "]") bracketDepth--;
-
-        // Split on commas only at the top level
-        if (char === "," && braceDepth === 0 && bracketDepth === 0) {
-          items.push(currentItem.trim());
-          currentItem = "";
-          continue;
-        }
+  getContentManagerEntry(uid) {
+    if (!this.contentManager.has(uid)) {
+      this.contentManager.set(uid, { metadatas: {} });
+    }
+    return this.contentManager.get(uid);
+  }
+
+  setContentManagerMetadata(uid, fieldName, metadata) {
+    const { metadatas } = this.getContentManagerEntry(uid);
+    const current = metadatas[fieldName] || {};
+    metadatas[fieldName] = { ...current };
+    for (const view of ["edit", "list"]) {
+      if (metadata[view]) {
+        metadatas[fieldName][view] = { ...current[view], ...metadata[view] };
       }
+    }
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+  }
+
+  // Edit layout from Sanity groups, fieldsets and field order; main field
+  // and list columns from preview.select
+  setContentManagerLayout(uid, definition, attributes) {
+    const layouts = {};
+    const settings = {};
 
-      currentItem += char;
+    const fields = (definition.fields || []).filter(
+      (field) => attributes[field.name] && field.hidden !== true
+    );
+    if (fields.length > 0) {
+      layouts.edit = this.buildEditLayout(definition, fields, attributes);
+    }
+
+    const select = this.isPlainObject(definition.preview?.select)
+      ? definition.preview.select
+      : {};
+    const mainField = this.getPreviewAttribute(
+      select.title,
+      attributes,
+      MAIN_FIELD_TYPES
+    );
+    if (mainField) {
+      settings.mainField = mainField;
     }
 
-    // Add the last item
-    if (currentItem.trim()) {
-      items.push(currentItem.trim());
+    const columns = [select.title, select.subtitle, select.media]
+      .map((selectPath) => this.getPreviewAttribute(selectPath, attributes))
+      .filter(Boolean);
+    if (columns.length > 0) {
+      layouts.list = ["id", ...new Set(columns)];
     }
 
-    return items;
+    const entry = this.getContentManagerEntry(uid);
+    if (Object.keys(layouts).length > 0) entry.layouts = layouts;
+    if (Object.keys(settings).length > 0) entry.settings = settings;
   }
 
-  // IMPROVED nested fields extraction
-  extractNestedFields(content) {
-    const fieldsMatch = content.match(
-      /fields:\s*\[([^\[\]]*(?:\[[^\]]*\][^\[\]]*)*)\]/s
-    );
-    if (!fieldsMatch) return null;
+  // Only top-level attributes can be shown; "author.name" style paths
+  // into references are left to Strapi's defaults
+  getPreviewAttribute(selectPath, attributes, allowedTypes = null) {
+    if (typeof selectPath !== "string" || selectPath.includes(".")) {
+      return null;
+    }
 
-    const fieldsContent = fieldsMatch[1];
-    const fields = [];
+    const attribute = attributes[selectPath];
+    if (!attribute || LIST_EXCLUDED_TYPES.includes(attribute.type)) {
+      return null;
+    }
+    if (allowedTypes && !allowedTypes.includes(attribute.type)) {
+      return null;
+    }
+    return selectPath;
+  }
 
-    // Extract individual field objects from the fields array
-    const fieldObjectPattern = /\{([^{}]*(?:\{[^{}]*\}[^{}]*)*)\}/g;
-    const fieldMatches = fieldsContent.matchAll(fieldObjectPattern);
+  buildEditLayout(definition, fields, attributes) {
+    // Strapi has no tabs: fields are ordered by group, default group first
+    // and ungrouped fields last
+    const groups = (definition.groups || []).map((group) => group.name);
+    const defaultGroup = definition.groups?.find((group) => group.default);
+    if (defaultGroup) {
+      groups.splice(groups.indexOf(defaultGroup.name), 1);
+      groups.unshift(defaultGroup.name);
+    }
+    const groupRank = (field) => {
+      const ranks = []
+        .concat(field.group || [])
+        .map((group) => groups.indexOf(group))
+        .filter((rank) => rank >= 0);
+      return ranks.length > 0 ? Math.min(...ranks) : groups.length;
+    };
+    const ordered = fields
+      .map((field, index) => ({ field, index }))
+      .sort(
+        (a, b) => groupRank(a.field) - groupRank(b.field) || a.index - b.index
+      )
+      .map(({ field }) => field);
+
+    // Fieldset members stay together, at the position of the first member
+    const blocks = [];
+    const fieldsetBlocks = new Map();
+    for (const field of ordered) {
+      if (!field.fieldset) {
+        blocks.push({ fields: [field] });
+      } else if (fieldsetBlocks.has(field.fieldset)) {
+        fieldsetBlocks.get(field.fieldset).fields.push(field);
+      } else {
+        const fieldset = (definition.fieldsets || []).find(
+          (candidate) => candidate.name === field.fieldset
+        );
+        const block = { fields: [field], columns: fieldset?.options?.columns };
+        fieldsetBlocks.set(field.fieldset, block);
+        blocks.push(block);
+      }
+    }
 
-    for (const match of fieldMatches) {
-      const fieldContent = match[1];
+    const rows = [];
+    let row = [];
+    let rowSize = 0;
+    const endRow = () => {
+      if (row.length > 0) rows.push(row);
+      row = [];
+      rowSize = 0;
+    };
 
-      const name = this.extractProperty(fieldContent, "name");
-      const type = this.extractProperty(fieldContent, "type");
-      const title = this.extractProperty(fieldContent, "title");
+    for (const block of blocks) {
+      const isFieldset = fieldsetBlocks.has(block.fields[0].fieldset);
+      if (isFieldset) endRow();
 
-      if (name && type) {
-        const field = { name, type };
-        if (title) field.title = title;
-        fields.push(field);
+      for (const field of block.fields) {
+        const size = this.getLayoutSize(attributes[field.name], block.columns);
+        if (rowSize + size > 12) endRow();
+        row.push({ name: field.name, size });
+        rowSize += size;
       }
+
+      if (isFieldset) endRow();
     }
+    endRow();
 
-    return fields.length > 0 ? fields : null;
+    return rows;
   }
 
-  async analyzeExportedData(exportPath) {
-    console.log("Analyzing exported data...");
+  getLayoutSize(attribute, columns) {
+    if (FULL_WIDTH_TYPES.includes(attribute.type)) return 12;
+    if (columns > 0) return Math.max(Math.floor(12 / columns), 3);
+    return attribute.type === "boolean" ? 4 : 6;
+  }
 
-    const ndjsonPath = path.join(exportPath, "data.ndjson");
-    if (!fs.existsSync(ndjsonPath)) {
-      console.warn("No data.ndjson found, skipping data analysis");
-      return;
+  // Translate Sanity validation rules into the constraints Strapi supports
+  // for the attribute's type. Rules without a Strapi equivalent are listed
+  // in the report (customValidations) so they can be ported by hand.
+  applyValidation(strapiField, field, fieldPath) {
+    const validation = field.validation;
+    if (!validation) return strapiField;
+
+    this.recordCustomValidations(field, fieldPath);
+    const untranslated = (rule, reason) =>
+      this.customValidations.push({ field: fieldPath, rule, reason });
+
+    // Processed relationships are shared between fields, never mutate them
+    if (strapiField.type === "relation") {
+      if (validation.required) {
+        untranslated("required", "Strapi relations cannot be required");
+      }
+      for (const rule of ["min", "max", "length"]) {
+        if (validation[rule] !== undefined) {
+          untranslated(rule, "Strapi relations have no size constraints");
+        }
+      }
+      return strapiField;
     }
 
-    const fileStream = fs.createReadStream(ndjsonPath);
-    const rl = readline.createInterface({
-      input: fileStream,
-      crlfDelay: Infinity,
-    });
+    if (validation.required) {
+      strapiField.required = true;
+    }
 
-    const typeCount = {};
-    const sampleDocs = {};
+    if (TEXT_ATTRIBUTE_TYPES.includes(strapiField.type)) {
+      this.applyTextValidation(strapiField, validation, untranslated);
+    } else if (NUMBER_ATTRIBUTE_TYPES.includes(strapiField.type)) {
+      this.applyNumberValidation(strapiField, validation, untranslated);
+    } else if (
+      strapiField.type === "dynamiczone" ||
+      (strapiField.type === "component" && strapiField.repeatable)
+    ) {
+      // Item counts
+      const min = validation.length ?? validation.min;
+      const max = validation.length ?? validation.max;
+      if (typeof min === "number") strapiField.min = min;
+      if (typeof max === "number") strapiField.max = max;
+      if (validation.unique) {
+        untranslated("unique", "Strapi cannot require unique list items");
+      }
+    } else {
+      for (const rule of VALUE_RULES) {
+        if (validation[rule] !== undefined) {
+          untranslated(rule, `not supported on ${strapiField.type} attributes`);
+        }
+      }
+    }
 
-    for await (const line of rl) {
-      try {
-        const doc = JSON.parse(line);
+    return strapiField;
+  }
 
-        // Skip asset documents
-        if (doc._type.startsWith("sanity.")) continue;
+  applyTextValidation(strapiField, validation, untranslated) {
+    const minLength = validation.length ?? validation.min;
+    const maxLength = validation.length ?? validation.max;
+    if (typeof minLength === "number") strapiField.minLength = minLength;
+    if (typeof maxLength === "number") strapiField.maxLength = maxLength;
 
-        typeCount[doc._type] = (typeCount[doc._type] || 0) + 1;
+    if (validation.unique) {
+      strapiField.unique = true;
+    }
 
-        // Store sample document for each type
-        if (!sampleDocs[doc._type]) {
-          sampleDocs[doc._type] = doc;
+    if (validation.email && strapiField.type === "string") {
+      strapiField.type = "email";
+    }
+
+    if (validation.regex) {
+      const { pattern, flags, invert } = validation.regex;
+      if (invert) {
+        untranslated("regex", "inverted patterns are not supported by Strapi");
+      } else {
+        strapiField.regex = pattern;
+        if (flags) {
+          untranslated("regex", `flags "${flags}" are dropped by Strapi`);
         }
-      } catch (error) {
-        // Skip invalid lines
       }
     }
 
-    // Store document counts but DON'T automatically mark as singletons
-    Object.entries(typeCount).forEach(([type, count]) => {
-      this.documentCounts.set(type, count);
+    if (validation.uri) {
+      const { scheme, allowRelative } = validation.uri;
+      const schemes = scheme ? [].concat(scheme) : ["http", "https"];
+      // The url type's own pattern gives way to the rule
+      const urlPattern = this.getUriPattern(URL_SCHEMES);
+      if (strapiField.regex === urlPattern) delete strapiField.regex;
 
-      // Only log potential singletons for manual review, don't auto-mark
-      if (count === 1 && !this.singletonTypes.has(type)) {
-        console.log(
-          `Info: ${type} has only 1 document - consider if this should be a singleton`
+      if (
+        strapiField.regex ||
+        allowRelative ||
+        !schemes.every((value) => typeof value === "string")
+      ) {
+        untranslated(
+          "uri",
+          "only absolute URLs with string schemes map to a regex"
         );
+      } else {
+        strapiField.regex = this.getUriPattern(schemes);
       }
-    });
+    }
 
-    console.log(`Analyzed ${Object.keys(typeCount).length} document types`);
-    console.log("Document counts:", typeCount);
+    for (const rule of ["greaterThan", "lessThan", "precision"]) {
+      if (validation[rule] !== undefined) {
+        untranslated(rule, `not supported on ${strapiField.type} attributes`);
+      }
+    }
   }
 
-  convertToStrapiSchema(sanitySchema) {
-    const isSingleton = this.singletonTypes.has(sanitySchema.name);
-    const documentCount = this.documentCounts.get(sanitySchema.name) || 0;
+  getUriPattern(schemes) {
+    return `^(?:${schemes.join("|")}):\\S+$`;
+  }
 
-    const strapiSchema = {
-      kind: isSingleton ? "singleType" : "collectionType",
-      collectionName: isSingleton
-        ? sanitySchema.name
-        : this.pluralize(sanitySchema.name),
-      info: {
-        singularName: sanitySchema.name,
-        pluralName: this.pluralize(sanitySchema.name),
-        displayName: sanitySchema.title || sanitySchema.name,
-        description: `Migrated from Sanity (${documentCount} documents)`,
-      },
-      options: {
-        draftAndPublish: true,
-      },
-      pluginOptions: {},
-      attributes: {},
-    };
+  applyNumberValidation(strapiField, validation, untranslated) {
+    if (validation.integer || validation.precision === 0) {
+      strapiField.type = "integer";
+    } else if (validation.precision !== undefined) {
+      untranslated("precision", "Strapi decimals have no precision setting");
+    }
+    const isInteger = strapiField.type === "integer";
 
-    // Convert fields
-    for (const field of sanitySchema.fields) {
-      const strapiField = this.convertField(field, sanitySchema.name);
-      if (strapiField) {
-        strapiSchema.attributes[field.name] = strapiField;
+    const bounds = { min: validation.min, max: validation.max };
+    if (validation.positive) {
+      bounds.min = Math.max(bounds.min ?? 0, 0);
+    }
+
+    // Exclusive bounds only translate exactly for integers
+    const exclusive = {
+      greaterThan: validation.greaterThan,
+      lessThan: validation.negative ? 0 : validation.lessThan,
+    };
+    for (const [rule, limit] of Object.entries(exclusive)) {
+      if (typeof limit !== "number") continue;
+      if (!isInteger) {
+        untranslated(
+          validation.negative && rule === "lessThan" ? "negative" : rule,
+          "exclusive bounds are only translated for integers"
+        );
+      } else if (rule === "greaterThan") {
+        bounds.min = Math.max(bounds.min ?? limit + 1, limit + 1);
+      } else {
+        bounds.max = Math.min(bounds.max ?? limit - 1, limit - 1);
       }
     }
 
-    return strapiSchema;
+    if (typeof bounds.min === "number") strapiField.min = bounds.min;
+    if (typeof bounds.max === "number") strapiField.max = bounds.max;
+
+    if (validation.unique) {
+      strapiField.unique = true;
+    }
+    for (const rule of ["length", "regex", "email", "uri"]) {
+      if (validation[rule] !== undefined) {
+        untranslated(rule, `not supported on ${strapiField.type} attributes`);
+      }
+    }
   }
 
-  convertField(field, parentSchemaName) {
-    console.log(
-      `\n🔧 Converting field: ${field.name} (type: ${field.type}) in ${parentSchemaName}`
-    );
+  // Rule.custom() and other rules the parser could not read statically
+  recordCustomValidations(field, fieldPath) {
+    for (const rule of field.validation?.custom || []) {
+      this.customValidations.push({ field: fieldPath, ...rule });
+    }
+  }
 
-    // Check if this field has a processed relationship
-    const processedRelationships = this.relationships.get(parentSchemaName);
-    if (processedRelationships && processedRelationships.has(field.name)) {
-      const relationshipConfig = processedRelationships.get(field.name);
-      console.log(`✅ Using processed relationship:`, relationshipConfig);
-      return relationshipConfig;
+  // Map a reference with several target types using the configured strategy:
+  // - dynamiczone: one link component per target type
+  // - relations: one relation attribute per target type
+  // - json: keep the raw Sanity reference(s)
+  convertMultiTargetReference(field, reference, parentSchemaName) {
+    const strategy = this.config.multiTargetReferences || "dynamiczone";
+    if (!MULTI_TARGET_STRATEGIES.includes(strategy)) {
+      throw new Error(
+        `Unknown multi-target reference strategy "${strategy}" (expected ${MULTI_TARGET_STRATEGIES.join(", ")})`
+      );
     }
 
-    const fieldType = field.type;
+    const { targetTypes, isArray } = reference;
+    const attributes = {};
+    const targets = {};
 
-    // Handle special cases first
-    if (fieldType === "slug") {
-      console.log(`🏷️ Handling slug field`);
-      return {
-        type: "uid",
-        targetField: field.options?.source || "title",
-        required: field.validation?.required || false,
-      };
-    }
+    this.logger.log(
+      `🔀 ${parentSchemaName}.${field.name} references ${targetTypes.join(", ")} (strategy: ${strategy})`
+    );
 
-    // Handle other field types...
-    if (fieldType === "array") {
-      console.log(`📚 Delegating to handleArrayField`);
-      return this.handleArrayField(field, parentSchemaName);
+    // Only references are routed, other members of the array are not kept
+    const objectMembers = (field.of || [])
+      .filter((item) => item.type !== "reference")
+      .map((item) => item.name || item.type);
+    if (strategy !== "json" && objectMembers.length > 0) {
+      this.logger.warn(
+        `⚠️ ${parentSchemaName}.${field.name}: ${objectMembers.join(
+          ", "
+        )} members are dropped with the ${strategy} strategy for multi-target references (use "json" to keep them)`
+      );
     }
 
-    if (fieldType === "object") {
-      return this.handleObjectField(field, parentSchemaName);
-    }
+    if (strategy === "relations") {
+      const takenNames = this.getTakenAttributeNames(parentSchemaName, field);
+      for (const targetType of targetTypes) {
+        const attributeName = this.getRelationAttributeName(
+          parentSchemaName,
+          field,
+          targetType,
+          takenNames
+        );
+        takenNames.add(attributeName);
+        attributes[attributeName] = {
+          type: "relation",
+          relation: isArray ? "oneToMany" : "oneToOne",
+          target: `api::${targetType}.${targetType}`,
+        };
+        targets[targetType] = attributeName;
+      }
+    } else if (strategy === "dynamiczone") {
+      const category = this.config.referenceLinkCategory || "links";
+      for (const targetType of targetTypes) {
+        const componentKey = `${category}.${this.kebabCase(targetType)}-link`;
+        this.createReferenceLinkComponent(componentKey, targetType);
+        targets[targetType] = componentKey;
+      }
 
-    if (fieldType === "image" || fieldType === "file") {
-      return {
-        type: "media",
-        multiple: false,
-        allowedTypes: ["images", "files", "videos", "audios"],
+      attributes[field.name] = {
+        type: "dynamiczone",
+        components: Object.values(targets),
       };
+      if (!isArray) {
+        attributes[field.name].max = 1;
+      }
+    } else {
+      attributes[field.name] = { type: "json" };
     }
 
-    // Handle primitive types
-    const strapiType = this.typeMapping[fieldType] || "string";
-    const strapiField = { type: strapiType };
-
-    // Add validation rules
-    if (field.validation?.required) {
-      strapiField.required = true;
+    if (field.validation?.required && attributes[field.name]) {
+      attributes[field.name].required = true;
     }
+    this.recordCustomValidations(field, `${parentSchemaName}.${field.name}`);
 
-    if (field.validation?.min !== undefined) {
-      strapiField.min = field.validation.min;
+    if (!this.manifest.references[parentSchemaName]) {
+      this.manifest.references[parentSchemaName] = {};
     }
+    this.manifest.references[parentSchemaName][field.name] = {
+      strategy,
+      isArray,
+      targets,
+    };
 
-    if (field.validation?.max !== undefined) {
-      strapiField.max = field.validation.max;
+    return attributes;
+  }
+
+  // Names of the other attributes of a content type, including the ones
+  // earlier multi-target references were split into
+  getTakenAttributeNames(parentSchemaName, field) {
+    const taken = new Set(
+      (this.schemas.get(parentSchemaName)?.fields || [])
+        .filter((otherField) => otherField !== field)
+        .map((otherField) => otherField.name)
+    );
+    for (const reference of Object.values(
+      this.manifest.references[parentSchemaName] || {}
+    )) {
+      if (reference.strategy !== "relations") continue;
+      Object.values(reference.targets).forEach((name) => taken.add(name));
     }
+    return taken;
+  }
 
-    // Handle enumeration from options
-    if (field.options?.list) {
-      strapiField.type = "enumeration";
-      strapiField.enum = field.options.list.map((item) => item.value);
+  // `${field}${Target}`, renamed like any other attribute when it is
+  // reserved or already taken by another field of the type
+  getRelationAttributeName(parentSchemaName, field, targetType, takenNames) {
+    const targetName = targetType.replace(/-([a-z0-9])/g, (_, char) =>
+      char.toUpperCase()
+    );
+    const name = `${field.name}${this.capitalize(targetName)}`;
+    const candidate = this.nameValidator.isReserved(name)
+      ? `sanity${this.capitalize(name)}`
+      : name;
+    const fixed = this.nameValidator.uniqueName(candidate, takenNames);
+
+    if (fixed !== name) {
+      this.namingFixes.push({
+        kind: "attribute",
+        path: `${parentSchemaName}.${field.name}`,
+        from: name,
+        to: fixed,
+        reason: this.nameValidator.isReserved(name)
+          ? `"${name}" is reserved by Strapi`
+          : `"${name}" is already an attribute of ${parentSchemaName}`,
+      });
+      this.logger.warn(
+        `⚠️ ${parentSchemaName}.${field.name}: relation to ${targetType} renamed ${name} -> ${fixed}`
+      );
     }
+    return fixed;
+  }
 
-    return strapiField;
+  createReferenceLinkComponent(componentKey, targetType) {
+    const [category, name] = componentKey.split(".");
+
+    this.components.set(componentKey, {
+      collectionName: this.getComponentCollectionName(category, name),
+      info: {
+        displayName: `${this.capitalize(targetType)} link`,
+      },
+      options: {},
+      attributes: {
+        [targetType]: {
+          type: "relation",
+          relation: "oneToOne",
+          target: `api::${targetType}.${targetType}`,
+        },
+      },
+      config: {},
+    });
   }
 
   // UPDATED: Modified handleArrayField to not create relationships directly
   handleArrayField(field, parentSchemaName) {
-    console.log(
+    this.logger.log(
       `🔍 Processing array field: ${field.name} in ${parentSchemaName}`
     );
 
@@ -1023,7 +1942,7 @@ class DynamicSchemaGenerator {
     const processedRelationships = this.relationships.get(parentSchemaName);
     if (processedRelationships && processedRelationships.has(field.name)) {
       const relationshipConfig = processedRelationships.get(field.name);
-      console.log(
+      this.logger.log(
         `✅ Using processed relationship for array:`,
         relationshipConfig
       );
@@ -1033,7 +1952,7 @@ class DynamicSchemaGenerator {
     const arrayItems = field.of;
 
     if (!arrayItems || arrayItems.length === 0) {
-      console.log(`❌ No array items found, returning json type`);
+      this.logger.log(`❌ No array items found, returning json type`);
       return { type: "json" };
     }
 
@@ -1043,19 +1962,26 @@ class DynamicSchemaGenerator {
       (item) => item.type === "reference"
     );
     if (referenceItems.length > 0) {
-      console.warn(
+      this.logger.warn(
         `⚠️ Found unprocessed reference in array field ${field.name}, using json fallback`
       );
       return { type: "json" };
     }
 
+    // Page-builder arrays: several object types become a dynamic zone with
+    // one component per member type
+    if (this.isDynamicZoneArray(arrayItems)) {
+      this.logger.log(`🧩 Returning dynamic zone for mixed object array`);
+      return this.createDynamicZone(field, parentSchemaName);
+    }
+
     // Handle array of images
     const imageItems = arrayItems.filter(
       (item) => item.type === "image" || item.type === "file"
     );
 
     if (imageItems.length > 0) {
-      console.log(`✅ Returning media array for images/files`);
+      this.logger.log(`✅ Returning media array for images/files`);
       return {
         type: "media",
         multiple: true,
@@ -1063,70 +1989,348 @@ class DynamicSchemaGenerator {
       };
     }
 
-    // Handle other array types...
-    const firstItem = arrayItems[0];
+    // Handle other array types...
+    const firstItem = arrayItems[0];
+
+    if (firstItem.type === "string") {
+      const componentName = field.name;
+      const componentKey = this.getComponentKey(parentSchemaName, field.name);
+
+      this.createStringArrayComponent(
+        componentName,
+        field.title || field.name,
+        componentKey
+      );
+
+      return {
+        type: "component",
+        repeatable: true,
+        component: componentKey,
+      };
+    }
+
+    if (firstItem.type === "block") {
+      return { type: "blocks" };
+    }
+
+    if (this.objectTypes.has(firstItem.type)) {
+      return {
+        type: "component",
+        repeatable: true,
+        component: this.getSharedComponent(firstItem.type),
+      };
+    }
+
+    if (firstItem.type === "object") {
+      const componentKey = this.createObjectComponent(
+        field.name,
+        firstItem,
+        this.getComponentKey(parentSchemaName, field.name),
+        `${parentSchemaName}.${field.name}`
+      );
+      return {
+        type: "component",
+        repeatable: true,
+        component: componentKey,
+      };
+    }
+
+    return { type: "json" };
+  }
+
+  isDynamicZoneArray(arrayItems) {
+    const objectItems = arrayItems.filter((item) => this.isObjectMember(item));
+    return (
+      arrayItems.length > 1 &&
+      objectItems.length > 0 &&
+      arrayItems.every(
+        (item) =>
+          this.isObjectMember(item) ||
+          item.type === "image" ||
+          item.type === "file"
+      )
+    );
+  }
+
+  // Inline objects and named Sanity object types
+  isObjectMember(item) {
+    return item.type === "object" || this.objectTypes.has(item.type);
+  }
+
+  createDynamicZone(field, parentSchemaName) {
+    const members = {}; // Sanity _type -> component key
+
+    for (const member of field.of) {
+      const memberType = member.type === "object" ? member.name : member.type;
+      if (!memberType) {
+        this.logger.warn(
+          `⚠️ Skipping unnamed inline object in ${parentSchemaName}.${field.name}`
+        );
+        continue;
+      }
+
+      if (this.objectTypes.has(member.type)) {
+        members[memberType] = this.getSharedComponent(memberType);
+        continue;
+      }
+
+      // Inline members belong to this field only
+      const componentKey = this.getComponentKey(
+        parentSchemaName,
+        `${field.name}-${memberType}`
+      );
+      const source = `${parentSchemaName}.${field.name}.${memberType}`;
+      members[memberType] =
+        member.type === "image" || member.type === "file"
+          ? this.createMediaComponent(memberType, member, componentKey, source)
+          : this.createObjectComponent(
+              memberType,
+              member,
+              componentKey,
+              source
+            );
+    }
+
+    if (!this.manifest.dynamicZones[parentSchemaName]) {
+      this.manifest.dynamicZones[parentSchemaName] = {};
+    }
+    this.manifest.dynamicZones[parentSchemaName][field.name] = members;
+
+    return {
+      type: "dynamiczone",
+      components: Object.values(members),
+    };
+  }
+
+  handleObjectField(field, parentSchemaName) {
+    // Inline objects get a component named after their field
+    const componentKey = this.createObjectComponent(
+      field.name,
+      field,
+      this.getComponentKey(parentSchemaName, field.name),
+      `${parentSchemaName}.${field.name}`
+    );
+
+    return {
+      type: "component",
+      repeatable: false,
+      component: componentKey,
+    };
+  }
+
+  // Components for inline objects: "<content-type>.<field>", unless
+  // config.componentNames maps "<type>.<field>" to another key
+  getComponentKey(parentSchemaName, fieldName) {
+    const override = this.getComponentNameOverride(
+      `${parentSchemaName}.${fieldName}`
+    );
+    if (override) return override;
+
+    return `${this.kebabCase(parentSchemaName)}.${this.kebabCase(fieldName)}`;
+  }
+
+  // Component shared by every field using a named Sanity object type:
+  // "<componentCategory>.<type>" (category defaults to "shared"), unless
+  // config.componentNames maps the type name to another key
+  getSharedComponent(typeName) {
+    if (this.sharedComponents.has(typeName)) {
+      return this.sharedComponents.get(typeName);
+    }
+
+    const componentKey =
+      this.getComponentNameOverride(typeName) ||
+      `${this.getComponentCategory()}.${this.kebabCase(typeName)}`;
+    this.sharedComponents.set(typeName, componentKey);
+
+    const definition = this.objectTypes.get(typeName);
+    const claimedKey = this.createObjectComponent(
+      typeName,
+      definition,
+      componentKey,
+      typeName
+    );
+    this.sharedComponents.set(typeName, claimedKey);
+    return claimedKey;
+  }
+
+  getComponentCategory() {
+    return this.kebabCase(this.config.componentCategory || "shared");
+  }
+
+  // Overrides may be a full "category.name" key or just a name, which is
+  // placed in the default category
+  getComponentNameOverride(name) {
+    const override =
+      this.config.componentNames?.[name] || this.nameMapping.components[name];
+    if (!override) return null;
 
-    if (firstItem.type === "string") {
-      const componentName = field.name;
-      const componentKey = this.getComponentKey(field.name);
+    return override.includes(".")
+      ? override
+      : `${this.getComponentCategory()}.${this.kebabCase(override)}`;
+  }
 
-      this.createStringArrayComponent(
-        componentName,
-        field.title || field.name,
-        componentKey
-      );
+  // Table names use underscores even when category or name are kebab-case
+  getComponentCollectionName(category, name) {
+    const collectionName = `components_${category}_${this.inflector.pluralize(
+      name
+    )}`.replace(/-/g, "_");
+    const shortened = shortenIdentifier(collectionName);
+    if (shortened !== collectionName) {
+      this.namingFixes.push({
+        kind: "collectionName",
+        path: `${category}.${name}`,
+        from: collectionName,
+        to: shortened,
+        reason: `collectionName longer than ${MAX_COLLECTION_NAME_LENGTH} characters`,
+      });
+    }
+    return shortened;
+  }
 
-      return {
-        type: "component",
-        repeatable: true,
-        component: componentKey,
-      };
+  // Different Sanity objects can be given the same component key, through
+  // componentNames overrides or names that kebab-case alike. Identical
+  // objects share the component. Otherwise, with the "merge" strategy
+  // (default) objects whose common fields agree become one superset
+  // component; the others get a key scoped to their parent ("scope")
+  claimComponentKey(componentKey, definition, source) {
+    const structure = this.getObjectStructure(definition);
+    const claim = this.componentClaims.get(componentKey);
+
+    if (!claim) {
+      this.componentClaims.set(componentKey, {
+        structure,
+        definition,
+        sources: [source],
+      });
+      return { componentKey, definition, build: true };
+    }
+    if (isDeepEqual(claim.structure, structure)) {
+      if (!claim.sources.includes(source)) claim.sources.push(source);
+      return { componentKey, definition: claim.definition, build: false };
     }
 
-    if (firstItem.type === "block") {
-      return { type: "blocks" };
+    const strategy = this.config.componentCollisions || "merge";
+    if (!COMPONENT_COLLISION_STRATEGIES.includes(strategy)) {
+      throw new Error(
+        `Unknown component collision strategy "${strategy}" (expected ${COMPONENT_COLLISION_STRATEGIES.join(", ")})`
+      );
     }
 
-    if (firstItem.type === "object" || this.components.has(firstItem.type)) {
-      const componentKey = this.getComponentKey(field.name);
-      return {
-        type: "component",
-        repeatable: true,
-        component: componentKey,
-      };
+    const merged =
+      strategy === "merge" && !this.componentsInProgress.has(componentKey)
+        ? this.mergeObjectDefinitions(claim.definition, definition)
+        : null;
+    if (merged) {
+      claim.definition = merged;
+      claim.structure = this.getObjectStructure(merged);
+      claim.sources.push(source);
+      this.collidingComponents.push({
+        componentKey,
+        sources: [...claim.sources],
+        resolution: "merged",
+      });
+      this.logger.warn(
+        `⚠️ ${source} and ${claim.sources[0]} share component ${componentKey}, merged into one with the fields of both`
+      );
+      return { componentKey, definition: merged, build: true };
     }
 
-    return { type: "json" };
+    const scopedKey = this.getScopedComponentKey(
+      componentKey,
+      source,
+      structure
+    );
+    this.collidingComponents.push({
+      componentKey,
+      sources: [...claim.sources, source],
+      resolution: "scoped",
+      scopedKey,
+    });
+    this.logger.warn(
+      `⚠️ ${source} differs from ${claim.sources[0]} in component ${componentKey}, using ${scopedKey}`
+    );
+    return this.claimComponentKey(scopedKey, definition, source);
   }
 
-  handleObjectField(field, parentSchemaName) {
-    // Use field name as component name and create proper component key
-    const componentKey = this.getComponentKey(field.name);
+  // "<category>.<parent>-<field>", numbered while taken by another structure
+  getScopedComponentKey(componentKey, source, structure) {
+    const [category] = componentKey.split(".");
+    const baseKey = `${category}.${this.kebabCase(source)}`;
 
-    // Create component schema for this object with proper field parsing
-    this.createObjectComponent(field.name, field, componentKey);
+    let scopedKey = baseKey;
+    for (let index = 2; ; index++) {
+      const claim = this.componentClaims.get(scopedKey);
+      if (scopedKey !== componentKey) {
+        if (!claim || isDeepEqual(claim.structure, structure)) return scopedKey;
+      }
+      scopedKey = `${baseKey}-${index}`;
+    }
+  }
 
+  // What makes two Sanity objects the same component: field names and
+  // types at any depth, reference targets and option lists
+  getObjectStructure(definition) {
+    const describe = (field) => ({
+      name: field.name,
+      type: field.type,
+      to: field.to?.map((target) => target.type),
+      list: field.options?.list?.map((item) => item?.value ?? item),
+      of: field.of?.map(describe),
+      fields: field.fields?.map(describe),
+    });
     return {
-      type: "component",
-      repeatable: false,
-      component: componentKey,
+      type: definition.type,
+      fields: (definition.fields || []).map(describe),
     };
   }
 
-  // Helper method to generate component keys in expected format
-  getComponentKey(fieldName) {
-    const category = this.singularize(fieldName);
-    const componentName = this.pluralize(fieldName);
-    return `${category}.${componentName}`;
+  // Union of both field lists, or null when a field both have differs.
+  // Fields only one object has cannot stay required
+  mergeObjectDefinitions(existing, incoming) {
+    if (existing.type !== incoming.type) return null;
+
+    const incomingFields = new Map(
+      (incoming.fields || []).map((field) => [field.name, field])
+    );
+    const existingNames = new Set(
+      (existing.fields || []).map((field) => field.name)
+    );
+    const optional = (field) =>
+      field.validation?.required
+        ? { ...field, validation: { ...field.validation, required: false } }
+        : field;
+
+    const fields = [];
+    for (const field of existing.fields || []) {
+      const other = incomingFields.get(field.name);
+      if (!other) {
+        fields.push(optional(field));
+        continue;
+      }
+      if (
+        !isDeepEqual(
+          this.getObjectStructure({ fields: [field] }),
+          this.getObjectStructure({ fields: [other] })
+        )
+      ) {
+        return null;
+      }
+      fields.push(field);
+    }
+    for (const field of incoming.fields || []) {
+      if (!existingNames.has(field.name)) fields.push(optional(field));
+    }
+
+    return { ...existing, fields };
   }
 
   createStringArrayComponent(componentName, title, componentKey) {
     const [category, name] = componentKey.split(".");
 
     const component = {
-      collectionName: `components_${category}_${this.pluralize(name)}`,
+      collectionName: this.getComponentCollectionName(category, name),
       info: {
-        displayName: this.singularize(componentName),
+        displayName: this.inflector.singularize(componentName),
       },
       options: {},
       attributes: {
@@ -1140,13 +2344,20 @@ class DynamicSchemaGenerator {
     this.components.set(componentKey, component);
   }
 
-  createObjectComponent(componentName, field, componentKey) {
+  // Returns the key the component ended up under (see claimComponentKey)
+  createObjectComponent(componentName, field, requestedKey, source) {
+    const claim = this.claimComponentKey(requestedKey, field, source);
+    if (!claim.build) return claim.componentKey;
+
+    const { componentKey, definition } = claim;
     const [category, name] = componentKey.split(".");
+    this.componentsInProgress.add(componentKey);
 
     const component = {
-      collectionName: `components_${category}_${this.pluralize(name)}`,
+      collectionName: this.getComponentCollectionName(category, name),
       info: {
-        displayName: this.singularize(componentName),
+        displayName:
+          definition.title || this.inflector.singularize(componentName),
       },
       options: {},
       attributes: {},
@@ -1154,11 +2365,16 @@ class DynamicSchemaGenerator {
     };
 
     // Parse nested fields properly
-    if (field.fields && Array.isArray(field.fields)) {
-      for (const nestedField of field.fields) {
-        const strapiField = this.convertNestedField(nestedField);
+    if (definition.fields && Array.isArray(definition.fields)) {
+      for (const nestedField of definition.fields) {
+        const strapiField = this.convertNestedField(nestedField, componentKey);
         if (strapiField) {
-          component.attributes[nestedField.name] = strapiField;
+          component.attributes[nestedField.name] = this.finalizeAttribute(
+            strapiField,
+            nestedField,
+            `${componentKey}.${nestedField.name}`,
+            componentKey
+          );
         }
       }
     } else {
@@ -1168,12 +2384,72 @@ class DynamicSchemaGenerator {
       };
     }
 
+    this.setContentManagerLayout(
+      componentKey,
+      definition,
+      component.attributes
+    );
+    this.components.set(componentKey, component);
+    this.componentsInProgress.delete(componentKey);
+    return componentKey;
+  }
+
+  // Images and files inside a dynamic zone keep their extra fields (alt, caption)
+  createMediaComponent(componentName, field, requestedKey, source) {
+    const claim = this.claimComponentKey(requestedKey, field, source);
+    if (!claim.build) return claim.componentKey;
+
+    const { componentKey, definition } = claim;
+    const [category, name] = componentKey.split(".");
+
+    const component = {
+      collectionName: this.getComponentCollectionName(category, name),
+      info: {
+        displayName: this.inflector.singularize(componentName),
+      },
+      options: {},
+      attributes: {
+        asset: {
+          type: "media",
+          multiple: false,
+          allowedTypes:
+            definition.type === "image"
+              ? ["images"]
+              : ["images", "files", "videos", "audios"],
+        },
+      },
+      config: {},
+    };
+
+    for (const nestedField of definition.fields || []) {
+      const strapiField = this.convertNestedField(nestedField, componentKey);
+      if (strapiField) {
+        component.attributes[nestedField.name] = this.finalizeAttribute(
+          strapiField,
+          nestedField,
+          `${componentKey}.${nestedField.name}`,
+          componentKey
+        );
+      }
+    }
+
     this.components.set(componentKey, component);
+    return componentKey;
   }
 
-  convertNestedField(field) {
+  // Fields inside a component: objects become nested components, arrays
+  // repeatable components or media, references relations
+  convertNestedField(field, parentComponentKey) {
     const fieldType = field.type;
 
+    if (this.attributeOverrides.get(field)?.type) {
+      return { type: this.attributeOverrides.get(field).type };
+    }
+
+    if (this.plugins.types.get(fieldType)?.attribute) {
+      return this.convertPluginField(field, parentComponentKey);
+    }
+
     if (fieldType === "image" || fieldType === "file") {
       return {
         type: "media",
@@ -1182,9 +2458,149 @@ class DynamicSchemaGenerator {
       };
     }
 
-    // Handle primitive types
-    const strapiType = this.typeMapping[fieldType] || "string";
-    return { type: strapiType };
+    if (fieldType === "object") {
+      const componentKey = this.createObjectComponent(
+        field.name,
+        field,
+        this.getNestedComponentKey(parentComponentKey, field.name),
+        `${parentComponentKey}.${field.name}`
+      );
+      return this.nestedComponentAttribute(componentKey, false, field);
+    }
+
+    if (this.objectTypes.has(fieldType)) {
+      return this.nestedComponentAttribute(
+        this.getSharedComponent(fieldType),
+        false,
+        field
+      );
+    }
+
+    if (fieldType === "reference") {
+      return this.convertNestedReference(field, field.to, false);
+    }
+
+    if (fieldType === "array") {
+      return this.convertNestedArrayField(field, parentComponentKey);
+    }
+
+    // Components cannot hold uid attributes, so slugs stay plain strings
+    if (fieldType === "slug") {
+      return { type: "string" };
+    }
+
+    return this.convertPrimitiveField(field);
+  }
+
+  convertNestedArrayField(field, parentComponentKey) {
+    const arrayItems = field.of || [];
+    const firstItem = arrayItems[0];
+    if (!firstItem) return { type: "json" };
+
+    const referenceItems = arrayItems.filter(
+      (item) => item.type === "reference"
+    );
+    if (referenceItems.length > 0) {
+      return this.convertNestedReference(field, referenceItems, true);
+    }
+
+    if (
+      arrayItems.every((item) => item.type === "image" || item.type === "file")
+    ) {
+      return {
+        type: "media",
+        multiple: true,
+        allowedTypes: ["images", "files", "videos", "audios"],
+      };
+    }
+
+    if (firstItem.type === "block") {
+      return { type: "blocks" };
+    }
+
+    // Strapi has no dynamic zones inside components
+    if (this.isDynamicZoneArray(arrayItems)) {
+      this.logger.warn(
+        `⚠️ Mixed object array ${parentComponentKey}.${field.name} cannot be a dynamic zone inside a component, using json`
+      );
+      return { type: "json" };
+    }
+
+    if (firstItem.type === "string") {
+      const componentKey = this.getNestedComponentKey(
+        parentComponentKey,
+        field.name
+      );
+      this.createStringArrayComponent(
+        field.name,
+        field.title || field.name,
+        componentKey
+      );
+      return this.nestedComponentAttribute(componentKey, true, field);
+    }
+
+    if (this.objectTypes.has(firstItem.type)) {
+      return this.nestedComponentAttribute(
+        this.getSharedComponent(firstItem.type),
+        true,
+        field
+      );
+    }
+
+    if (firstItem.type === "object") {
+      const componentKey = this.createObjectComponent(
+        field.name,
+        firstItem,
+        this.getNestedComponentKey(parentComponentKey, field.name),
+        `${parentComponentKey}.${field.name}`
+      );
+      return this.nestedComponentAttribute(componentKey, true, field);
+    }
+
+    return { type: "json" };
+  }
+
+  // Relations inside components are unidirectional; several target types
+  // cannot be expressed there and fall back to json
+  convertNestedReference(field, referenceItems, isArray) {
+    const targetTypes = this.getReferenceTargets(
+      isArray ? referenceItems : [{ to: referenceItems }]
+    );
+    if (targetTypes.length !== 1) {
+      this.logger.warn(
+        `⚠️ Reference ${field.name} inside a component has ${targetTypes.length} target types, using json`
+      );
+      return { type: "json" };
+    }
+
+    return {
+      type: "relation",
+      relation: isArray ? "oneToMany" : "oneToOne",
+      target: `api::${targetTypes[0]}.${targetTypes[0]}`,
+    };
+  }
+
+  nestedComponentAttribute(componentKey, repeatable, field) {
+    // A component cannot contain itself, directly or through other components
+    if (this.componentsInProgress.has(componentKey)) {
+      this.logger.warn(
+        `⚠️ ${field.name} makes component ${componentKey} recursive, using json`
+      );
+      return { type: "json" };
+    }
+
+    return { type: "component", repeatable, component: componentKey };
+  }
+
+  // Inline objects inside a component: "<category>.<component>-<field>",
+  // unless config.componentNames maps "<component key>.<field>"
+  getNestedComponentKey(parentComponentKey, fieldName) {
+    const override = this.getComponentNameOverride(
+      `${parentComponentKey}.${fieldName}`
+    );
+    if (override) return override;
+
+    return `${parentComponentKey}-${this.kebabCase(fieldName)}`;
   }
 
   // // UPDATED: Store relationship with relation type parameter
@@ -1212,116 +2628,344 @@ class DynamicSchemaGenerator {
   // }
 
   async generateStrapiSchemas(config) {
-    console.log("Generating Strapi schemas...");
+    this.logger.log("Generating Strapi schemas...");
 
     // NEW: Collect and analyze relationships before generating schemas
     await this.collectAllReferences();
     this.analyzeBidirectionalRelationships();
 
     const strapiProjectPath = config.strapiProjectPath || "../strapi-project";
+    this.projectWriter = new StrapiProjectWriter(strapiProjectPath, {
+      merge: config.merge,
+      dryRun: config.dryRun,
+    });
+    if (config.merge) {
+      this.logger.log("Merging with the existing Strapi project...");
+    }
+    this.projectLanguage = resolveProjectLanguage({
+      ...config,
+      strapiProjectPath,
+    });
+    this.logger.log(
+      `Writing ${
+        this.projectLanguage.language === "ts"
+          ? "TypeScript"
+          : `JavaScript (${this.projectLanguage.moduleType})`
+      } API files`
+    );
 
     // Generate collection/single type schemas
+    const contentTypes = new Map(); // uid -> Strapi schema
     for (const [typeName, sanitySchema] of this.schemas) {
       const strapiSchema = this.convertToStrapiSchema(sanitySchema);
-
-      // Create directory structure
-      const schemaDir = path.join(
-        strapiProjectPath,
-        "src/api",
-        typeName,
-        "content-types",
-        typeName
-      );
-      await fs.ensureDir(schemaDir);
+      contentTypes.set(`api::${typeName}.${typeName}`, strapiSchema);
 
       // Write schema file
-      await fs.writeJSON(path.join(schemaDir, "schema.json"), strapiSchema, {
-        spaces: 2,
-      });
+      await this.projectWriter.writeModel(
+        path.join(
+          "src/api",
+          typeName,
+          "content-types",
+          typeName,
+          "schema.json"
+        ),
+        strapiSchema
+      );
 
       // Generate controller, routes, and services
-      await this.generateApiFiles(typeName, strapiProjectPath);
+      await this.generateApiFiles(typeName);
+
+      this.logger.log(
+        `Generated schema for: ${typeName} (${strapiSchema.kind})`
+      );
+    }
 
-      console.log(`Generated schema for: ${typeName} (${strapiSchema.kind})`);
+    // Every named object type gets its shared component, used or not,
+    // unless a plugin converts it
+    for (const typeName of this.objectTypes.keys()) {
+      if (this.plugins.types.get(typeName)?.attribute) continue;
+      this.getSharedComponent(typeName);
     }
 
     // Generate components
     for (const [componentKey, component] of this.components) {
       const [categoryName, componentFileName] = componentKey.split(".");
 
-      const componentDir = path.join(
-        strapiProjectPath,
-        "src/components",
-        categoryName
+      await this.projectWriter.writeModel(
+        path.join("src/components", categoryName, `${componentFileName}.json`),
+        component
+      );
+
+      this.logger.log(
+        `Generated component: ${categoryName}/${componentFileName}`
+      );
+    }
+
+    if (this.typeInferences.size > 0) {
+      this.logger.log(
+        `📐 ${this.typeInferences.size} attribute types chosen from exported values (see schema-generation-report.json)`
       );
-      await fs.ensureDir(componentDir);
+    }
+
+    if (this.contentManager.size > 0) {
+      await this.writeContentManagerConfig(strapiProjectPath);
+    }
 
-      await fs.writeJSON(
-        path.join(componentDir, `${componentFileName}.json`),
-        component,
-        { spaces: 2 }
+    if (config.generateTypes) {
+      await this.projectWriter.writeGenerated(
+        TYPE_DEFINITIONS_FILE,
+        new StrapiTypeDefinitions(this.strapiVersion).generate(
+          contentTypes,
+          this.components
+        )
       );
+      this.logger.log(`Generated type definitions: ${TYPE_DEFINITIONS_FILE}`);
+    }
+
+    if (config.dryRun) return;
+
+    if (config.merge) {
+      await this.reportMergeResult();
+    }
+
+    // Record the decisions the content migrator has to follow
+    for (const typeName of this.singletonTypes) {
+      if (this.schemas.has(typeName) && !this.manifest.singletons[typeName]) {
+        this.manifest.singletons[typeName] = null;
+      }
+    }
+    const manifestPath = await writeManifest(strapiProjectPath, this.manifest);
+    this.logger.log(`Generated migration manifest: ${manifestPath}`);
+  }
 
-      console.log(`Generated component: ${categoryName}/${componentFileName}`);
+  // Content-manager settings live in Strapi's database, not in schema files,
+  // so they ship as a helper the project calls from its bootstrap function
+  async writeContentManagerConfig(strapiProjectPath) {
+    const helperPath = path.join(
+      "src",
+      `sanity-content-manager.${this.projectLanguage.language}`
+    );
+    const written = await this.projectWriter.writeGenerated(
+      helperPath,
+      this.generateContentManagerTemplate(
+        Object.fromEntries(this.contentManager)
+      )
+    );
+    if (!written) {
+      this.logger.warn(`⚠️ Kept edited ${helperPath}, see the merge conflicts`);
+      return;
     }
+
+    this.logger.log(
+      `Generated content-manager settings: ${path.join(
+        strapiProjectPath,
+        helperPath
+      )}`
+    );
+    this.logger.log(
+      `   Call it from bootstrap() in src/index.${this.projectLanguage.language} to apply descriptions and layouts`
+    );
   }
 
-  async generateApiFiles(typeName, strapiProjectPath) {
-    const apiPath = path.join(strapiProjectPath, "src/api", typeName);
+  async generateApiFiles(typeName) {
+    const apiPath = path.join("src/api", typeName);
+    const fileName = `${typeName}.${this.projectLanguage.language}`;
 
     // Controller
-    const controllerDir = path.join(apiPath, "controllers");
-    await fs.ensureDir(controllerDir);
-    await fs.writeFile(
-      path.join(controllerDir, `${typeName}.ts`),
+    await this.projectWriter.writeTemplate(
+      path.join(apiPath, "controllers", fileName),
       this.generateControllerTemplate(typeName)
     );
 
     // Routes
-    const routesDir = path.join(apiPath, "routes");
-    await fs.ensureDir(routesDir);
-    await fs.writeFile(
-      path.join(routesDir, `${typeName}.ts`),
+    await this.projectWriter.writeTemplate(
+      path.join(apiPath, "routes", fileName),
       this.generateRoutesTemplate(typeName)
     );
 
     // Services
-    const servicesDir = path.join(apiPath, "services");
-    await fs.ensureDir(servicesDir);
-    await fs.writeFile(
-      path.join(servicesDir, `${typeName}.ts`),
+    await this.projectWriter.writeTemplate(
+      path.join(apiPath, "services", fileName),
       this.generateServiceTemplate(typeName)
     );
   }
 
-  generateControllerTemplate(typeName) {
-    return `/**
- * ${typeName} controller
- */
+  async reportMergeResult() {
+    const { conflicts, keptFiles } = this.projectWriter.getReport();
 
-import { factories } from '@strapi/strapi'
+    if (keptFiles.length > 0) {
+      this.logger.log(`Kept ${keptFiles.length} edited files unchanged`);
+    }
+    if (conflicts.length === 0) {
+      this.logger.log("✅ Merged without conflicts");
+      return;
+    }
 
-export default factories.createCoreController('api::${typeName}.${typeName}');`;
+    const diffPath = await this.projectWriter.writeDiff(MERGE_DIFF_FILE);
+    this.logger.warn(
+      `⚠️ ${conflicts.length} merge conflicts kept the project's version (see schema-generation-report.json)`
+    );
+    this.logger.warn(`   Changes the generator held back: ${diffPath}`);
   }
 
-  generateRoutesTemplate(typeName) {
-    return `/**
- * ${typeName} router
+  generateContentManagerTemplate(configurations) {
+    const { language, moduleType } = this.projectLanguage;
+    const isCommonJS = moduleType === "commonjs";
+    const usage = isCommonJS
+      ? ` *   const applySanityContentManager = require('./sanity-content-manager');
+ *
+ *   module.exports = {`
+      : ` *   import applySanityContentManager from './sanity-content-manager';
+ *
+ *   export default {`;
+
+    return `${isCommonJS ? "'use strict';\n\n" : ""}/**
+ * Content-manager settings migrated from Sanity. They are applied once, so
+ * later changes made in the admin panel are kept.
+ *
+ * Apply them from the bootstrap function in src/index.${language}:
+ *
+${usage}
+ *     bootstrap({ strapi }) {
+ *       return applySanityContentManager(strapi);
+ *     },
+ *   };
  */
 
-import { factories } from '@strapi/strapi';
+const configurations${
+      language === "ts" ? ": Record<string, any>" : ""
+    } = ${JSON.stringify(configurations, null, 2)};
+
+// Strapi 4 lists relations apart from the other fields (layouts.editRelations)
+const SPLIT_RELATIONS = ${this.strapiVersion === 4};
+
+${
+  isCommonJS
+    ? "module.exports = async function"
+    : "export default async function"
+} applySanityContentManager(strapi) {
+  const migrationStore = strapi.store({ type: 'plugin', name: 'sanity_migration' });
+  if (await migrationStore.get({ key: 'content_manager_applied' })) {
+    return;
+  }
+
+  const store = strapi.store({ type: 'plugin', name: 'content_manager' });
+
+  for (const [uid, configuration] of Object.entries(configurations)) {
+    const kind = uid.startsWith('api::') ? 'content_types' : 'components';
+    const key = \`configuration_\${kind}::\${uid}\`;
+    const current = await store.get({ key });
+    if (!current) {
+      strapi.log.warn(\`No content-manager configuration for \${uid} yet, skipping\`);
+      continue;
+    }
+
+    const metadatas = { ...current.metadatas };
+    for (const [field, metadata] of Object.entries(configuration.metadatas || {})) {
+      metadatas[field] = {
+        ...metadatas[field],
+        edit: { ...metadatas[field]?.edit, ...metadata.edit },
+        list: { ...metadatas[field]?.list, ...metadata.list },
+      };
+    }
+
+    const settings = { ...current.settings, ...configuration.settings };
+    const layouts = { ...current.layouts };
+    if (configuration.layouts?.list) {
+      layouts.list = configuration.layouts.list;
+    }
+    if (configuration.layouts?.edit) {
+      Object.assign(layouts, mergeEditLayout(current.layouts, configuration.layouts.edit, metadatas));
+    }
+
+    await store.set({ key, value: { ...current, metadatas, settings, layouts } });
+  }
+
+  await migrationStore.set({ key: 'content_manager_applied', value: true });
+}
+
+// Keep only fields Strapi knows about, append the ones Sanity did not place
+// and, on Strapi 4, move relations to their own editRelations list
+function mergeEditLayout(currentLayouts, editLayout, metadatas) {
+  const relationNames = SPLIT_RELATIONS ? currentLayouts.editRelations || [] : [];
+  const known = new Set([
+    ...currentLayouts.edit.flat().map((field) => field.name),
+    ...relationNames,
+  ]);
+  const isRelation = (name) => relationNames.includes(name);
+
+  const edit = editLayout
+    .map((row) => row.filter((field) => known.has(field.name) && !isRelation(field.name)))
+    .filter((row) => row.length > 0);
+
+  const placed = new Set(editLayout.flat().map((field) => field.name));
+  for (const field of currentLayouts.edit.flat()) {
+    if (!placed.has(field.name) && metadatas[field.name]?.edit?.visible !== false) {
+      edit.push([field]);
+    }
+  }
+
+  if (!SPLIT_RELATIONS) {
+    return { edit };
+  }
+
+  const orderedRelations = editLayout
+    .flat()
+    .map((field) => field.name)
+    .filter(isRelation);
+  return {
+    edit,
+    editRelations: [...new Set([...orderedRelations, ...relationNames])],
+  };
+}
+`;
+  }
+
+  generateControllerTemplate(typeName) {
+    return this.generateFactoryTemplate(
+      typeName,
+      "controller",
+      "createCoreController"
+    );
+  }
 
-export default factories.createCoreRouter('api::${typeName}.${typeName}');`;
+  generateRoutesTemplate(typeName) {
+    return this.generateFactoryTemplate(typeName, "router", "createCoreRouter");
   }
 
   generateServiceTemplate(typeName) {
+    return this.generateFactoryTemplate(
+      typeName,
+      "service",
+      "createCoreService"
+    );
+  }
+
+  // Same files `strapi generate` writes for TypeScript, ESM and CommonJS
+  generateFactoryTemplate(typeName, label, factory) {
+    const uid = `api::${typeName}.${typeName}`;
+
+    if (this.projectLanguage.moduleType === "commonjs") {
+      return `'use strict';
+
+/**
+ * ${typeName} ${label}
+ */
+
+const { ${factory} } = require('@strapi/strapi').factories;
+
+module.exports = ${factory}('${uid}');
+`;
+    }
+
     return `/**
- * ${typeName} service
+ * ${typeName} ${label}
  */
 
 import { factories } from '@strapi/strapi';
 
-export default factories.createCoreService('api::${typeName}.${typeName}');`;
+export default factories.${factory}('${uid}');
+`;
   }
 
   async generateReport() {
@@ -1343,41 +2987,53 @@ export default factories.createCoreService('api::${typeName}.${typeName}');`;
         fieldCount: schema.fields.length,
       })),
       components: Array.from(this.components.keys()),
+      sharedComponents: Object.fromEntries(this.sharedComponents),
+      componentCollisions: this.collidingComponents,
+      singletonSources: this.singletonSources,
+      renames: this.manifest.renames,
+      i18n: this.manifest.i18n,
+      plugins: this.plugins.plugins,
+      mappingWarnings: this.mappingWarnings,
+      naming: { fixes: this.namingFixes, warnings: this.namingWarnings },
+      merge: this.projectWriter?.merge
+        ? this.projectWriter.getReport()
+        : undefined,
       relationships: Object.fromEntries(this.relationships),
+      multiTargetReferences: this.manifest.references,
+      inferredFields: this.inferredFields,
+      typeInferences: Array.from(this.typeInferences.values()),
+      customValidations: this.customValidations,
+      deprecatedFields: this.deprecatedFields,
+      unmappedInitialValues: [
+        ...this.schemaParser.dynamicInitialValues,
+        ...this.unmappedInitialValues,
+      ],
+      unresolvedConstructs: [
+        ...this.schemaParser.unresolved,
+        ...this.schemaExtractReader.unresolved,
+      ],
     };
 
     await fs.writeJSON("schema-generation-report.json", report, { spaces: 2 });
-    console.log("Generated migration report: schema-generation-report.json");
+    this.logger.log(
+      "Generated migration report: schema-generation-report.json"
+    );
   }
 
-  // Utility methods
-  pluralize(word) {
-    if (word.endsWith("y")) {
-      return word.slice(0, -1) + "ies";
-    }
-    if (
-      word.endsWith("s") ||
-      word.endsWith("sh") ||
-      word.endsWith("ch") ||
-      word.endsWith("x") ||
-      word.endsWith("z")
-    ) {
-      return word + "es";
-    }
-    return word + "s";
+  getPluralName(typeName) {
+    return this.pluralNames.get(typeName) || this.inflector.pluralize(typeName);
   }
 
-  singularize(word) {
-    if (word.endsWith("ies")) {
-      return word.slice(0, -3) + "y";
-    }
-    if (word.endsWith("es")) {
-      return word.slice(0, -2);
-    }
-    if (word.endsWith("s") && !word.endsWith("ss")) {
-      return word.slice(0, -1);
-    }
-    return word;
+  getCollectionName(typeName, isSingleton) {
+    return (
+      this.collectionNames.get(typeName) ||
+      (isSingleton ? typeName : this.getPluralName(typeName)).replace(/-/g, "_")
+    );
+  }
+
+  // Utility methods
+  capitalize(str) {
+    return str.charAt(0).toUpperCase() + str.slice(1);
   }
 
   kebabCase(str) {
@@ -0,0 +1,113 @@
+// ./lib/core/schema-merger.js
+const { isDeepEqual } = require("../utils/deep-equal");
+
+// Three-way merge of a Strapi model (content type or component JSON):
+// - base: what the generator wrote last time (null when unknown)
+// - current: the file in the Strapi project, possibly edited by hand
+// - generated: what the generator produces now
+// Values the generator owns (unchanged since it wrote them) follow the new
+// output, everything added or edited by hand is kept. When both sides
+// changed the same value, the project wins and a conflict is recorded.
+class StrapiSchemaMerger {
+  merge(base, current, generated) {
+    const conflicts = [];
+    const merged = this.mergeValue(
+      [],
+      base,
+      current,
+      generated,
+      base !== null && base !== undefined,
+      conflicts
+    );
+
+    return { merged, conflicts };
+  }
+
+  // Same merge with every conflict resolved to the generated value: the
+  // file the generator would have written
+  resolveToGenerated(merged, conflicts) {
+    const resolved = JSON.parse(JSON.stringify(merged));
+
+    for (const conflict of conflicts) {
+      this.setPath(resolved, conflict.path, conflict.generated);
+    }
+
+    return resolved;
+  }
+
+  mergeValue(pathParts, base, current, generated, hasBase, conflicts) {
+    if (this.isEqual(current, generated)) return current;
+
+    if (this.isPlainObject(current) && this.isPlainObject(generated)) {
+      return this.mergeObject(
+        pathParts,
+        this.isPlainObject(base) ? base : hasBase ? {} : undefined,
+        current,
+        generated,
+        hasBase,
+        conflicts
+      );
+    }
+
+    if (hasBase) {
+      // Untouched since the last run: the generator owns it
+      if (this.isEqual(current, base)) return generated;
+      // Only edited in the project
+      if (this.isEqual(generated, base)) return current;
+    } else {
+      if (current === undefined) return generated;
+      if (generated === undefined) return current;
+    }
+
+    conflicts.push({ path: pathParts, current, generated });
+    return current;
+  }
+
+  mergeObject(pathParts, base, current, generated, hasBase, conflicts) {
+    const merged = {};
+
+    // Keep the project's key order, new keys go last
+    const keys = [
+      ...Object.keys(current),
+      ...Object.keys(generated).filter((key) => !(key in current)),
+    ];
+
+    for (const key of keys) {
+      const value = this.mergeValue(
+        [...pathParts, key],
+        base?.[key],
+        current[key],
+        generated[key],
+        hasBase,
+        conflicts
+      );
+      if (value !== undefined) {
+        merged[key] = value;
+      }
+    }
+
+    return merged;
+  }
+
+  setPath(target, pathParts, value) {
+    let node = target;
+    for (const key of pathParts.slice(0, -1)) {
+      if (!this.isPlainObject(node[key])) node[key] = {};
+      node = node[key];
+    }
+
+    const last = pathParts[pathParts.length - 1];
+    if (value === undefined) delete node[last];
+    else node[last] = value;
+  }
+
+  isEqual(a, b) {
+    return isDeepEqual(a, b);
+  }
+
+  isPlainObject(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+  }
+}
+
+module.exports = StrapiSchemaMerger;
@@ -0,0 +1,1130 @@
+// ./lib/core/schema-parser.js
+const fs = require("fs-extra");
+const path = require("path");
+const { parse } = require("@babel/parser");
+
+// Sanity helpers that simply return their first argument
+const DEFINE_HELPERS = new Set([
+  "defineType",
+  "defineField",
+  "defineArrayMember",
+  "defineConfig",
+]);
+
+// Studio-only properties that never affect the content model
+const IGNORED_KEYS = new Set(["icon", "components", "prepare"]);
+
+const MAX_CALL_DEPTH = 25;
+
+// Marker for a value that could not be evaluated statically
+class UnresolvedValue {
+  constructor(reason, node, module) {
+    this.reason = reason;
+    this.node = node;
+    this.module = module;
+  }
+}
+
+// A function found in the schema source, kept together with its scope so
+// helpers can be called and validation rules analyzed later
+class StaticFunction {
+  constructor(node, scope) {
+    this.node = node;
+    this.scope = scope;
+  }
+}
+
+// Extensions tried, in order, when resolving a relative import
+const RESOLVE_EXTENSIONS = [".ts", ".tsx", ".js", ".jsx", ".mjs", ".cjs"];
+
+class SanitySchemaParser {
+  constructor() {
+    this.unresolved = []; // [{file, line, path, reason, code}]
+    this.dynamicInitialValues = []; // initialValue computed at runtime, same shape
+    this.callDepth = 0;
+    this.modules = new Map(); // absolute file path -> parsed module
+    this.definitionSources = new WeakMap(); // evaluated definition -> file
+  }
+
+  async parseFile(filePath) {
+    const source = await fs.readFile(filePath, "utf8");
+    return this.parseSource(source, filePath);
+  }
+
+  // Returns every schema type definition exported by the source
+  parseSource(source, filePath = "<inline>") {
+    const module = this.createModule(source, filePath);
+    this.modules.set(path.resolve(filePath), module);
+    return this.collectModuleTypes(module);
+  }
+
+  collectModuleTypes(module) {
+    const types = [];
+
+    for (const exportName of this.getExportNames(module)) {
+      const value = this.resolveExport(module, exportName);
+      this.collectTypes(
+        value,
+        types,
+        `${path.basename(module.filePath)}#${exportName}`
+      );
+    }
+
+    return types;
+  }
+
+  // Types registered by `schema.types` in sanity.config.ts, including
+  // every workspace when the config is an array
+  parseConfigTypes(configPath) {
+    const module = this.loadModule(configPath);
+    const config = this.resolveExport(module, "default");
+    const workspaces = Array.isArray(config) ? config : [config];
+    const types = [];
+
+    workspaces.forEach((workspace, index) => {
+      const label = `${path.basename(configPath)}#schema.types`;
+      if (this.isDynamic(workspace)) {
+        this.recordUnresolved(workspace, `${label}[workspace ${index}]`);
+        return;
+      }
+
+      let schemaTypes = workspace?.schema?.types;
+      if (schemaTypes instanceof StaticFunction) {
+        // types: (previousTypes) => [...previousTypes, ...schemaTypes]
+        schemaTypes = this.callFunction(
+          schemaTypes,
+          [[], {}],
+          schemaTypes.node
+        );
+      }
+      if (schemaTypes !== undefined) {
+        this.collectTypes(schemaTypes, types, label);
+      }
+    });
+
+    return types;
+  }
+
+  // Types exported by schemaTypes/index.ts. The conventional `schemaTypes`
+  // (or default) export is what sanity.config passes to the Studio.
+  parseIndexTypes(indexPath) {
+    const module = this.loadModule(indexPath);
+    const exportNames = this.getExportNames(module);
+
+    for (const exportName of ["schemaTypes", "default"]) {
+      if (exportNames.has(exportName)) {
+        const types = [];
+        this.collectTypes(
+          this.resolveExport(module, exportName),
+          types,
+          `${path.basename(indexPath)}#${exportName}`
+        );
+        return types;
+      }
+    }
+
+    return this.collectModuleTypes(module);
+  }
+
+  loadModule(filePath) {
+    const absolutePath = path.resolve(filePath);
+    if (!this.modules.has(absolutePath)) {
+      const source = fs.readFileSync(absolutePath, "utf8");
+      this.modules.set(absolutePath, this.createModule(source, absolutePath));
+    }
+    return this.modules.get(absolutePath);
+  }
+
+  resolveModulePath(fromFile, request) {
+    if (!request.startsWith(".") && !path.isAbsolute(request)) return null;
+
+    const base = path.resolve(path.dirname(fromFile), request);
+    const candidates = [
+      base,
+      ...RESOLVE_EXTENSIONS.map((extension) => base + extension),
+      ...RESOLVE_EXTENSIONS.map((extension) =>
+        path.join(base, `index${extension}`)
+      ),
+    ];
+
+    // TypeScript ESM projects import "./post.js" for "./post.ts"
+    if (/\.(m|c)?js$/.test(base)) {
+      const withoutExtension = base.replace(/\.(m|c)?js$/, "");
+      candidates.push(withoutExtension + ".ts", withoutExtension + ".tsx");
+    }
+
+    return (
+      candidates.find(
+        (candidate) =>
+          fs.existsSync(candidate) && fs.statSync(candidate).isFile()
+      ) || null
+    );
+  }
+
+  createModule(source, filePath) {
+    const ast = parse(source, {
+      sourceType: "module",
+      plugins: ["typescript", "jsx"],
+    });
+
+    const module = {
+      filePath,
+      source,
+      ast,
+      bindings: new Map(), // name -> {node} | {importSource, importedName}
+      exports: new Map(), // exportName -> {node} | {local, reexportSource}
+      exportAll: [], // sources of `export * from "..."`
+    };
+    module.scope = { module, vars: new Map(), parent: null };
+
+    for (const statement of ast.program.body) {
+      this.collectStatement(statement, module);
+    }
+
+    return module;
+  }
+
+  collectStatement(statement, module) {
+    switch (statement.type) {
+      case "ImportDeclaration":
+        for (const specifier of statement.specifiers) {
+          module.bindings.set(specifier.local.name, {
+            importSource: statement.source.value,
+            importedName:
+              specifier.type === "ImportSpecifier"
+                ? this.getKeyName(specifier.imported)
+                : specifier.type === "ImportDefaultSpecifier"
+                  ? "default"
+                  : "*",
+          });
+        }
+        break;
+
+      case "VariableDeclaration":
+        for (const declarator of statement.declarations) {
+          if (declarator.id.type === "Identifier" && declarator.init) {
+            module.bindings.set(declarator.id.name, { node: declarator.init });
+          }
+        }
+        break;
+
+      case "FunctionDeclaration":
+        if (statement.id) {
+          module.bindings.set(statement.id.name, { node: statement });
+        }
+        break;
+
+      case "ExportNamedDeclaration":
+        if (statement.declaration) {
+          this.collectStatement(statement.declaration, module);
+          for (const name of this.getDeclaredNames(statement.declaration)) {
+            module.exports.set(name, { local: name });
+          }
+        }
+        for (const specifier of statement.specifiers || []) {
+          if (specifier.type !== "ExportSpecifier") continue;
+          module.exports.set(this.getKeyName(specifier.exported), {
+            local: specifier.local.name,
+            reexportSource: statement.source?.value,
+          });
+        }
+        break;
+
+      case "ExportAllDeclaration":
+        if (statement.exported) {
+          // export * as objects from "./objects"
+          module.exports.set(this.getKeyName(statement.exported), {
+            local: "*",
+            reexportSource: statement.source.value,
+          });
+        } else {
+          module.exportAll.push(statement.source.value);
+        }
+        break;
+
+      case "ExportDefaultDeclaration": {
+        const declaration = statement.declaration;
+        if (
+          (declaration.type === "FunctionDeclaration" ||
+            declaration.type === "ClassDeclaration") &&
+          declaration.id
+        ) {
+          this.collectStatement(declaration, module);
+          module.exports.set("default", { local: declaration.id.name });
+        } else {
+          module.exports.set("default", { node: declaration });
+        }
+        break;
+      }
+
+      case "ExpressionStatement": {
+        // CommonJS: module.exports = {...}
+        const expression = statement.expression;
+        if (
+          expression.type === "AssignmentExpression" &&
+          expression.left.type === "MemberExpression" &&
+          expression.left.object.name === "module" &&
+          this.getKeyName(expression.left.property) === "exports"
+        ) {
+          module.exports.set("default", { node: expression.right });
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  getDeclaredNames(declaration) {
+    if (declaration.type === "VariableDeclaration") {
+      return declaration.declarations
+        .filter((declarator) => declarator.id.type === "Identifier")
+        .map((declarator) => declarator.id.name);
+    }
+    return declaration.id ? [declaration.id.name] : [];
+  }
+
+  getExportNames(module, seen = new Set()) {
+    const names = new Set(module.exports.keys());
+    if (seen.has(module)) return names;
+    seen.add(module);
+
+    for (const source of module.exportAll) {
+      const target = this.loadImportedModule(module, source);
+      if (!target) continue;
+      for (const name of this.getExportNames(target, seen)) {
+        if (name !== "default") names.add(name);
+      }
+    }
+
+    return names;
+  }
+
+  // Evaluate a named export, following re-exports and `export *`
+  resolveExport(module, exportName, node, seen = new Set()) {
+    if (exportName === "*") {
+      const namespace = {};
+      for (const name of this.getExportNames(module)) {
+        namespace[name] = this.resolveExport(module, name, node);
+      }
+      return namespace;
+    }
+
+    const exported = module.exports.get(exportName);
+    if (exported?.reexportSource) {
+      const target = this.loadImportedModule(module, exported.reexportSource);
+      return target
+        ? this.resolveExport(target, exported.local, node, seen)
+        : new UnresolvedValue(
+            `re-export from "${exported.reexportSource}"`,
+            node,
+            module
+          );
+    }
+    if (exported?.node) {
+      if (!("value" in exported)) {
+        exported.value = this.evaluate(exported.node, module.scope);
+      }
+      return exported.value;
+    }
+    if (exported) {
+      return this.lookup(exported.local, module.scope, node);
+    }
+
+    if (!seen.has(module)) {
+      seen.add(module);
+      for (const source of module.exportAll) {
+        const target = this.loadImportedModule(module, source);
+        if (target && this.getExportNames(target).has(exportName)) {
+          return this.resolveExport(target, exportName, node, seen);
+        }
+      }
+    }
+
+    return new UnresolvedValue(
+      `"${exportName}" is not exported by ${path.basename(module.filePath)}`,
+      node,
+      module
+    );
+  }
+
+  loadImportedModule(module, request) {
+    const resolved = this.resolveModulePath(module.filePath, request);
+    if (!resolved) return null;
+
+    try {
+      return this.loadModule(resolved);
+    } catch (error) {
+      console.warn(
+        `Could not parse imported module ${resolved}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  // Resolve an identifier through local scopes and then module bindings
+  lookup(name, scope, node) {
+    for (let current = scope; current; current = current.parent) {
+      if (current.vars.has(name)) return current.vars.get(name);
+    }
+
+    const module = scope.module;
+    const binding = module.bindings.get(name);
+    if (!binding) {
+      return new UnresolvedValue(`unknown identifier "${name}"`, node, module);
+    }
+
+    return this.evaluateBinding(name, binding, module, node);
+  }
+
+  evaluateBinding(name, binding, module, node) {
+    if (binding.evaluating) {
+      return new UnresolvedValue(
+        `circular reference to "${name}"`,
+        node,
+        module
+      );
+    }
+
+    if (!("value" in binding)) {
+      binding.evaluating = true;
+      binding.value = binding.importSource
+        ? this.evaluateImport(name, binding, module, node)
+        : this.evaluate(binding.node, module.scope);
+      binding.evaluating = false;
+    }
+
+    return binding.value;
+  }
+
+  evaluateImport(name, binding, module, node) {
+    const target = this.loadImportedModule(module, binding.importSource);
+    if (!target) {
+      return new UnresolvedValue(
+        `"${name}" is imported from "${binding.importSource}"`,
+        node,
+        module
+      );
+    }
+    return this.resolveExport(target, binding.importedName, node);
+  }
+
+  evaluate(node, scope) {
+    const module = scope.module;
+
+    switch (node.type) {
+      case "StringLiteral":
+      case "NumericLiteral":
+      case "BooleanLiteral":
+        return node.value;
+
+      case "NullLiteral":
+        return null;
+
+      case "RegExpLiteral":
+        return new RegExp(node.pattern, node.flags);
+
+      case "TemplateLiteral": {
+        let result = "";
+        for (let i = 0; i < node.quasis.length; i++) {
+          result += node.quasis[i].value.cooked;
+          if (i < node.expressions.length) {
+            const value = this.evaluate(node.expressions[i], scope);
+            if (this.isDynamic(value) || typeof value === "object") {
+              return new UnresolvedValue(
+                "template literal with dynamic expression",
+                node,
+                module
+              );
+            }
+            result += String(value);
+          }
+        }
+        return result;
+      }
+
+      case "Identifier":
+        if (node.name === "undefined") return undefined;
+        return this.lookup(node.name, scope, node);
+
+      case "ObjectExpression":
+        return this.evaluateObject(node, scope);
+
+      case "ArrayExpression":
+        return this.evaluateArray(node, scope);
+
+      case "ArrowFunctionExpression":
+      case "FunctionExpression":
+      case "FunctionDeclaration":
+        return new StaticFunction(node, scope);
+
+      case "CallExpression":
+        return this.evaluateCall(node, scope);
+
+      case "MemberExpression":
+      case "OptionalMemberExpression": {
+        const object = this.evaluate(node.object, scope);
+        if (this.isDynamic(object)) return object;
+        const key = node.computed
+          ? this.evaluate(node.property, scope)
+          : this.getKeyName(node.property);
+        if (object === null || object === undefined || this.isDynamic(key)) {
+          return new UnresolvedValue(
+            "unresolvable member access",
+            node,
+            module
+          );
+        }
+        return object[key];
+      }
+
+      case "TSAsExpression":
+      case "TSSatisfiesExpression":
+      case "TSNonNullExpression":
+      case "TSTypeAssertion":
+      case "ParenthesizedExpression":
+        return this.evaluate(node.expression, scope);
+
+      case "UnaryExpression": {
+        const argument = this.evaluate(node.argument, scope);
+        if (this.isDynamic(argument)) return argument;
+        if (node.operator === "-") return -argument;
+        if (node.operator === "+") return +argument;
+        if (node.operator === "!") return !argument;
+        break;
+      }
+
+      case "BinaryExpression": {
+        const left = this.evaluate(node.left, scope);
+        const right = this.evaluate(node.right, scope);
+        if (this.isDynamic(left)) return left;
+        if (this.isDynamic(right)) return right;
+        if (node.operator === "+") return left + right;
+        if (node.operator === "===") return left === right;
+        if (node.operator === "!==") return left !== right;
+        break;
+      }
+
+      case "LogicalExpression": {
+        const left = this.evaluate(node.left, scope);
+        if (this.isDynamic(left)) return left;
+        if (node.operator === "&&") {
+          return left ? this.evaluate(node.right, scope) : left;
+        }
+        if (node.operator === "||") {
+          return left ? left : this.evaluate(node.right, scope);
+        }
+        return left ?? this.evaluate(node.right, scope);
+      }
+
+      case "ConditionalExpression": {
+        const test = this.evaluate(node.test, scope);
+        if (this.isDynamic(test)) return test;
+        return this.evaluate(test ? node.consequent : node.alternate, scope);
+      }
+
+      default:
+        break;
+    }
+
+    return new UnresolvedValue(`unsupported ${node.type}`, node, module);
+  }
+
+  evaluateObject(node, scope) {
+    const result = {};
+
+    for (const property of node.properties) {
+      if (property.type === "SpreadElement") {
+        const spread = this.evaluate(property.argument, scope);
+        if (spread && typeof spread === "object" && !this.isDynamic(spread)) {
+          Object.assign(result, spread);
+        } else {
+          // Keep the marker so normalization can report it
+          result[`...${this.getSnippet(property, scope.module)}`] =
+            this.isDynamic(spread)
+              ? spread
+              : new UnresolvedValue(
+                  "spread of a non-object",
+                  property,
+                  scope.module
+                );
+        }
+        continue;
+      }
+
+      const key = property.computed
+        ? this.evaluate(property.key, scope)
+        : this.getKeyName(property.key);
+      if (this.isDynamic(key)) {
+        result[`[${this.getSnippet(property.key, scope.module)}]`] = key;
+        continue;
+      }
+      if (IGNORED_KEYS.has(key)) continue;
+
+      result[key] =
+        property.type === "ObjectMethod"
+          ? new StaticFunction(property, scope)
+          : this.evaluate(property.value, scope);
+    }
+
+    if (typeof result.name === "string" && typeof result.type === "string") {
+      this.definitionSources.set(result, scope.module.filePath);
+    }
+
+    return result;
+  }
+
+  evaluateArray(node, scope) {
+    const result = [];
+
+    for (const element of node.elements) {
+      if (!element) continue;
+
+      if (element.type === "SpreadElement") {
+        const spread = this.evaluate(element.argument, scope);
+        if (Array.isArray(spread)) {
+          result.push(...spread);
+        } else {
+          result.push(
+            this.isDynamic(spread)
+              ? spread
+              : new UnresolvedValue(
+                  "spread of a non-array",
+                  element,
+                  scope.module
+                )
+          );
+        }
+        continue;
+      }
+
+      result.push(this.evaluate(element, scope));
+    }
+
+    return result;
+  }
+
+  evaluateCall(node, scope) {
+    const module = scope.module;
+    const callee = node.callee;
+
+    if (callee.type === "Identifier" && DEFINE_HELPERS.has(callee.name)) {
+      return node.arguments[0]
+        ? this.evaluate(node.arguments[0], scope)
+        : undefined;
+    }
+
+    // Array helpers commonly used to build field lists
+    if (callee.type === "MemberExpression" && !callee.computed) {
+      const method = this.getKeyName(callee.property);
+      if (method === "map" || method === "concat") {
+        const target = this.evaluate(callee.object, scope);
+        if (Array.isArray(target)) {
+          const args = node.arguments.map((arg) => this.evaluate(arg, scope));
+          if (method === "concat") {
+            return target.concat(...args);
+          }
+          if (args[0] instanceof StaticFunction) {
+            return target.map((item, index) =>
+              this.callFunction(args[0], [item, index], node)
+            );
+          }
+        }
+      }
+    }
+
+    const fn = this.evaluate(callee, scope);
+    if (fn instanceof StaticFunction) {
+      const args = node.arguments.map((arg) => this.evaluate(arg, scope));
+      return this.callFunction(fn, args, node);
+    }
+
+    return new UnresolvedValue(
+      `call to ${this.getSnippet(callee, module)}()`,
+      node,
+      module
+    );
+  }
+
+  // Evaluate a local helper function with statically known arguments
+  callFunction(fn, args, callNode) {
+    const { node, scope } = fn;
+    const module = scope.module;
+
+    if (this.callDepth >= MAX_CALL_DEPTH) {
+      return new UnresolvedValue(
+        "helper call nesting too deep",
+        callNode,
+        module
+      );
+    }
+
+    const callScope = { module, vars: new Map(), parent: scope };
+    node.params.forEach((param, index) =>
+      this.bindPattern(param, args[index], callScope)
+    );
+
+    this.callDepth++;
+    try {
+      if (node.body.type !== "BlockStatement") {
+        return this.evaluate(node.body, callScope);
+      }
+
+      for (const statement of node.body.body) {
+        if (statement.type === "VariableDeclaration") {
+          for (const declarator of statement.declarations) {
+            const value = declarator.init
+              ? this.evaluate(declarator.init, callScope)
+              : undefined;
+            this.bindPattern(declarator.id, value, callScope);
+          }
+        } else if (statement.type === "ReturnStatement") {
+          return statement.argument
+            ? this.evaluate(statement.argument, callScope)
+            : undefined;
+        } else {
+          return new UnresolvedValue(
+            `unsupported ${statement.type} in helper function`,
+            statement,
+            module
+          );
+        }
+      }
+      return undefined;
+    } finally {
+      this.callDepth--;
+    }
+  }
+
+  bindPattern(pattern, value, scope) {
+    switch (pattern.type) {
+      case "Identifier":
+        scope.vars.set(pattern.name, value);
+        break;
+
+      case "AssignmentPattern":
+        this.bindPattern(
+          pattern.left,
+          value === undefined ? this.evaluate(pattern.right, scope) : value,
+          scope
+        );
+        break;
+
+      case "ObjectPattern":
+        for (const property of pattern.properties) {
+          if (property.type !== "ObjectProperty") continue;
+          const key = this.getKeyName(property.key);
+          const propertyValue =
+            value && typeof value === "object" && !this.isDynamic(value)
+              ? value[key]
+              : new UnresolvedValue(
+                  `cannot destructure "${key}"`,
+                  property,
+                  scope.module
+                );
+          this.bindPattern(property.value, propertyValue, scope);
+        }
+        break;
+
+      case "TSParameterProperty":
+        this.bindPattern(pattern.parameter, value, scope);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  // Turn `(Rule) => Rule.required().min(3)` into a list of rule chains
+  analyzeValidation(fn) {
+    const { node, scope } = fn;
+    const ruleParam = node.params[0];
+    if (!ruleParam || ruleParam.type !== "Identifier") return null;
+
+    const expressions = [];
+    if (node.body.type === "BlockStatement") {
+      for (const statement of node.body.body) {
+        if (statement.type === "ReturnStatement" && statement.argument) {
+          expressions.push(statement.argument);
+        }
+      }
+    } else {
+      expressions.push(node.body);
+    }
+
+    const chains = [];
+    for (const expression of expressions) {
+      const unwrapped = this.unwrapExpression(expression, scope);
+      const candidates =
+        unwrapped.type === "ArrayExpression" ? unwrapped.elements : [unwrapped];
+
+      for (const candidate of candidates) {
+        const chain = this.collectRuleChain(candidate, ruleParam.name, scope);
+        if (!chain) return null;
+        chains.push(chain);
+      }
+    }
+
+    return chains;
+  }
+
+  collectRuleChain(node, ruleName, scope) {
+    const calls = [];
+    let current = this.unwrapExpression(node, scope);
+
+    while (
+      current.type === "CallExpression" &&
+      current.callee.type === "MemberExpression"
+    ) {
+      calls.unshift({
+        name: this.getKeyName(current.callee.property),
+        args: current.arguments.map((arg) => this.evaluate(arg, scope)),
+        node: current,
+        module: scope.module,
+      });
+      current = current.callee.object;
+    }
+
+    if (current.type !== "Identifier" || current.name !== ruleName) {
+      return null;
+    }
+
+    return calls;
+  }
+
+  unwrapExpression(node, scope) {
+    for (;;) {
+      if (
+        node.type === "TSAsExpression" ||
+        node.type === "TSSatisfiesExpression" ||
+        node.type === "ParenthesizedExpression"
+      ) {
+        node = node.expression;
+      } else if (node.type === "ConditionalExpression" && scope) {
+        // Helpers often toggle rules on a statically known argument
+        const test = this.evaluate(node.test, scope);
+        if (this.isDynamic(test)) return node;
+        node = test ? node.consequent : node.alternate;
+      } else {
+        return node;
+      }
+    }
+  }
+
+  // Translate rule chains into the validation shape used by the generator.
+  // Rules are kept in Sanity's vocabulary (the generator maps them per
+  // attribute type); rules without a static meaning go to `custom`.
+  translateValidation(chains) {
+    const validation = {};
+    const custom = [];
+
+    for (const chain of chains) {
+      // Warnings and infos never block publishing in the Studio
+      if (
+        chain.some((call) => call.name === "warning" || call.name === "info")
+      ) {
+        continue;
+      }
+
+      for (const call of chain) {
+        const [arg] = call.args;
+
+        switch (call.name) {
+          case "required":
+            validation.required = true;
+            break;
+
+          case "optional":
+          case "error":
+            // Only changes the message or severity
+            break;
+
+          case "min":
+          case "max":
+          case "length":
+          case "precision":
+          case "greaterThan":
+          case "lessThan":
+            // Numbers, or ISO strings on date fields; field references
+            // (Rule.valueOfField) cannot be translated
+            if (typeof arg === "number" || typeof arg === "string") {
+              validation[call.name] = arg;
+            } else {
+              custom.push(this.describeRule(call));
+            }
+            break;
+
+          case "integer":
+          case "positive":
+          case "negative":
+          case "email":
+          case "unique":
+            validation[call.name] = true;
+            break;
+
+          case "uri":
+            validation.uri = this.isPlainObject(arg) ? arg : {};
+            break;
+
+          case "regex": {
+            // regex(pattern, [name], [options])
+            const options = call.args.find((value) =>
+              this.isPlainObject(value)
+            );
+            if (arg instanceof RegExp) {
+              validation.regex = {
+                pattern: arg.source,
+                flags: arg.flags,
+                invert: options?.invert === true,
+              };
+            } else {
+              custom.push(this.describeRule(call));
+            }
+            break;
+          }
+
+          default:
+            custom.push(this.describeRule(call));
+        }
+      }
+    }
+
+    if (custom.length > 0) {
+      validation.custom = custom;
+    }
+
+    return Object.keys(validation).length > 0 ? validation : null;
+  }
+
+  // Location and source of a rule the generator has to list for porting
+  describeRule(call) {
+    return {
+      rule: call.name,
+      file: path.relative(process.cwd(), call.module.filePath),
+      line: call.node.loc?.start.line,
+      // From the rule name on: "custom((value) => ...)"
+      code: this.getSnippet(
+        { start: call.node.callee.property.start, end: call.node.end },
+        call.module
+      ),
+    };
+  }
+
+  isPlainObject(value) {
+    return (
+      value !== null &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      !(value instanceof RegExp) &&
+      !this.isDynamic(value)
+    );
+  }
+
+  collectTypes(value, types, pathLabel) {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) =>
+        this.collectTypes(item, types, `${pathLabel}[${index}]`)
+      );
+      return;
+    }
+
+    if (this.isDynamic(value)) {
+      this.recordUnresolved(value, pathLabel);
+      return;
+    }
+
+    if (
+      value &&
+      typeof value === "object" &&
+      typeof value.name === "string" &&
+      typeof value.type === "string"
+    ) {
+      const type = this.normalizeType(value);
+      if (this.definitionSources.has(value)) {
+        type.sourceFile = this.definitionSources.get(value);
+      }
+      types.push(type);
+    }
+  }
+
+  normalizeType(definition) {
+    const type = this.normalizeDefinition(definition, definition.name);
+    type.title = type.title || type.name;
+    type.fields = type.fields || [];
+    return type;
+  }
+
+  // Convert an evaluated definition into the generator's field shape,
+  // recording and dropping everything that stayed dynamic
+  normalizeDefinition(definition, pathLabel) {
+    const result = {};
+
+    for (const [key, value] of Object.entries(definition)) {
+      const propertyPath = `${pathLabel}.${key}`;
+
+      if (key === "validation") {
+        const validation = this.normalizeValidation(value, propertyPath);
+        if (validation) result.validation = validation;
+        continue;
+      }
+
+      // Initial values computed at runtime (dates, fetched data) are
+      // reported separately: they cannot become Strapi defaults
+      if (key === "initialValue" && this.isDynamic(value)) {
+        this.dynamicInitialValues.push(
+          this.describeUnresolved(value, propertyPath)
+        );
+        continue;
+      }
+
+      if ((key === "fields" || key === "of") && Array.isArray(value)) {
+        result[key] = this.normalizeMembers(value, propertyPath);
+        continue;
+      }
+
+      if (key === "to") {
+        const targets = this.stripDynamic(
+          Array.isArray(value) ? value : [value],
+          propertyPath
+        );
+        result.to = targets.filter((target) => target && target.type);
+        continue;
+      }
+
+      const normalized = this.stripDynamic(value, propertyPath);
+      if (normalized !== undefined) {
+        result[key] = normalized;
+      }
+    }
+
+    if (Array.isArray(result.options?.list)) {
+      result.options.list = result.options.list.map((item) =>
+        item && typeof item === "object"
+          ? { title: item.title || String(item.value), value: item.value }
+          : { title: String(item), value: item }
+      );
+    }
+
+    return result;
+  }
+
+  normalizeMembers(members, pathLabel) {
+    const normalized = [];
+
+    members.forEach((member, index) => {
+      if (this.isDynamic(member)) {
+        this.recordUnresolved(member, `${pathLabel}[${index}]`);
+        return;
+      }
+      if (!member || typeof member !== "object" || !member.type) return;
+
+      normalized.push(
+        this.normalizeDefinition(
+          member,
+          `${pathLabel}.${member.name || member.type}`
+        )
+      );
+    });
+
+    return normalized;
+  }
+
+  normalizeValidation(value, pathLabel) {
+    const functions = Array.isArray(value) ? value : [value];
+    const chains = [];
+
+    for (const fn of functions) {
+      // validation: required ? (Rule) => Rule.required() : undefined
+      if (fn === undefined || fn === null) continue;
+
+      const analyzed =
+        fn instanceof StaticFunction ? this.analyzeValidation(fn) : null;
+      if (!analyzed) {
+        this.recordUnresolved(
+          fn instanceof StaticFunction
+            ? new UnresolvedValue(
+                "validation is not a plain Rule chain",
+                fn.node,
+                fn.scope.module
+              )
+            : fn instanceof UnresolvedValue
+              ? fn
+              : new UnresolvedValue("validation is not a function"),
+          pathLabel
+        );
+        continue;
+      }
+      chains.push(...analyzed);
+    }
+
+    return this.translateValidation(chains);
+  }
+
+  stripDynamic(value, pathLabel) {
+    if (this.isDynamic(value)) {
+      this.recordUnresolved(value, pathLabel);
+      return undefined;
+    }
+
+    if (Array.isArray(value)) {
+      return value
+        .map((item, index) => this.stripDynamic(item, `${pathLabel}[${index}]`))
+        .filter((item) => item !== undefined);
+    }
+
+    if (value && typeof value === "object" && !(value instanceof RegExp)) {
+      const result = {};
+      for (const [key, nested] of Object.entries(value)) {
+        const stripped = this.stripDynamic(nested, `${pathLabel}.${key}`);
+        if (stripped !== undefined) result[key] = stripped;
+      }
+      return result;
+    }
+
+    return value;
+  }
+
+  isDynamic(value) {
+    return value instanceof UnresolvedValue || value instanceof StaticFunction;
+  }
+
+  recordUnresolved(value, pathLabel) {
+    this.unresolved.push(this.describeUnresolved(value, pathLabel));
+  }
+
+  describeUnresolved(value, pathLabel) {
+    const reason =
+      value instanceof StaticFunction ? "function value" : value.reason;
+    const module =
+      value instanceof StaticFunction ? value.scope.module : value.module;
+    const node = value.node;
+
+    return {
+      file: module ? path.relative(process.cwd(), module.filePath) : undefined,
+      line: node?.loc?.start.line,
+      path: pathLabel,
+      reason,
+      code: node ? this.getSnippet(node, module) : undefined,
+    };
+  }
+
+  getKeyName(node) {
+    if (node.type === "Identifier") return node.name;
+    if (node.type === "StringLiteral" || node.type === "NumericLiteral") {
+      return String(node.value);
+    }
+    return null;
+  }
+
+  getSnippet(node, module) {
+    const snippet = module.source
+      .slice(node.start, node.end)
+      .replace(/\s+/g, " ")
+      .trim();
+    return snippet.length > 80 ? `${snippet.slice(0, 77)}...` : snippet;
+  }
+}
+
+module.exports = { SanitySchemaParser, UnresolvedValue, StaticFunction };
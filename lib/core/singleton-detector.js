@@ -0,0 +1,339 @@
+// ./lib/core/singleton-detector.js
+const fs = require("fs-extra");
+const path = require("path");
+
+const SOURCE_EXTENSIONS = [".ts", ".tsx", ".js", ".jsx", ".mjs"];
+const IGNORED_DIRECTORIES = new Set([
+  "node_modules",
+  "dist",
+  "build",
+  ".sanity",
+  ".git",
+]);
+
+// Config options that only decide which types can be created: a type
+// excluded there is edited through a fixed document
+const CREATION_OPTIONS = new Set(["newDocumentOptions", "templates"]);
+const TYPE_KEYS = new Set(["schemaType", "templateId"]);
+
+// Finds single-document types the way the Studio declares them:
+// - structure builder chains with a fixed id:
+//   S.document().schemaType("siteSettings").documentId("siteSettings")
+// - `singletonTypes` style lists in sanity.config
+// - types hidden from document creation (newDocumentOptions, templates)
+class SanitySingletonDetector {
+  constructor(schemaParser) {
+    this.parser = schemaParser;
+    this.singletons = new Map(); // type -> {type, documentId, file, line, via}
+  }
+
+  detect(sanityProjectPath) {
+    for (const filePath of this.findSourceFiles(sanityProjectPath)) {
+      const source = fs.readFileSync(filePath, "utf8");
+      const isConfig = path.basename(filePath).startsWith("sanity.config.");
+      if (!isConfig && !source.includes(".documentId(")) continue;
+
+      try {
+        const module = this.parser.loadModule(filePath);
+        this.analyzeModule(module, isConfig);
+      } catch (error) {
+        console.warn(
+          `Could not analyze ${filePath} for singletons:`,
+          error.message
+        );
+      }
+    }
+
+    return Array.from(this.singletons.values());
+  }
+
+  findSourceFiles(directory) {
+    const files = [];
+    if (!fs.existsSync(directory)) return files;
+
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.has(entry.name)) {
+          files.push(...this.findSourceFiles(path.join(directory, entry.name)));
+        }
+      } else if (SOURCE_EXTENSIONS.includes(path.extname(entry.name))) {
+        files.push(path.join(directory, entry.name));
+      }
+    }
+
+    return files;
+  }
+
+  analyzeModule(module, isConfig) {
+    const calls = [];
+    const comparisons = [];
+    const declarators = [];
+
+    this.walk(module.ast.program, [], [], (node, functions, properties) => {
+      if (node.type === "CallExpression") {
+        calls.push({ node, functions });
+      } else if (node.type === "BinaryExpression") {
+        comparisons.push({ node, properties });
+      } else if (node.type === "VariableDeclarator") {
+        declarators.push(node);
+      }
+    });
+
+    for (const { node, functions } of calls) {
+      this.analyzeStructureChain(node, functions, module, calls);
+    }
+
+    if (!isConfig) return;
+
+    for (const declarator of declarators) {
+      this.analyzeSingletonList(declarator, module);
+    }
+    for (const { node, properties } of comparisons) {
+      if (properties.some((name) => CREATION_OPTIONS.has(name))) {
+        this.analyzeComparison(node, module);
+      }
+    }
+    for (const { node } of calls) {
+      this.analyzeIncludesCall(node, module);
+    }
+  }
+
+  // Depth-first walk that tracks enclosing functions and object keys
+  walk(node, functions, properties, visit) {
+    if (!node || typeof node.type !== "string") return;
+
+    visit(node, functions, properties);
+
+    let nextFunctions = functions;
+    if (
+      node.type === "FunctionDeclaration" ||
+      node.type === "FunctionExpression" ||
+      node.type === "ArrowFunctionExpression"
+    ) {
+      nextFunctions = [...functions, node];
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key === "loc" || key === "leadingComments") continue;
+
+      let nextProperties = properties;
+      if (node.type === "ObjectProperty" && key === "value") {
+        nextProperties = [...properties, this.parser.getKeyName(node.key)];
+      } else if (node.type === "ObjectMethod" && key === "body") {
+        nextProperties = [...properties, this.parser.getKeyName(node.key)];
+      }
+
+      const children = Array.isArray(value) ? value : [value];
+      for (const child of children) {
+        if (child && typeof child === "object" && child.type) {
+          this.walk(child, nextFunctions, nextProperties, visit);
+        }
+      }
+    }
+  }
+
+  // S.document().schemaType(x).documentId(y), in either order
+  analyzeStructureChain(node, functions, module, calls) {
+    const chain = new Map();
+    let current = node;
+    while (
+      current?.type === "CallExpression" &&
+      current.callee.type === "MemberExpression"
+    ) {
+      const name = this.parser.getKeyName(current.callee.property);
+      if (name && !chain.has(name)) {
+        chain.set(name, current.arguments[0]);
+      }
+      current = current.callee.object;
+    }
+
+    // Only the outermost call of a chain is analyzed
+    if (!chain.has("schemaType") || !chain.has("documentId")) return;
+    if (node !== this.getChainTop(node, calls)) return;
+
+    const types = this.resolveStrings(
+      chain.get("schemaType"),
+      functions,
+      module,
+      calls
+    );
+    const documentIds = this.resolveStrings(
+      chain.get("documentId"),
+      functions,
+      module,
+      calls
+    );
+
+    types.forEach((type, index) => {
+      this.addSingleton(type, module, node, "structure", documentIds[index]);
+    });
+  }
+
+  getChainTop(node, calls) {
+    for (const { node: candidate } of calls) {
+      if (
+        candidate.callee.type === "MemberExpression" &&
+        candidate.callee.object === node
+      ) {
+        return this.getChainTop(candidate, calls);
+      }
+    }
+    return node;
+  }
+
+  // Values of an argument: literals, module constants or, for helpers such
+  // as singletonListItem(S, "settings"), the matching argument of each call
+  resolveStrings(node, functions, module, calls) {
+    if (!node) return [];
+
+    const value = this.parser.evaluate(node, module.scope);
+    if (typeof value === "string") return [value];
+    if (node.type !== "Identifier") return [];
+
+    for (let index = functions.length - 1; index >= 0; index--) {
+      const fn = functions[index];
+      const position = fn.params.findIndex(
+        (param) =>
+          (param.type === "Identifier" && param.name === node.name) ||
+          (param.type === "AssignmentPattern" &&
+            param.left.type === "Identifier" &&
+            param.left.name === node.name)
+      );
+      if (position === -1) continue;
+
+      const helperName = this.getFunctionName(fn, module);
+      if (!helperName) return [];
+
+      return calls
+        .filter(
+          ({ node: call }) =>
+            call.callee.type === "Identifier" && call.callee.name === helperName
+        )
+        .flatMap(({ node: call, functions: callFunctions }) =>
+          this.resolveStrings(
+            call.arguments[position],
+            callFunctions,
+            module,
+            calls
+          )
+        );
+    }
+
+    return [];
+  }
+
+  getFunctionName(fn, module) {
+    if (fn.id) return fn.id.name;
+
+    let name = null;
+    this.walk(module.ast.program, [], [], (node) => {
+      if (
+        node.type === "VariableDeclarator" &&
+        node.init === fn &&
+        node.id.type === "Identifier"
+      ) {
+        name = node.id.name;
+      }
+    });
+    return name;
+  }
+
+  // const singletonTypes = new Set(["settings"]) / ["settings"]
+  analyzeSingletonList(declarator, module) {
+    if (declarator.id.type !== "Identifier" || !declarator.init) return;
+
+    const name = declarator.id.name;
+    if (!/singleton/i.test(name) || /action/i.test(name)) return;
+
+    for (const type of this.evaluateList(declarator.init, module)) {
+      if (typeof type === "string") {
+        this.addSingleton(type, module, declarator, "config");
+      }
+    }
+  }
+
+  // Arrays, new Set([...]) and constants bound to either
+  evaluateList(node, module) {
+    if (node?.type === "Identifier" && module.bindings.has(node.name)) {
+      const binding = module.bindings.get(node.name).node;
+      if (binding.type === "NewExpression") {
+        return this.evaluateList(binding, module);
+      }
+    }
+
+    if (node?.type === "NewExpression") {
+      if (node.callee.name !== "Set" || !node.arguments[0]) return [];
+      return this.evaluateList(node.arguments[0], module);
+    }
+
+    const value = node ? this.parser.evaluate(node, module.scope) : null;
+    return Array.isArray(value) ? value : [];
+  }
+
+  // schemaType === "settings" inside newDocumentOptions or templates
+  analyzeComparison(node, module) {
+    if (!["===", "!==", "==", "!="].includes(node.operator)) return;
+
+    for (const [side, other] of [
+      [node.left, node.right],
+      [node.right, node.left],
+    ]) {
+      if (this.isSchemaTypeReference(side) && other.type === "StringLiteral") {
+        this.addSingleton(other.value, module, node, "config");
+      }
+    }
+  }
+
+  // ["settings"].includes(schemaType) or singletonTypes.has(schemaType)
+  // inside newDocumentOptions or templates
+  analyzeIncludesCall(node, module) {
+    const { callee } = node;
+    if (callee.type !== "MemberExpression") return;
+
+    const method = this.parser.getKeyName(callee.property);
+    if (method !== "includes" && method !== "has") return;
+    if (!this.isSchemaTypeReference(node.arguments[0])) return;
+    if (!this.isInsideCreationOption(node, module)) return;
+
+    for (const type of this.evaluateList(callee.object, module)) {
+      if (typeof type === "string") {
+        this.addSingleton(type, module, node, "config");
+      }
+    }
+  }
+
+  isInsideCreationOption(target, module) {
+    let inside = false;
+    this.walk(module.ast.program, [], [], (node, functions, properties) => {
+      if (node === target) {
+        inside = properties.some((name) => CREATION_OPTIONS.has(name));
+      }
+    });
+    return inside;
+  }
+
+  // schemaType (templates) or templateId (newDocumentOptions items)
+  isSchemaTypeReference(node) {
+    if (!node) return false;
+    if (node.type === "Identifier") return TYPE_KEYS.has(node.name);
+    return (
+      node.type === "MemberExpression" &&
+      TYPE_KEYS.has(this.parser.getKeyName(node.property))
+    );
+  }
+
+  addSingleton(type, module, node, via, documentId = null) {
+    const existing = this.singletons.get(type);
+    if (existing && (existing.documentId || !documentId)) return;
+
+    this.singletons.set(type, {
+      type,
+      documentId: documentId || existing?.documentId || null,
+      file: path.relative(process.cwd(), module.filePath),
+      line: node.loc?.start.line,
+      via,
+    });
+  }
+}
+
+module.exports = SanitySingletonDetector;
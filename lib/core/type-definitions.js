@@ -0,0 +1,155 @@
+// ./lib/core/type-definitions.js
+
+const STRING_TYPES = [
+  "string",
+  "text",
+  "richtext",
+  "email",
+  "password",
+  "uid",
+  "date",
+  "datetime",
+  "time",
+  "biginteger", // Serialized as a string to keep its precision
+];
+const NUMBER_TYPES = ["integer", "float", "decimal"];
+const TO_MANY_RELATIONS = ["oneToMany", "manyToMany", "manyWay"];
+
+// TypeScript interfaces for the generated content types and components,
+// shaped like the entries the REST API returns
+class StrapiTypeDefinitions {
+  constructor(strapiVersion = 5) {
+    this.strapiVersion = strapiVersion;
+    this.knownTypes = new Set(); // uids and component keys with an interface
+  }
+
+  // contentTypes: uid -> schema, components: "category.name" -> schema
+  generate(contentTypes, components) {
+    this.knownTypes = new Set([...contentTypes.keys(), ...components.keys()]);
+
+    const lines = [
+      "/**",
+      " * Types of the content migrated from Sanity, as returned by the Strapi",
+      " * REST API. Generated by sanity-strapi; regenerate instead of editing.",
+      " */",
+      "",
+      "export interface Media {",
+      "  id: number;",
+      ...(this.strapiVersion === 5 ? ["  documentId: string;"] : []),
+      "  name: string;",
+      "  url: string;",
+      "  mime: string;",
+      "  alternativeText?: string | null;",
+      "  caption?: string | null;",
+      "  width?: number | null;",
+      "  height?: number | null;",
+      "}",
+      "",
+    ];
+
+    for (const [uid, schema] of contentTypes) {
+      lines.push(
+        ...this.generateInterface(this.getTypeName(uid), schema, true)
+      );
+    }
+    for (const [componentKey, component] of components) {
+      lines.push(
+        ...this.generateInterface(this.getTypeName(componentKey), component)
+      );
+    }
+
+    return lines.join("\n");
+  }
+
+  generateInterface(name, schema, isContentType = false) {
+    const lines = [`export interface ${name} {`, "  id: number;"];
+
+    if (isContentType) {
+      if (this.strapiVersion === 5) lines.push("  documentId: string;");
+      lines.push("  createdAt: string;", "  updatedAt: string;");
+      if (schema.pluginOptions?.i18n?.localized) {
+        lines.push("  locale: string;");
+      }
+      if (schema.options?.draftAndPublish) {
+        lines.push("  publishedAt: string | null;");
+      }
+    }
+
+    for (const [attributeName, attribute] of Object.entries(
+      schema.attributes || {}
+    )) {
+      const optional = attribute.required ? "" : "?";
+      lines.push(
+        `  ${this.formatKey(attributeName)}${optional}: ${this.getAttributeType(
+          attribute
+        )};`
+      );
+    }
+
+    lines.push("}", "");
+    return lines;
+  }
+
+  getAttributeType(attribute) {
+    if (STRING_TYPES.includes(attribute.type)) return "string";
+    if (NUMBER_TYPES.includes(attribute.type)) return "number";
+
+    switch (attribute.type) {
+      case "boolean":
+        return "boolean";
+      case "enumeration":
+        return (
+          (attribute.enum || [])
+            .map((value) => JSON.stringify(String(value)))
+            .join(" | ") || "string"
+        );
+      case "media":
+        return attribute.multiple ? "Media[]" : "Media | null";
+      case "relation": {
+        // Plugin targets (users, uploads) have no generated interface
+        const target = this.knownTypes.has(attribute.target)
+          ? this.getTypeName(attribute.target)
+          : "unknown";
+        return TO_MANY_RELATIONS.includes(attribute.relation)
+          ? `${target}[]`
+          : `${target} | null`;
+      }
+      case "component": {
+        const component = this.getTypeName(attribute.component);
+        return attribute.repeatable ? `${component}[]` : `${component} | null`;
+      }
+      case "dynamiczone":
+        return `Array<${(attribute.components || [])
+          .map(
+            (componentKey) =>
+              `({ __component: "${componentKey}" } & ${this.getTypeName(
+                componentKey
+              )})`
+          )
+          .join(" | ")}>`;
+      case "blocks":
+        return "Array<Record<string, unknown>>";
+      default:
+        return "unknown";
+    }
+  }
+
+  // api::blog-post.blog-post -> BlogPost, shared.seo -> SharedSeo
+  getTypeName(key) {
+    const name = key.startsWith("api::")
+      ? key.slice("api::".length).split(".").pop()
+      : key;
+
+    return name
+      .split(/[^a-zA-Z0-9]+/)
+      .filter(Boolean)
+      .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+      .join("");
+  }
+
+  formatKey(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+  }
+}
+
+module.exports = StrapiTypeDefinitions;
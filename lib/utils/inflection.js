@@ -0,0 +1,175 @@
+// lib/utils/inflection.js
+
+// English plural and singular forms for Strapi names. Only the last word of
+// a kebab-case, snake_case or camelCase name changes: blog-post ->
+// blog-posts, newsItem -> newsItems
+
+const UNCOUNTABLE = [
+  "advice",
+  "aircraft",
+  "audio",
+  "data",
+  "deer",
+  "equipment",
+  "feedback",
+  "fish",
+  "furniture",
+  "hardware",
+  "information",
+  "media",
+  "metadata",
+  "money",
+  "music",
+  "news",
+  "rice",
+  "series",
+  "sheep",
+  "software",
+  "species",
+  "staff",
+];
+
+// singular -> plural
+const IRREGULAR = {
+  child: "children",
+  cookie: "cookies",
+  foot: "feet",
+  goose: "geese",
+  half: "halves",
+  knife: "knives",
+  leaf: "leaves",
+  life: "lives",
+  man: "men",
+  mouse: "mice",
+  movie: "movies",
+  ox: "oxen",
+  person: "people",
+  quiz: "quizzes",
+  shelf: "shelves",
+  thief: "thieves",
+  tooth: "teeth",
+  wife: "wives",
+  wolf: "wolves",
+  woman: "women",
+};
+
+// Words ending in -o that take -es
+const O_ES = ["echo", "hero", "potato", "tomato", "veto"];
+
+// Singular words ending in -s; most -ses plurals (cases, houses) drop only -s
+const S_ES = [
+  "alias",
+  "atlas",
+  "bias",
+  "bonus",
+  "bus",
+  "campus",
+  "canvas",
+  "census",
+  "focus",
+  "gas",
+  "iris",
+  "status",
+  "virus",
+];
+
+const LAST_WORD = /^(.*?)([A-Z]?[a-z0-9]+|[A-Z0-9]+)$/;
+
+// overrides: { singular: plural }, checked before any rule, for the whole
+// name and for its last word
+function createInflector(overrides = {}) {
+  const plurals = { ...IRREGULAR, ...lowerCaseKeys(overrides) };
+  const singulars = Object.fromEntries(
+    Object.entries(plurals).map(([singular, plural]) => [plural, singular])
+  );
+
+  const pluralizeWord = (word) => {
+    if (UNCOUNTABLE.includes(word) || singulars[word]) return word;
+    if (plurals[word]) return plurals[word];
+    // Names that already are plural (a "tags" field) stay as they are
+    if (
+      word.endsWith("s") &&
+      !/(ss|us|is)$/.test(word) &&
+      !S_ES.includes(word)
+    ) {
+      return word;
+    }
+
+    if (/[^aeiou]y$/.test(word)) return word.slice(0, -1) + "ies";
+    if (/sis$/.test(word)) return word.slice(0, -2) + "es";
+    if (/(s|x|z|ch|sh)$/.test(word)) return word + "es";
+    if (O_ES.includes(word)) return word + "es";
+    return word + "s";
+  };
+
+  const singularizeWord = (word) => {
+    if (UNCOUNTABLE.includes(word) || plurals[word]) return word;
+    if (singulars[word]) return singulars[word];
+
+    if (/(ss|us|is)$/.test(word) || S_ES.includes(word)) return word;
+    if (/[^aeiou]ies$/.test(word)) return word.slice(0, -3) + "y";
+    if (/yses$/.test(word)) return word.slice(0, -2) + "is";
+    if (/(us|as|is)es$/.test(word) && S_ES.includes(word.slice(0, -2))) {
+      return word.slice(0, -2);
+    }
+    if (/(x|ch|sh|ss|zz)es$/.test(word)) return word.slice(0, -2);
+    if (/oes$/.test(word) && O_ES.includes(word.slice(0, -2))) {
+      return word.slice(0, -2);
+    }
+    if (/s$/.test(word)) return word.slice(0, -1);
+    return word;
+  };
+
+  const inflect = (inflectWord, table) => (name) => {
+    if (!name) return name;
+    if (table[name.toLowerCase()]) {
+      return matchCase(table[name.toLowerCase()], name);
+    }
+
+    const match = name.match(LAST_WORD);
+    if (!match) return name;
+    const [, prefix, word] = match;
+    return prefix + matchCase(inflectWord(word.toLowerCase()), word);
+  };
+
+  return {
+    pluralize: inflect(pluralizeWord, lowerCaseKeys(overrides)),
+    singularize: inflect(
+      singularizeWord,
+      Object.fromEntries(
+        Object.entries(lowerCaseKeys(overrides)).map(([singular, plural]) => [
+          plural.toLowerCase(),
+          singular,
+        ])
+      )
+    ),
+  };
+}
+
+function lowerCaseKeys(table) {
+  return Object.fromEntries(
+    Object.entries(table || {}).map(([key, value]) => [
+      key.toLowerCase(),
+      value,
+    ])
+  );
+}
+
+// Keep "Post" and "SEO" style capitalisation of the original word
+function matchCase(inflected, original) {
+  if (original.length > 1 && original === original.toUpperCase()) {
+    return inflected.toUpperCase();
+  }
+  if (original[0] === original[0].toUpperCase()) {
+    return inflected.charAt(0).toUpperCase() + inflected.slice(1);
+  }
+  return inflected;
+}
+
+const { pluralize, singularize } = createInflector();
+
+module.exports = {
+  createInflector,
+  pluralize,
+  singularize,
+};
@@ -0,0 +1,57 @@
+// lib/utils/migration-manifest.js
+const fs = require("fs-extra");
+const path = require("path");
+
+// Decisions the schema generator makes that the content migrator must
+// follow, stored next to the generated Strapi project
+const MANIFEST_DIR = "sanity-migration";
+const MANIFEST_FILE = "manifest.json";
+
+function getManifestPath(strapiProjectPath) {
+  return path.join(strapiProjectPath, MANIFEST_DIR, MANIFEST_FILE);
+}
+
+function createManifest() {
+  return {
+    generatedAt: new Date().toISOString(),
+    strapiVersion: null, // Major version the models were generated for
+    references: {}, // sanityType -> fieldName -> {strategy, isArray, targets}
+    dynamicZones: {}, // sanityType -> fieldName -> {memberType: componentKey}
+    singletons: {}, // sanityType -> fixed document id from the desk structure (or null)
+    renames: { types: {}, fields: {} }, // Sanity names -> Strapi names (null: dropped)
+    customTypes: {}, // sanityType or componentKey -> fieldName -> Sanity type a plugin converts
+    i18n: null, // {types, fieldTypes, languageField, defaultLocale, locales} when content is translated
+  };
+}
+
+async function readManifest(strapiProjectPath) {
+  const manifestPath = getManifestPath(strapiProjectPath);
+  if (!fs.existsSync(manifestPath)) {
+    return createManifest();
+  }
+
+  try {
+    return { ...createManifest(), ...(await fs.readJSON(manifestPath)) };
+  } catch (error) {
+    console.warn(
+      `Could not read migration manifest ${manifestPath}:`,
+      error.message
+    );
+    return createManifest();
+  }
+}
+
+async function writeManifest(strapiProjectPath, manifest) {
+  const manifestPath = getManifestPath(strapiProjectPath);
+  await fs.ensureDir(path.dirname(manifestPath));
+  await fs.writeJSON(manifestPath, manifest, { spaces: 2 });
+  return manifestPath;
+}
+
+module.exports = {
+  MANIFEST_DIR,
+  getManifestPath,
+  createManifest,
+  readManifest,
+  writeManifest,
+};
@@ -0,0 +1,151 @@
+// lib/utils/name-mapping.js
+const fs = require("fs-extra");
+const path = require("path");
+
+// Attribute types a field can be forced to; relations and components need
+// targets the mapping cannot describe
+const OVERRIDE_TYPES = [
+  "string",
+  "text",
+  "richtext",
+  "blocks",
+  "email",
+  "password",
+  "uid",
+  "enumeration",
+  "integer",
+  "biginteger",
+  "decimal",
+  "float",
+  "boolean",
+  "date",
+  "datetime",
+  "time",
+  "json",
+  "media",
+];
+
+// Type names may be kebab-case, the singularName format Strapi expects
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const TYPE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+// config.mapping (an object or a path to a JSON/JS file) as
+// { types: {sanityType: name|false}, fields: {"type.field": {name, drop,
+// attribute}}, components: {name: "category.name"} }
+function loadNameMapping(config = {}) {
+  let mapping = config.mapping || {};
+
+  if (typeof mapping === "string") {
+    const mappingPath = path.resolve(mapping);
+    if (!fs.existsSync(mappingPath)) {
+      throw new Error(`Mapping file not found: ${mappingPath}`);
+    }
+    mapping = mappingPath.endsWith(".json")
+      ? fs.readJSONSync(mappingPath)
+      : require(mappingPath);
+  }
+
+  return normalizeNameMapping(mapping);
+}
+
+function normalizeNameMapping(mapping = {}) {
+  const normalized = { types: {}, fields: {}, components: {} };
+
+  for (const [typeName, target] of Object.entries(mapping.types || {})) {
+    if (target !== false) assertName(target, typeName, TYPE_NAME_PATTERN);
+    normalized.types[typeName] = target;
+  }
+
+  for (const [fieldPath, target] of Object.entries(mapping.fields || {})) {
+    if (!/^[^.]+\.[^.]+$/.test(fieldPath)) {
+      throw new Error(
+        `Invalid field mapping "${fieldPath}", expected "<type>.<field>"`
+      );
+    }
+    normalized.fields[fieldPath] = normalizeFieldMapping(fieldPath, target);
+  }
+
+  for (const [name, target] of Object.entries(mapping.components || {})) {
+    if (typeof target !== "string" || !target) {
+      throw new Error(`Invalid component mapping for "${name}"`);
+    }
+    normalized.components[name] = target;
+  }
+
+  return normalized;
+}
+
+// "cover" renames, false drops, { name, type, ...attribute } renames
+// and/or overrides the generated attribute
+function normalizeFieldMapping(fieldPath, target) {
+  if (target === false) return { drop: true };
+  if (typeof target === "string") {
+    assertName(target, fieldPath);
+    return { name: target };
+  }
+  if (!target || typeof target !== "object" || Array.isArray(target)) {
+    throw new Error(`Invalid field mapping for "${fieldPath}"`);
+  }
+
+  const { name, ...attribute } = target;
+  if (name !== undefined) assertName(name, fieldPath);
+  if (
+    attribute.type !== undefined &&
+    !OVERRIDE_TYPES.includes(attribute.type)
+  ) {
+    throw new Error(
+      `Unsupported type "${attribute.type}" for "${fieldPath}", expected one of: ${OVERRIDE_TYPES.join(
+        ", "
+      )}`
+    );
+  }
+  if (attribute.type === "enumeration" && !Array.isArray(attribute.enum)) {
+    throw new Error(`Enumeration override for "${fieldPath}" needs an enum`);
+  }
+
+  return {
+    name,
+    attribute: Object.keys(attribute).length > 0 ? attribute : undefined,
+  };
+}
+
+function assertName(name, source, pattern = NAME_PATTERN) {
+  if (typeof name !== "string" || !pattern.test(name)) {
+    throw new Error(
+      `Invalid name ${JSON.stringify(name)} in the mapping for "${source}"`
+    );
+  }
+}
+
+// Apply the renames recorded in the manifest to exported Sanity data:
+// objects carrying a renamed _type get the new type and field names,
+// fields mapped to null are dropped
+function renameValue(value, renames) {
+  if (Array.isArray(value)) {
+    return value.map((item) => renameValue(item, renames));
+  }
+  if (!value || typeof value !== "object") return value;
+
+  const fieldRenames = renames.fields?.[value._type] || {};
+  const renamed = {};
+  for (const [key, child] of Object.entries(value)) {
+    const name = Object.prototype.hasOwnProperty.call(fieldRenames, key)
+      ? fieldRenames[key]
+      : key;
+    if (name === null) continue;
+    renamed[name] = renameValue(child, renames);
+  }
+
+  if (renames.types?.[value._type]) {
+    renamed._type = renames.types[value._type];
+  }
+
+  return renamed;
+}
+
+module.exports = {
+  OVERRIDE_TYPES,
+  loadNameMapping,
+  normalizeNameMapping,
+  renameValue,
+};
@@ -0,0 +1,95 @@
+// lib/utils/plugins.js
+const fs = require("fs-extra");
+const path = require("path");
+
+// config.plugins lists plugin objects, or paths and package names of
+// modules exporting one. A plugin converts the Sanity types it names:
+//
+// {
+//   name: "mux",
+//   types: {
+//     "mux.video": {
+//       // Strapi attribute for a field of this type (null drops the field);
+//       // helpers.component(name, { fields }) builds a component from
+//       // Sanity-style fields and returns its key
+//       attribute(field, helpers) {},
+//       // Sanity value -> value of that attribute, before the usual
+//       // conversion of its Strapi type
+//       transform(value, context) {},
+//     },
+//   },
+// }
+function loadPlugins(config = {}) {
+  const registry = {
+    plugins: [], // {name, types}
+    types: new Map(), // Sanity type -> {plugin, attribute, transform}
+  };
+
+  for (const entry of [].concat(config.plugins || [])) {
+    const plugin = typeof entry === "string" ? requirePlugin(entry) : entry;
+    validatePlugin(plugin, entry);
+
+    for (const [typeName, converter] of Object.entries(plugin.types)) {
+      if (registry.types.has(typeName)) {
+        throw new Error(
+          `Plugins ${registry.types.get(typeName).plugin} and ${plugin.name} both convert "${typeName}"`
+        );
+      }
+      registry.types.set(typeName, { ...converter, plugin: plugin.name });
+    }
+    registry.plugins.push({
+      name: plugin.name,
+      types: Object.keys(plugin.types),
+    });
+  }
+
+  return registry;
+}
+
+// Relative paths resolve from the working directory, like --mapping
+function requirePlugin(entry) {
+  let modulePath;
+  if (entry.startsWith(".") || path.isAbsolute(entry)) {
+    modulePath = path.resolve(entry);
+    if (!fs.existsSync(modulePath) && !fs.existsSync(`${modulePath}.js`)) {
+      throw new Error(`Plugin not found: ${modulePath}`);
+    }
+  } else {
+    try {
+      modulePath = require.resolve(entry, { paths: [process.cwd()] });
+    } catch (error) {
+      throw new Error(`Plugin not found: ${entry}`);
+    }
+  }
+
+  const exported = require(modulePath);
+  return exported?.default || exported;
+}
+
+function validatePlugin(plugin, entry) {
+  const label = typeof entry === "string" ? entry : plugin?.name || "plugin";
+  if (!plugin || typeof plugin.name !== "string" || !plugin.name) {
+    throw new Error(`Invalid plugin ${label}: a plugin needs a name`);
+  }
+  if (!plugin.types || typeof plugin.types !== "object") {
+    throw new Error(`Invalid plugin ${plugin.name}: a plugin needs types`);
+  }
+
+  for (const [typeName, converter] of Object.entries(plugin.types)) {
+    const hooks = ["attribute", "transform"].filter(
+      (hook) => converter?.[hook] !== undefined
+    );
+    if (
+      hooks.length === 0 ||
+      hooks.some((hook) => typeof converter[hook] !== "function")
+    ) {
+      throw new Error(
+        `Invalid plugin ${plugin.name}: "${typeName}" needs an attribute and/or transform function`
+      );
+    }
+  }
+}
+
+module.exports = {
+  loadPlugins,
+};
@@ -0,0 +1,105 @@
+// lib/utils/project-language.js
+const fs = require("fs-extra");
+const path = require("path");
+
+const LANGUAGES = ["ts", "js"];
+const ENTRY_FILES = ["index.ts", "index.js", "index.mjs"];
+
+// Language and module system of a Strapi project: tsconfig.json or .ts
+// sources mean TypeScript, and a project without them, even a fresh one
+// with an empty src, is JavaScript. JavaScript is ESM when package.json
+// says "type": "module" or the sources use import/export, CommonJS
+// otherwise. null when there is no project to look at
+function detectProjectLanguage(projectPath) {
+  if (!projectPath || !fs.existsSync(projectPath)) return null;
+
+  if (fs.existsSync(path.join(projectPath, "tsconfig.json"))) {
+    return { language: "ts", moduleType: "esm" };
+  }
+
+  const sources = findSources(path.join(projectPath, "src"));
+  if (sources.some((file) => file.endsWith(".ts"))) {
+    return { language: "ts", moduleType: "esm" };
+  }
+
+  return { language: "js", moduleType: detectModuleType(projectPath, sources) };
+}
+
+function detectModuleType(projectPath, sources) {
+  const packagePath = path.join(projectPath, "package.json");
+  if (fs.existsSync(packagePath)) {
+    try {
+      if (fs.readJSONSync(packagePath).type === "module") return "esm";
+    } catch (error) {
+      // Fall back to the sources
+    }
+  }
+
+  for (const file of sources) {
+    const source = fs.readFileSync(file, "utf8");
+    if (/^\s*export\s+default\b|^\s*import\s.+\sfrom\s/m.test(source)) {
+      return "esm";
+    }
+    if (/\bmodule\.exports\b|\brequire\(/.test(source)) {
+      return "commonjs";
+    }
+  }
+
+  return "commonjs";
+}
+
+// src/index.* first, then the API files, enough to tell the style
+function findSources(srcPath) {
+  if (!fs.existsSync(srcPath)) return [];
+
+  const sources = ENTRY_FILES.map((file) => path.join(srcPath, file)).filter(
+    (file) => fs.existsSync(file)
+  );
+
+  const apiPath = path.join(srcPath, "api");
+  if (fs.existsSync(apiPath)) {
+    for (const apiName of fs.readdirSync(apiPath)) {
+      const controllersPath = path.join(apiPath, apiName, "controllers");
+      if (!fs.existsSync(controllersPath)) continue;
+      for (const file of fs.readdirSync(controllersPath)) {
+        if (/\.(ts|js|mjs)$/.test(file)) {
+          sources.push(path.join(controllersPath, file));
+        }
+      }
+    }
+  }
+
+  return sources;
+}
+
+// --language wins (its module system still comes from the project), then
+// detection; TypeScript, Strapi's default, when there is no project yet
+function resolveProjectLanguage(config = {}) {
+  const detected = detectProjectLanguage(config.strapiProjectPath);
+
+  if (config.language) {
+    if (!LANGUAGES.includes(config.language)) {
+      throw new Error(
+        `Unknown language "${config.language}", expected one of: ${LANGUAGES.join(
+          ", "
+        )}`
+      );
+    }
+    if (config.language === "ts") {
+      return { language: "ts", moduleType: "esm" };
+    }
+    return {
+      language: "js",
+      moduleType:
+        detected?.language === "js" ? detected.moduleType : "commonjs",
+    };
+  }
+
+  return detected || { language: "ts", moduleType: "esm" };
+}
+
+module.exports = {
+  LANGUAGES,
+  detectProjectLanguage,
+  resolveProjectLanguage,
+};
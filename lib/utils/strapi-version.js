@@ -0,0 +1,53 @@
+// lib/utils/strapi-version.js
+const fs = require("fs-extra");
+const path = require("path");
+
+const SUPPORTED_VERSIONS = [4, 5];
+const DEFAULT_VERSION = 5;
+
+// Major version of @strapi/strapi in the project's package.json, or null
+function detectStrapiVersion(strapiProjectPath) {
+  const packagePath = path.join(strapiProjectPath || "", "package.json");
+  if (!fs.existsSync(packagePath)) return null;
+
+  try {
+    const packageJson = fs.readJSONSync(packagePath);
+    const range =
+      packageJson.dependencies?.["@strapi/strapi"] ||
+      packageJson.devDependencies?.["@strapi/strapi"];
+    const major = Number(String(range || "").match(/\d+/)?.[0]);
+    return SUPPORTED_VERSIONS.includes(major) ? major : null;
+  } catch (error) {
+    console.warn(`Could not read ${packagePath}:`, error.message);
+    return null;
+  }
+}
+
+// --strapi-version wins, then the project's package.json, then the
+// version recorded by an earlier step (the migration manifest)
+function resolveStrapiVersion(config = {}, recordedVersion = null) {
+  if (config.strapiVersion !== undefined && config.strapiVersion !== null) {
+    const version = Number(config.strapiVersion);
+    if (!SUPPORTED_VERSIONS.includes(version)) {
+      throw new Error(
+        `Unsupported Strapi version "${
+          config.strapiVersion
+        }", expected one of: ${SUPPORTED_VERSIONS.join(", ")}`
+      );
+    }
+    return version;
+  }
+
+  return (
+    detectStrapiVersion(config.strapiProjectPath) ||
+    (SUPPORTED_VERSIONS.includes(recordedVersion) ? recordedVersion : null) ||
+    DEFAULT_VERSION
+  );
+}
+
+module.exports = {
+  SUPPORTED_VERSIONS,
+  DEFAULT_VERSION,
+  detectStrapiVersion,
+  resolveStrapiVersion,
+};
@@ -0,0 +1,105 @@
+// lib/utils/translations.js
+
+// @sanity/document-internationalization keeps one document per language and
+// links the translations of a document in a metadata document
+const TRANSLATION_METADATA_TYPE = "translation.metadata";
+
+// sanity-plugin-internationalized-array stores a field of type
+// internationalizedArray<Type> as [{_type: "internationalizedArray<Type>Value",
+// _key: "en", value}]; since v3 the language is in a language field
+const INTERNATIONALIZED_ARRAY_PATTERN = /^internationalizedArray(\w+)$/;
+const INTERNATIONALIZED_VALUE_PATTERN = /^internationalizedArray\w+Value$/;
+
+// config.i18n: { languageField, defaultLocale, locales: {sanityLanguage:
+// strapiLocale}, schemaTypes }; every key is optional
+function normalizeI18nConfig(i18n = {}) {
+  return {
+    languageField: i18n.languageField || "language",
+    defaultLocale: i18n.defaultLocale || null,
+    locales: { ...i18n.locales },
+    schemaTypes: [].concat(i18n.schemaTypes || []),
+  };
+}
+
+// [{language, id}] of a metadata document. Older plugin versions key the
+// translations by language, newer ones hold it in a language field
+function getTranslations(metadata) {
+  return (metadata.translations || [])
+    .map((translation) => ({
+      language: translation.language || translation._key,
+      id: translation.value?._ref,
+    }))
+    .filter(({ language, id }) => language && id);
+}
+
+// "internationalizedArrayString" -> "String"; null for other types
+function getInternationalizedArrayType(typeName) {
+  if (typeof typeName !== "string") return null;
+  if (isInternationalizedValueType(typeName)) return null;
+  return typeName.match(INTERNATIONALIZED_ARRAY_PATTERN)?.[1] || null;
+}
+
+function isInternationalizedValueType(typeName) {
+  return INTERNATIONALIZED_VALUE_PATTERN.test(typeName);
+}
+
+function isInternationalizedArray(value) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((item) => isInternationalizedValueType(item?._type))
+  );
+}
+
+function getValueLanguage(item) {
+  return item.language || item._key;
+}
+
+// Languages of the internationalized arrays anywhere in a value
+function collectLanguages(value, languages = new Set()) {
+  if (isInternationalizedArray(value)) {
+    for (const item of value) {
+      languages.add(getValueLanguage(item));
+      collectLanguages(item.value, languages);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectLanguages(item, languages));
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach((child) => collectLanguages(child, languages));
+  }
+  return languages;
+}
+
+// The value with every internationalized array replaced by its value in
+// one language; fields not translated to it are left out
+function localizeValue(value, language) {
+  if (isInternationalizedArray(value)) {
+    const item = value.find((entry) => getValueLanguage(entry) === language);
+    return item ? localizeValue(item.value, language) : undefined;
+  }
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => localizeValue(item, language))
+      .filter((item) => item !== undefined);
+  }
+  if (!value || typeof value !== "object") return value;
+
+  const localized = {};
+  for (const [key, child] of Object.entries(value)) {
+    const localizedChild = localizeValue(child, language);
+    if (localizedChild !== undefined) localized[key] = localizedChild;
+  }
+  return localized;
+}
+
+module.exports = {
+  TRANSLATION_METADATA_TYPE,
+  normalizeI18nConfig,
+  getTranslations,
+  getInternationalizedArrayType,
+  isInternationalizedValueType,
+  isInternationalizedArray,
+  getValueLanguage,
+  collectLanguages,
+  localizeValue,
+};
@@ -0,0 +1,165 @@
+// lib/utils/unified-diff.js
+
+// Line-based unified diff (the `diff -u` format), small enough for the
+// schema and config files the generator writes
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const { fromFile = "a", toFile = "b", context = 3 } = options;
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const operations = diffLines(oldLines, newLines);
+
+  if (operations.every((operation) => operation.type === " ")) {
+    return "";
+  }
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const hunk of groupHunks(operations, context)) {
+    output.push(
+      `@@ -${formatRange(hunk.oldStart, hunk.oldCount)} +${formatRange(
+        hunk.newStart,
+        hunk.newCount
+      )} @@`
+    );
+    for (const operation of hunk.operations) {
+      output.push(`${operation.type}${operation.line}`);
+    }
+  }
+
+  return output.join("\n") + "\n";
+}
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+// Longest common subsequence table, walked forwards into operations
+function diffLines(oldLines, newLines) {
+  const rows = oldLines.length + 1;
+  const columns = newLines.length + 1;
+  const table = new Uint32Array(rows * columns);
+
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      table[i * columns + j] =
+        oldLines[i] === newLines[j]
+          ? table[(i + 1) * columns + j + 1] + 1
+          : Math.max(table[(i + 1) * columns + j], table[i * columns + j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length || j < newLines.length) {
+    if (
+      i < oldLines.length &&
+      j < newLines.length &&
+      oldLines[i] === newLines[j]
+    ) {
+      operations.push({ type: " ", line: oldLines[i] });
+      i++;
+      j++;
+    } else if (
+      j < newLines.length &&
+      (i === oldLines.length ||
+        table[i * columns + j + 1] >= table[(i + 1) * columns + j])
+    ) {
+      operations.push({ type: "+", line: newLines[j] });
+      j++;
+    } else {
+      operations.push({ type: "-", line: oldLines[i] });
+      i++;
+    }
+  }
+
+  // Removals read better before the additions that replace them
+  return reorderChanges(operations);
+}
+
+function reorderChanges(operations) {
+  const ordered = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    ordered.push(...removed, ...added);
+    removed = [];
+    added = [];
+  };
+
+  for (const operation of operations) {
+    if (operation.type === "-") removed.push(operation);
+    else if (operation.type === "+") added.push(operation);
+    else {
+      flush();
+      ordered.push(operation);
+    }
+  }
+  flush();
+
+  return ordered;
+}
+
+function groupHunks(operations, context) {
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let current = null;
+  let trailingContext = 0;
+
+  operations.forEach((operation, index) => {
+    if (operation.type !== " ") {
+      if (!current) {
+        const leading = [];
+        for (
+          let back = index - 1;
+          back >= 0 && leading.length < context;
+          back--
+        ) {
+          if (operations[back].type !== " ") break;
+          leading.unshift(operations[back]);
+        }
+        current = {
+          oldStart: oldLine - leading.length,
+          newStart: newLine - leading.length,
+          oldCount: leading.length,
+          newCount: leading.length,
+          operations: [...leading],
+        };
+        hunks.push(current);
+      }
+      current.operations.push(operation);
+      if (operation.type === "-") current.oldCount++;
+      else current.newCount++;
+      trailingContext = 0;
+    } else if (current) {
+      const nextChange = operations
+        .slice(index + 1, index + 1 + context * 2 - trailingContext)
+        .some((next) => next.type !== " ");
+
+      if (trailingContext < context || nextChange) {
+        current.operations.push(operation);
+        current.oldCount++;
+        current.newCount++;
+        trailingContext++;
+      } else {
+        current = null;
+      }
+    }
+
+    if (operation.type !== "+") oldLine++;
+    if (operation.type !== "-") newLine++;
+  });
+
+  return hunks;
+}
+
+function formatRange(start, count) {
+  if (count === 0) return `${start - 1},0`;
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+module.exports = { createUnifiedDiff };
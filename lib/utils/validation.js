@@ -22,8 +22,8 @@ async function validateConfig(config) {
   // For schema generation, sanityProjectPath is required
   if ((process.argv.includes('schemas') || process.argv.includes('migrate')) && !process.argv.includes('analyze')) {
     const sanityProjectPath = config.sanityProjectPath || config.sanityProject;
-    if (!sanityProjectPath) {
-      throw new Error('Sanity project path is required for schema generation');
+    if (!sanityProjectPath && !config.sanitySchemaPath) {
+      throw new Error('Sanity project path or extracted schema is required for schema generation');
     }
   }
 